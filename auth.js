@@ -0,0 +1,177 @@
+// auth.js - Shared authorization middleware (Firebase ID token / domain / email allowlist / API secret)
+import { timingSafeEqual } from "crypto";
+
+const SUPPORT_EMAIL = "teachinginnovation@ariel.ac.il";
+
+export function splitCsvLower(v) {
+  return (v || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+export function emailDomainOf(email) {
+  const at = email.indexOf("@");
+  return at > -1 ? email.slice(at + 1).toLowerCase() : "";
+}
+
+/**
+ * השוואת סודות בזמן קבוע (מונע timing attacks)
+ * @param {string} provided - הסוד שנשלח בבקשה
+ * @param {string} expected - הסוד המוגדר בשרת
+ * @returns {boolean}
+ */
+function secretsMatch(provided, expected) {
+  const a = Buffer.from(String(provided || ""), "utf8");
+  const b = Buffer.from(String(expected || ""), "utf8");
+  if (a.length !== b.length) return false;
+  return timingSafeEqual(a, b);
+}
+
+/**
+ * חילוץ המייל מה-body (JSON / multipart)
+ * מייל בנתיב (:email) הוא משתמש היעד של הפעולה ולא זהות המבקש - ה-route בודק אותו מול req.userRole
+ * @param {object} req - Express request
+ * @returns {string} - מייל מנורמל או מחרוזת ריקה
+ */
+function emailFromRequest(req) {
+  return (req.body?.email || "").trim().toLowerCase();
+}
+
+/**
+ * חילוץ Firebase ID token מ-header בפורמט "Authorization: Bearer <token>"
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+function bearerTokenFromRequest(req) {
+  const header = req.headers["authorization"] || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * יצירת middleware הרשאות משותף לכל ה-routes
+ * זהות המשתמש נגזרת מ-Firebase ID token מאומת; מייל שנשלח ב-body חייב להתאים לו.
+ * בודק (לפי הסדר): API secret, ID token, רשימת מיילים מורשים, דומיין מורשה.
+ * במקרה הצלחה מציב את המייל ב-req.userEmail, את ה-token המפוענח ב-req.authUser, וב-req.identityVerified האם הזהות מאומתת.
+ * @param {object} options - ערכי ה-ENV הרלוונטיים
+ * @param {string} options.bypassAuth - "true" לדילוג על כל הבדיקות (פיתוח בלבד)
+ * @param {string} options.allowedDomain - דומיין מורשה יחיד
+ * @param {string} options.allowedDomains - רשימת דומיינים מופרדת בפסיקים
+ * @param {string} options.allowedEmails - רשימת מיילים מופרדת בפסיקים
+ * @param {string} options.apiSecret - סוד משותף (אופציונלי)
+ * @param {string} options.apiSecretAllowBody - "true" כדי לקבל את הסוד גם מה-body
+ * @param {string} options.requireIdToken - "false" כדי לקבל מייל מה-body ללא token (תקופת מעבר)
+ * @param {function} options.verifyIdToken - (token) => Promise<DecodedIdToken>, לרוב admin.auth().verifyIdToken
+ * @returns {function} - Express middleware
+ */
+export function createAuthMiddleware(options = {}) {
+  const bypass = (options.bypassAuth || "false").toLowerCase() === "true";
+  const allowedDomains = [
+    ...splitCsvLower(options.allowedDomain),
+    ...splitCsvLower(options.allowedDomains),
+  ];
+  const allowedEmails = splitCsvLower(options.allowedEmails);
+  const apiSecret = (options.apiSecret || "").trim();
+  const secretAllowBody = (options.apiSecretAllowBody || "false").toLowerCase() === "true";
+  const requireIdToken = (options.requireIdToken || "true").toLowerCase() !== "false";
+  const verifyIdToken = options.verifyIdToken || null;
+
+  if (bypass) {
+    console.warn("[Auth] BYPASS_AUTH=true - authorization checks are disabled");
+  } else {
+    console.log(`[Auth] Initialized. Domains: ${allowedDomains.join(",") || "any"}, Emails: ${allowedEmails.length}, Secret: ${apiSecret ? "on" : "off"}, ID token: ${requireIdToken ? "required" : "optional"}`);
+  }
+
+  return async function requireAuth(req, res, next) {
+    const requestId = req.requestId || "-";
+    const claimedEmail = emailFromRequest(req);
+    const idToken = bearerTokenFromRequest(req);
+
+    // הזהות לעולם לא נלקחת מהנתיב (:email) - זה המשתמש שעליו מבוצעת הפעולה, לא המבקש
+    if (bypass) {
+      if (!claimedEmail) {
+        return res.status(401).json({ error: "Unauthorized", message: "email is required" });
+      }
+      req.userEmail = claimedEmail;
+      return next();
+    }
+
+    // 1) API secret - מה-header, או מה-body אם הותר במפורש
+    if (apiSecret) {
+      const provided = req.headers["x-api-secret"] || (secretAllowBody ? req.body?.api_secret : "");
+      if (!provided || !secretsMatch(provided, apiSecret)) {
+        console.warn(`[RID:${requestId}] auth_denied reason=bad_secret`);
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+    }
+
+    // 2) Firebase ID token - הזהות נגזרת מה-token ולא מה-body
+    let email = "";
+    if (idToken) {
+      if (!verifyIdToken) {
+        console.error(`[RID:${requestId}] auth_denied reason=no_verifier`);
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+      let decoded;
+      try {
+        decoded = await verifyIdToken(idToken);
+      } catch (e) {
+        console.warn(`[RID:${requestId}] auth_denied reason=invalid_token code=${e?.code || "unknown"}`);
+        return res.status(401).json({ error: "Unauthorized", message: "Invalid or expired ID token" });
+      }
+      email = (decoded?.email || "").trim().toLowerCase();
+      if (!email) {
+        console.warn(`[RID:${requestId}] auth_denied reason=token_without_email`);
+        return res.status(401).json({ error: "Unauthorized", message: "ID token has no email" });
+      }
+      // מייל שנשלח ב-body חייב להיות זהה למייל שב-token
+      if (claimedEmail && claimedEmail !== email) {
+        console.warn(`[RID:${requestId}] auth_denied reason=email_mismatch`);
+        return res.status(403).json({ error: "Email does not match the authenticated user" });
+      }
+      req.authUser = decoded;
+    } else if (requireIdToken) {
+      console.warn(`[RID:${requestId}] auth_denied reason=missing_token`);
+      return res.status(401).json({ error: "Unauthorized", message: "Missing Authorization: Bearer <Firebase ID token>" });
+    } else {
+      // תקופת מעבר (REQUIRE_ID_TOKEN=false) - סומכים על המייל שנשלח ב-body, ורק אחרי בדיקת הרשימות למטה
+      if (!claimedEmail) {
+        console.warn(`[RID:${requestId}] auth_denied reason=missing_email`);
+        return res.status(401).json({ error: "Unauthorized", message: "email is required" });
+      }
+      email = claimedEmail;
+    }
+
+    // 3) מייל ברשימה המפורשת - מאושר גם אם הדומיין לא ברשימה
+    // 4) אחרת - חייב להיות בדומיין מורשה (אם הוגדרה הגבלה כלשהי)
+    const hasRestrictions = allowedDomains.length > 0 || allowedEmails.length > 0;
+    const emailAllowed = allowedEmails.includes(email);
+    const domainAllowed = allowedDomains.includes(emailDomainOf(email));
+
+    if (hasRestrictions && !emailAllowed && !domainAllowed) {
+      console.warn(`[RID:${requestId}] auth_denied reason=email_not_allowed domain=${emailDomainOf(email) || "none"}`);
+      return res.status(403).json({
+        error: "Email not authorized",
+        message: `כתובת המייל ${email} אינה מורשית להשתמש בבוט. לבירורים ניתן לפנות אל ${SUPPORT_EMAIL}`,
+      });
+    }
+
+    req.userEmail = email;
+    // זהות מאומתת: ID token, או בקשה שעברה את ה-API secret. מייל מה-body בתקופת המעבר אינו מאומת
+    req.identityVerified = Boolean(req.authUser) || Boolean(apiSecret);
+    next();
+  };
+}
+
+/**
+ * Middleware לפעולות בלתי הפיכות (מחיקת כל הנתונים של משתמש): דורש זהות מאומתת ולא רק מייל שנשלח ב-body.
+ * חייב לרוץ אחרי requireAuth. גם במצב BYPASS_AUTH ו-REQUIRE_ID_TOKEN=false, בקשה בלי token או API secret נדחית ב-401.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {function} next
+ */
+export function requireVerifiedIdentity(req, res, next) {
+  if (!req.identityVerified) {
+    console.warn(`[RID:${req.requestId || "-"}] auth_denied reason=unverified_identity`);
+    return res.status(401).json({ error: "Unauthorized", message: "This action requires a Firebase ID token or the API secret" });
+  }
+  next();
+}
@@ -9,6 +9,10 @@ const DEFAULT_TTL = {
   conversationHistory: 30000,  // 30 seconds
   userState: 60000,             // 60 seconds
   firstLogin: 60000,            // 60 seconds
+  userRole: 60000,              // 60 seconds
+  courseSettings: 60000,        // 60 seconds
+  chatSession: 60000,           // 60 seconds
+  conversationSummary: 60000,   // 60 seconds
 };
 
 /**
@@ -85,19 +89,21 @@ export function clearCachePrefix(prefix) {
 /**
  * Generate cache key for conversation history
  * @param {string} userId - User email
+ * @param {string|null} sessionId - Conversation thread (null = the user's default thread)
  * @returns {string} - Cache key
  */
-export function getConversationHistoryKey(userId) {
-  return `conv_history:${userId.toLowerCase().trim()}`;
+export function getConversationHistoryKey(userId, sessionId = null) {
+  return `conv_history:${userId.toLowerCase().trim()}${sessionId ? `:${sessionId}` : ""}`;
 }
 
 /**
  * Generate cache key for user state
  * @param {string} userId - User email
+ * @param {string|null} sessionId - Conversation thread (null = the user's default thread)
  * @returns {string} - Cache key
  */
-export function getUserStateKey(userId) {
-  return `user_state:${userId.toLowerCase().trim()}`;
+export function getUserStateKey(userId, sessionId = null) {
+  return `user_state:${userId.toLowerCase().trim()}${sessionId ? `:${sessionId}` : ""}`;
 }
 
 /**
@@ -109,16 +115,54 @@ export function getFirstLoginKey(userId) {
   return `first_login:${userId.toLowerCase().trim()}`;
 }
 
+/**
+ * Generate cache key for user role
+ * @param {string} userId - User email
+ * @returns {string} - Cache key
+ */
+export function getUserRoleKey(userId) {
+  return `user_role:${userId.toLowerCase().trim()}`;
+}
+
+/**
+ * Generate cache key for per-course settings
+ * @param {string} courseName - Course name
+ * @returns {string} - Cache key
+ */
+export function getCourseSettingsKey(courseName) {
+  return `course_settings:${courseName.trim()}`;
+}
+
+/**
+ * Generate cache key for a rolling conversation summary
+ * @param {string} userId - User email
+ * @param {string|null} sessionId - Conversation thread (null = the user's default thread)
+ * @returns {string} - Cache key
+ */
+export function getConversationSummaryKey(userId, sessionId = null) {
+  return `conv_summary:${userId.toLowerCase().trim()}${sessionId ? `:${sessionId}` : ""}`;
+}
+
+/**
+ * Generate cache key for a conversation thread (chat_sessions document)
+ * @param {string} sessionId - Session ID
+ * @returns {string} - Cache key
+ */
+export function getChatSessionKey(sessionId) {
+  return `chat_session:${sessionId}`;
+}
+
 /**
  * Get cached user state or load from Firestore
  * @param {object} db - Firestore instance
  * @param {string} email - User email
  * @param {string} requestId - Request ID for logging
  * @param {function} loadUserStateFn - Function to load state from Firestore
+ * @param {string|null} sessionId - Conversation thread whose state to load
  * @returns {Promise<object>} - User state object
  */
-export async function getStateCached(db, email, requestId, loadUserStateFn) {
-  const cacheKey = getUserStateKey(email);
+export async function getStateCached(db, email, requestId, loadUserStateFn, sessionId = null) {
+  const cacheKey = getUserStateKey(email, sessionId);
   const keyHash = hashKey(cacheKey);
   const entry = cache.get(cacheKey);
   
@@ -135,7 +179,7 @@ export async function getStateCached(db, email, requestId, loadUserStateFn) {
   }
   
   console.log(`[Cache] state MISS key=${keyHash} reason=${entry ? 'expired' : 'not_found'}`);
-  const state = await loadUserStateFn(db, email);
+  const state = await loadUserStateFn(db, email, sessionId);
   setCache(cacheKey, state, DEFAULT_TTL.userState);
   console.log(`[Cache] state SET key=${keyHash} ttl=${DEFAULT_TTL.userState}ms`);
   return { state, cached: false };
@@ -147,14 +191,15 @@ export async function getStateCached(db, email, requestId, loadUserStateFn) {
  * @param {string} email - User email
  * @param {string} requestId - Request ID for logging
  * @param {function} getUserConversationHistoryFn - Function to load history from Firestore
+ * @param {string|null} sessionId - Conversation thread whose history to load
  * @returns {Promise<Array>} - Conversation history array
  */
-export async function getHistoryCached(chatMemoryEnabled, email, requestId, getUserConversationHistoryFn) {
+export async function getHistoryCached(chatMemoryEnabled, email, requestId, getUserConversationHistoryFn, sessionId = null) {
   if (!chatMemoryEnabled) {
     return { history: [], cached: false };
   }
   
-  const cacheKey = getConversationHistoryKey(email);
+  const cacheKey = getConversationHistoryKey(email, sessionId);
   const keyHash = hashKey(cacheKey);
   const entry = cache.get(cacheKey);
   
@@ -172,7 +217,7 @@ export async function getHistoryCached(chatMemoryEnabled, email, requestId, getU
   
   console.log(`[Cache] history MISS key=${keyHash} reason=${entry ? 'expired' : 'not_found'}`);
   try {
-    const history = await getUserConversationHistoryFn(email);
+    const history = await getUserConversationHistoryFn(email, undefined, sessionId);
     setCache(cacheKey, history, DEFAULT_TTL.conversationHistory);
     console.log(`[Cache] history SET key=${keyHash} ttl=${DEFAULT_TTL.conversationHistory}ms`);
     return { history, cached: false };
@@ -187,9 +232,10 @@ export async function getHistoryCached(chatMemoryEnabled, email, requestId, getU
  * @param {string} userId - User email
  * @param {object} message - Message object with { role, content }
  * @param {number} maxMessages - Maximum number of messages to keep in cache (default: 200)
+ * @param {string|null} sessionId - Conversation thread the message belongs to
  */
-export function updateHistoryCache(userId, message, maxMessages = 200) {
-  const cacheKey = getConversationHistoryKey(userId);
+export function updateHistoryCache(userId, message, maxMessages = 200, sessionId = null) {
+  const cacheKey = getConversationHistoryKey(userId, sessionId);
   const keyHash = hashKey(cacheKey);
   const entry = cache.get(cacheKey);
   
@@ -226,10 +272,10 @@ export function updateHistoryCache(userId, message, maxMessages = 200) {
 /**
  * Update cached user state (write-through cache)
  * @param {string} userId - User email
- * @param {object} newState - New state object
+ * @param {object} newState - New state object (newState.sessionId selects the thread)
  */
 export function updateStateCache(userId, newState) {
-  const cacheKey = getUserStateKey(userId);
+  const cacheKey = getUserStateKey(userId, newState?.sessionId);
   const keyHash = hashKey(cacheKey);
   const entry = cache.get(cacheKey);
   
@@ -298,5 +344,57 @@ export async function getFirstLoginCached(db, email, requestId, checkFirstLoginF
   return { first_login: result.first_login, cached: false };
 }
 
+/**
+ * Create a bounded LRU cache with its own Map (separate from the shared TTL cache above).
+ * get() marks an entry as recently used; set() evicts the least recently used entries beyond maxEntries.
+ * @param {object} options - { maxEntries, ttl } (ttl in milliseconds, null = entries never expire)
+ * @returns {{ get: function, set: function, delete: function, deletePrefix: function, clear: function, size: number }}
+ */
+export function createLRUCache({ maxEntries = 500, ttl = null } = {}) {
+  const entries = new Map(); // { key: { data, timestamp } } - Map order is recency order (oldest first)
+
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (ttl !== null && Date.now() - entry.timestamp > ttl) {
+        entries.delete(key);
+        return null;
+      }
+      // Move to the end (most recently used)
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.data;
+    },
+    set(key, data) {
+      entries.delete(key);
+      entries.set(key, { data, timestamp: Date.now() });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    delete(key) {
+      entries.delete(key);
+    },
+    // Invalidation by key prefix (same convention as clearCachePrefix)
+    deletePrefix(prefix) {
+      let removed = 0;
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    clear() {
+      entries.clear();
+    },
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
 export { DEFAULT_TTL };
 
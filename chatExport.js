@@ -0,0 +1,171 @@
+// chatExport.js - ייצוא שיחה (או כל השיחות של משתמש) מ-chat_messages: Markdown, דף HTML עצמאי, או JSON
+//
+// תשובות הבוט נשמרות אחרי cleanLaTeXFormulas, ולכן הנוסחאות מיוצאות כמו שהן ($...$ ו-$$...$$) בלי שינוי.
+// ב-HTML הן מרונדרות ב-MathJax, כמו בצ'אט. הודעות הבוט נשמרות עם ה-citations שצוטטו בהן (storedCitations).
+import { formatChunkLocation } from "./rag.js";
+
+export const EXPORT_FORMATS = {
+  markdown: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+};
+const FORMAT_ALIASES = { md: "markdown" };
+const EXPORT_TIMEZONE = "Asia/Jerusalem";
+const ROLE_LABELS = { user: "סטודנט", assistant: "הבוט" };
+const DEFAULT_THREAD_TITLE = "השיחה הכללית";
+const MATHJAX_URL = "https://cdn.jsdelivr.net/npm/mathjax@3/es5/tex-chtml.js";
+
+function exportError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * הפורמט מה-query (ברירת מחדל markdown)
+ * @param {string} format - "markdown" / "md" / "html" / "json"
+ * @returns {string}
+ * @throws {Error} - err.status = 400 לפורמט לא מוכר
+ */
+export function parseExportFormat(format) {
+  const value = (format || "markdown").toString().trim().toLowerCase();
+  const normalized = FORMAT_ALIASES[value] || value;
+  if (!EXPORT_FORMATS[normalized]) {
+    throw exportError(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`, 400);
+  }
+  return normalized;
+}
+
+function formatTimestamp(iso) {
+  if (!iso) return "";
+  return new Intl.DateTimeFormat("he-IL", { timeZone: EXPORT_TIMEZONE, dateStyle: "short", timeStyle: "short" }).format(new Date(iso));
+}
+
+// ההודעות מקובצות לפי שיחה, בסדר שבו כל שיחה התחילה (בייצוא של שיחה אחת - קבוצה אחת)
+function groupByThread(messages, sessions) {
+  const titles = new Map(sessions.map((session) => [session.session_id, session.title]));
+  const threads = new Map();
+  for (const message of messages) {
+    const key = message.session_id || "";
+    if (!threads.has(key)) {
+      threads.set(key, {
+        session_id: message.session_id,
+        title: message.session_id ? titles.get(message.session_id) || message.session_id : DEFAULT_THREAD_TITLE,
+        messages: [],
+      });
+    }
+    threads.get(key).messages.push(message);
+  }
+  return [...threads.values()];
+}
+
+function citationLine(citation) {
+  const location = formatChunkLocation(citation) || "מקור לא ידוע";
+  return citation.snippet ? `[${citation.n}] ${location} – "${citation.snippet}"` : `[${citation.n}] ${location}`;
+}
+
+function renderMarkdown({ title, exportedAt, threads, truncated }) {
+  const lines = [`# ${title}`, "", `יוצא ב-${formatTimestamp(exportedAt)}`];
+  if (truncated) lines.push("", "> הייצוא כולל רק את ההודעות האחרונות.");
+
+  for (const thread of threads) {
+    if (threads.length > 1) lines.push("", `## ${thread.title}`);
+    for (const message of thread.messages) {
+      lines.push("", `**${ROLE_LABELS[message.role] || message.role}** · ${formatTimestamp(message.created_at)}`, "", message.content);
+      if (message.citations.length > 0) {
+        lines.push("", "מקורות:");
+        message.citations.forEach((citation) => lines.push(`- ${citationLine(citation)}`));
+      }
+      lines.push("", "---");
+    }
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// התוכן מוצג עם white-space: pre-wrap; מודגש (**...**) הוא ה-markdown היחיד שמומר - הנוסחאות נשארות טקסט ל-MathJax
+function messageHtml(content) {
+  return escapeHtml(content).replace(/\*\*([^*\n]+)\*\*/g, "<strong>$1</strong>");
+}
+
+function renderHtml({ title, exportedAt, threads, truncated }) {
+  const body = threads.map((thread) => {
+    const messages = thread.messages.map((message) => {
+      const citations = message.citations.length > 0
+        ? `<ul class="citations">${message.citations.map((citation) => `<li>${escapeHtml(citationLine(citation))}</li>`).join("")}</ul>`
+        : "";
+      return `<article class="message ${escapeHtml(message.role)}">
+<header><strong>${escapeHtml(ROLE_LABELS[message.role] || message.role)}</strong> <time datetime="${escapeHtml(message.created_at || "")}">${escapeHtml(formatTimestamp(message.created_at))}</time></header>
+<div class="content">${messageHtml(message.content)}</div>${citations}
+</article>`;
+    }).join("\n");
+    return `${threads.length > 1 ? `<h2>${escapeHtml(thread.title)}</h2>\n` : ""}${messages}`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="he" dir="rtl">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<script>
+window.MathJax = { tex: { inlineMath: [["$", "$"], ["\\\\(", "\\\\)"]], displayMath: [["$$", "$$"], ["\\\\[", "\\\\]"]] } };
+</script>
+<script async src="${MATHJAX_URL}"></script>
+<style>
+body { font-family: Arial, "Segoe UI", sans-serif; max-width: 820px; margin: 2rem auto; padding: 0 1rem; line-height: 1.6; color: #222; }
+.meta, time { color: #777; font-size: 0.85rem; }
+.message { border-radius: 8px; padding: 0.75rem 1rem; margin: 1rem 0; }
+.message.user { background: #eef4ff; }
+.message.assistant { background: #f6f6f6; }
+.content { white-space: pre-wrap; }
+.citations { font-size: 0.85rem; color: #555; border-top: 1px solid #ddd; padding: 0.5rem 0 0; list-style: none; }
+mjx-container { direction: ltr; unicode-bidi: isolate; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">יוצא ב-${escapeHtml(formatTimestamp(exportedAt))}${truncated ? " · הייצוא כולל רק את ההודעות האחרונות" : ""}</p>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * ייצוא השיחה בפורמט המבוקש
+ * @param {object} data - { email, session (השיחה, או null לכל השיחות), sessions (כל השיחות של המשתמש, לכותרות), messages, truncated }
+ * @param {string} format - מ-parseExportFormat
+ * @returns {{ body: string, contentType: string, filename: string }}
+ */
+export function renderConversationExport({ email, session = null, sessions = [], messages, truncated = false }, format) {
+  const exportedAt = new Date().toISOString();
+  const title = session ? session.title : "היסטוריית השיחות";
+  const threads = groupByThread(messages, session ? [session] : sessions);
+
+  let body;
+  if (format === "json") {
+    body = JSON.stringify({
+      exported_at: exportedAt,
+      email,
+      session: session || null,
+      truncated,
+      messages,
+    }, null, 2);
+  } else if (format === "html") {
+    body = renderHtml({ title, exportedAt, threads, truncated });
+  } else {
+    body = renderMarkdown({ title, exportedAt, threads, truncated });
+  }
+
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  const filename = `chat-${session ? session.session_id : "all"}-${exportedAt.slice(0, 10)}.${extension}`;
+  return { body, contentType, filename };
+}
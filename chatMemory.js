@@ -1,9 +1,19 @@
 // chatMemory.js - מערכת זיכרון לשיחות צ'אט עם Firestore
 import admin from "firebase-admin";
+import { deleteQueryInBatches } from "./firestoreBatches.js";
 
 let firestoreDb = null;
 const MAX_HISTORY_MESSAGES = parseInt(process.env.MAX_HISTORY_MESSAGES || "20", 10);
 const MAX_STORED_MESSAGES_PER_USER = parseInt(process.env.MAX_STORED_MESSAGES_PER_USER || "200", 10);
+const HISTORY_PAGE_DEFAULT = 50;
+const HISTORY_PAGE_MAX = 100;
+const HISTORY_SCAN_BATCH_MAX = 200; // בשיחה הכללית - הודעות שנסרקות בכל סבב (כולל הודעות של שיחות אחרות שמדולגות)
+const HISTORY_MAX_SCANS = 5; // עמוד שלא התמלא אחרי 5 סבבים מוחזר חלקי, עם cursor להמשך
+const EXPORT_MAX_MESSAGES = 2000; // ייצוא שיחה - ההודעות האחרונות עד הגבול הזה
+const CLEANUP_STATE_COLLECTION = "retention_state";
+const CLEANUP_STATE_DOC = "stored_message_limit"; // { scanned_until } - עד איפה נסרקו הודעות חדשות בריצה המוצלחת האחרונה
+const CLEANUP_SCAN_PAGE = 500;
+const CLEANUP_SCAN_OVERLAP_MS = 5 * 60 * 1000; // הודעה שנשמרת בזמן הסריקה מקבלת createdAt של השרת, קצת לפני שהיא נראית
 
 /**
  * אתחול מערכת הזיכרון
@@ -51,19 +61,7 @@ export async function saveChatMessage(userId, role, content, metadata = {}) {
     const docRef = await firestoreDb.collection("chat_messages").add(messageData);
     console.log(`[ChatMemory] Saved ${role} message for user ${userId.substring(0, 10)}... (ID: ${docRef.id})`);
 
-    // ניקוי הודעות ישנות - רץ ברקע (לא חוסם את התגובה)
-    // רץ רק כל 50 הודעות (במקום כל הודעה) כדי להפחית קריאות ל-Firestore
-    // נבדוק אם זה הודעה מספר 50, 100, 150 וכו' לפני הרצת cleanup
-    const shouldRunCleanup = Math.random() < 0.02; // רק 2% מההודעות יגרמו ל-cleanup (כל 50 בממוצע)
-    if (shouldRunCleanup) {
-      cleanupOldMessages(userId).catch(err => {
-        if (err.code === 8 || err.message?.includes("Quota exceeded")) {
-          console.warn("[ChatMemory] Firestore quota exceeded - skipping cleanup");
-        } else {
-          console.error("[ChatMemory] Background cleanup failed:", err);
-        }
-      });
-    }
+    // ניקוי הודעות מעבר ל-MAX_STORED_MESSAGES_PER_USER - ב-job השמירה (privacy.js), לא בזמן הבקשה
 
     return docRef.id;
   } catch (error) {
@@ -76,13 +74,93 @@ export async function saveChatMessage(userId, role, content, metadata = {}) {
   }
 }
 
+// ההודעות של המשתמש (או של שיחה אחת שלו) מהחדשה לישנה. דורש את האינדקסים המורכבים ב-firestore.indexes.json:
+// userId + createdAt, ו-userId + sessionId + createdAt. document id שובר שוויון בין הודעות עם אותו createdAt.
+function recentMessagesQuery(normalizedUserId, sessionId) {
+  let query = firestoreDb.collection("chat_messages").where("userId", "==", normalizedUserId);
+  if (sessionId) {
+    query = query.where("sessionId", "==", sessionId);
+  }
+  return query
+    .orderBy("createdAt", "desc")
+    .orderBy(admin.firestore.FieldPath.documentId(), "desc");
+}
+
+function historyError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * cursor = המיקום של ההודעה האחרונה שנסרקה (createdAt מלא, עם ננו-שניות, ו-document id), מקודד ל-base64url
+ * @param {DocumentSnapshot} doc - מסמך ב-chat_messages
+ * @returns {string}
+ */
+export function encodeCursor(doc) {
+  const createdAt = doc.data().createdAt;
+  return Buffer.from(JSON.stringify({ s: createdAt.seconds, n: createdAt.nanoseconds, id: doc.id })).toString("base64url");
+}
+
+/**
+ * פענוח cursor מ-encodeCursor
+ * @param {string} cursor - ה-cursor שהלקוח שלח
+ * @returns {{ createdAt: Timestamp, id: string }}
+ * @throws {Error} - err.status = 400 ל-cursor לא תקין
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { s, n, id } = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!Number.isInteger(s) || !Number.isInteger(n) || typeof id !== "string" || !id) throw new Error("bad cursor");
+    return { createdAt: new admin.firestore.Timestamp(s, n), id };
+  } catch {
+    throw historyError("Invalid cursor", 400);
+  }
+}
+
+/**
+ * ה-limit ההודעות האחרונות (מהחדשה לישנה) לפני ה-cursor. בשיחה הכללית (בלי sessionId) הודעות של שיחות אחרות
+ * מדולגות - אין להן שדה לסנן לפיו (להודעות מלפני השיחות אין sessionId בכלל) - ולכן הסריקה נעשית בכמה סבבים.
+ * @returns {Promise<{ docs: Array<DocumentSnapshot>, nextCursor: string|null }>}
+ */
+async function fetchRecentMessages(normalizedUserId, sessionId, limit, cursor = null) {
+  const batchSize = sessionId ? limit : Math.min(limit * 2, HISTORY_SCAN_BATCH_MAX);
+  const docs = [];
+  let position = cursor ? decodeCursor(cursor) : null;
+  let positionDoc = null;
+  let exhausted = false;
+
+  for (let scan = 0; docs.length < limit && !exhausted && scan < HISTORY_MAX_SCANS; scan++) {
+    let query = recentMessagesQuery(normalizedUserId, sessionId).limit(batchSize);
+    if (positionDoc) {
+      query = query.startAfter(positionDoc);
+    } else if (position) {
+      query = query.startAfter(position.createdAt, position.id);
+    }
+    const snapshot = await query.get();
+    exhausted = snapshot.size < batchSize;
+
+    for (const [i, doc] of snapshot.docs.entries()) {
+      positionDoc = doc;
+      if (sessionId || !doc.data().sessionId) docs.push(doc);
+      if (docs.length === limit) {
+        if (i < snapshot.docs.length - 1) exhausted = false;
+        break;
+      }
+    }
+  }
+
+  return { docs, nextCursor: exhausted || !positionDoc ? null : encodeCursor(positionDoc) };
+}
+
 /**
- * טעינת היסטוריית השיחה של משתמש
+ * טעינת היסטוריית השיחה של משתמש - ה-limit ההודעות האחרונות לפי createdAt, מהישנה לחדשה (ה-context של המודל)
  * @param {string} userId - מזהה משתמש (email)
  * @param {number} limit - מספר ההודעות האחרונות לטעון (default: MAX_HISTORY_MESSAGES)
+ * @param {string|null} sessionId - השיחה (chatSessions.js); null = השיחה הכללית - הודעות בלי sessionId
  * @returns {Promise<Array>} - מערך של הודעות בפורמט OpenAI messages
  */
-export async function getUserConversationHistory(userId, limit = MAX_HISTORY_MESSAGES) {
+export async function getUserConversationHistory(userId, limit = MAX_HISTORY_MESSAGES, sessionId = null) {
   if (!firestoreDb) {
     console.warn("[ChatMemory] Cannot load history - Firestore not initialized");
     return [];
@@ -95,36 +173,23 @@ export async function getUserConversationHistory(userId, limit = MAX_HISTORY_MES
 
   try {
     const normalizedUserId = userId.toLowerCase().trim();
-    
-    // טעינת ההודעות של המשתמש - ללא orderBy כדי להימנע מדרישת אינדקס ומגבלת quota
-    // נטען רק את ה-limit האחרונות ישירות (לא כפול) כדי להפחית קריאות
-    const snapshot = await firestoreDb
-      .collection("chat_messages")
-      .where("userId", "==", normalizedUserId)
-      .limit(limit) // רק את ה-limit האחרונות (לא כפול) כדי להפחית קריאות
-      .get();
-
-    if (snapshot.empty) {
+    const { docs } = await fetchRecentMessages(normalizedUserId, sessionId, limit);
+
+    if (docs.length === 0) {
       console.log(`[ChatMemory] No history found for user ${normalizedUserId.substring(0, 10)}...`);
       return [];
     }
 
-    // המרה ל-array וממיון לפי זמן (הכי ישן ראשון) - רק את ה-limit האחרונות
-    let messages = snapshot.docs
+    // הסריקה מהחדשה לישנה - ה-context של המודל מהישנה לחדשה
+    const messages = docs
+      .reverse()
       .map(doc => {
         const data = doc.data();
         return {
           role: data.role, // "user" או "assistant"
-          content: data.content,
-          createdAt: data.createdAt ? data.createdAt.toMillis() : 0 // המרה ל-timestamp למיון
+          content: data.content
         };
-      })
-      .sort((a, b) => a.createdAt - b.createdAt) // מיון לפי זמן (ישן → חדש)
-      .slice(-limit) // לוקח רק את ה-limit האחרונות
-      .map(msg => ({
-        role: msg.role,
-        content: msg.content
-      })); // הסרת createdAt מהתוצאה הסופית
+      });
 
     console.log(`[ChatMemory] Loaded ${messages.length} messages for user ${normalizedUserId.substring(0, 10)}...`);
     if (messages.length > 0) {
@@ -132,13 +197,16 @@ export async function getUserConversationHistory(userId, limit = MAX_HISTORY_MES
       console.log(`[ChatMemory] Last message: ${messages[messages.length - 1].role} - ${messages[messages.length - 1].content.substring(0, 50)}...`);
       // לוג מפורט יותר כדי לבדוק שההיסטוריה נטענת נכון
       console.log(`[ChatMemory] Full history:`, JSON.stringify(messages.map(m => ({ role: m.role, content: m.content.substring(0, 100) })), null, 2));
-    } else {
-      console.warn(`[ChatMemory] No messages loaded - this might cause context loss!`);
     }
     return messages;
   } catch (error) {
     console.error("[ChatMemory] Error loading conversation history:", error);
     console.error("[ChatMemory] Error details:", error.message);
+
+    // אינדקס חסר (FAILED_PRECONDITION) - ההודעה של Firestore כוללת קישור ליצירת האינדקס
+    if (error.code === 9) {
+      console.error("[ChatMemory] Missing composite index for chat_messages - deploy firestore.indexes.json");
+    }
     
     // אם זו שגיאת quota, נחזיר מערך ריק כדי לא לחסום את התגובה
     if (error.code === 8 || error.message?.includes("Quota exceeded") || error.message?.includes("RESOURCE_EXHAUSTED")) {
@@ -151,103 +219,190 @@ export async function getUserConversationHistory(userId, limit = MAX_HISTORY_MES
 }
 
 /**
- * ניקוי הודעות ישנות - שמירה רק על ה-MAX_STORED_MESSAGES_PER_USER האחרונות
+ * עמוד של היסטוריית השיחה (GET /api/chat-history): העמוד הראשון הוא ההודעות האחרונות, ו-next_cursor מחזיר את
+ * ההודעות שלפניהן. בתוך עמוד ההודעות ממוינות לפי createdAt מהישנה לחדשה, כמו שהן מוצגות בצ'אט.
  * @param {string} userId - מזהה משתמש (email)
+ * @param {object} options - { sessionId, limit (1-HISTORY_PAGE_MAX, ברירת מחדל 50), cursor }
+ * @returns {Promise<{ messages: Array<object>, next_cursor: string|null, has_more: boolean }>}
+ * @throws {Error} - err.status = 400 ל-limit או cursor לא תקינים
  */
-async function cleanupOldMessages(userId) {
-  if (!firestoreDb) return;
+export async function getChatHistoryPage(userId, { sessionId = null, limit = HISTORY_PAGE_DEFAULT, cursor = null } = {}) {
+  if (!firestoreDb) {
+    throw new Error("Chat memory not initialized");
+  }
 
-  try {
-    const normalizedUserId = userId.toLowerCase().trim();
-    
-    // טעינת כל ההודעות - ללא orderBy כדי להימנע מדרישת אינדקס ומגבלת quota
-    const snapshot = await firestoreDb
-      .collection("chat_messages")
-      .where("userId", "==", normalizedUserId)
-      .limit(MAX_STORED_MESSAGES_PER_USER * 2) // לוקח רק כפול מהמקסימום כדי לא להעמיס
-      .get();
-
-    if (snapshot.size <= MAX_STORED_MESSAGES_PER_USER) {
-      return; // אין צורך בניקוי
-    }
+  const pageSize = Number(limit ?? HISTORY_PAGE_DEFAULT);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > HISTORY_PAGE_MAX) {
+    throw historyError(`limit must be an integer between 1 and ${HISTORY_PAGE_MAX}`, 400);
+  }
 
-    // מיון ב-JavaScript לפי זמן (הכי חדש ראשון)
-    const sortedDocs = snapshot.docs
-      .map(doc => ({
-        doc,
-        createdAt: doc.data().createdAt ? doc.data().createdAt.toMillis() : 0
-      }))
-      .filter(item => item.createdAt > 0) // רק docs עם תאריך תקין
-      .sort((a, b) => b.createdAt - a.createdAt); // מיון יורד (חדש → ישן)
-
-    // מחיקת ההודעות הישנות ביותר (מעבר ל-MAX_STORED_MESSAGES_PER_USER)
-    const messagesToDelete = sortedDocs.slice(MAX_STORED_MESSAGES_PER_USER).map(item => item.doc);
-    
-    if (messagesToDelete.length === 0) {
-      return;
-    }
+  const { docs, nextCursor } = await fetchRecentMessages(userId.toLowerCase().trim(), sessionId, pageSize, cursor || null);
+  const messages = docs.reverse().map(serializeMessage);
+  return { messages, next_cursor: nextCursor, has_more: nextCursor !== null };
+}
 
-    // מחיקה בבאצ'ים של 500 (מגבלת Firestore)
-    const batchSize = 500;
-    for (let i = 0; i < messagesToDelete.length; i += batchSize) {
-      const batch = firestoreDb.batch();
-      const batchDocs = messagesToDelete.slice(i, i + batchSize);
-      
-      batchDocs.forEach((doc) => {
-        batch.delete(doc.ref);
-      });
-      
-      await batch.commit();
-    }
-    
-    console.log(`[ChatMemory] Cleaned up ${messagesToDelete.length} old messages for user ${normalizedUserId.substring(0, 10)}...`);
-  } catch (error) {
-    console.error("[ChatMemory] Error cleaning up old messages:", error);
-    console.error("[ChatMemory] Cleanup error details:", error.message);
-    
-    // אם זו שגיאת quota, פשוט נדלג על הניקוי
-    if (error.code === 8 || error.message?.includes("Quota exceeded") || error.message?.includes("RESOURCE_EXHAUSTED")) {
-      console.warn("[ChatMemory] Firestore quota exceeded - skipping cleanup");
-      return;
+function serializeMessage(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    role: data.role,
+    content: data.content,
+    session_id: data.sessionId || null,
+    created_at: data.createdAt?.toDate?.()?.toISOString() || null,
+    citations: data.citations || [],
+  };
+}
+
+/**
+ * כל ההודעות של המשתמש, או של שיחה אחת שלו, מהישנה לחדשה (לייצוא השיחה). בלי sessionId - ההודעות של כל השיחות
+ * (כל הודעה עם ה-session_id שלה). מעבר ל-EXPORT_MAX_MESSAGES - רק האחרונות.
+ * @param {string} userId - מזהה משתמש (email)
+ * @param {object} options - { sessionId }
+ * @returns {Promise<{ messages: Array<object>, truncated: boolean }>}
+ */
+export async function listChatMessages(userId, { sessionId = null } = {}) {
+  if (!firestoreDb) {
+    throw new Error("Chat memory not initialized");
+  }
+
+  const docs = [];
+  let lastDoc = null;
+  while (docs.length < EXPORT_MAX_MESSAGES) {
+    let query = recentMessagesQuery(userId.toLowerCase().trim(), sessionId)
+      .limit(Math.min(HISTORY_SCAN_BATCH_MAX, EXPORT_MAX_MESSAGES - docs.length));
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
     }
-    
-    // לא נזרוק שגיאה - זה לא קריטי
+    const snapshot = await query.get();
+    docs.push(...snapshot.docs);
+    if (snapshot.empty || docs.length >= EXPORT_MAX_MESSAGES || snapshot.size < HISTORY_SCAN_BATCH_MAX) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  let truncated = false;
+  if (docs.length >= EXPORT_MAX_MESSAGES) {
+    // בדיקה אם נשארו הודעות ישנות יותר מעבר לגבול
+    const more = await recentMessagesQuery(userId.toLowerCase().trim(), sessionId).startAfter(docs[docs.length - 1]).limit(1).get();
+    truncated = !more.empty;
   }
+  return { messages: docs.reverse().map(serializeMessage), truncated };
 }
 
 /**
- * מחיקת כל ההיסטוריה של משתמש (לצורך privacy/GDPR)
+ * ניקוי הודעות ישנות - שמירה רק על ה-MAX_STORED_MESSAGES_PER_USER האחרונות
  * @param {string} userId - מזהה משתמש (email)
+ * @returns {Promise<number>} - מספר ההודעות שנמחקו
  */
-export async function deleteUserHistory(userId) {
-  if (!firestoreDb) {
-    console.warn("[ChatMemory] Cannot delete history - Firestore not initialized");
-    return false;
+async function cleanupOldMessages(userId) {
+  const normalizedUserId = userId.toLowerCase().trim();
+
+  // כל מה שאחרי ה-MAX_STORED_MESSAGES_PER_USER החדשות ביותר (אותו אינדקס של ההיסטוריה)
+  const deleted = await deleteQueryInBatches(
+    firestoreDb,
+    recentMessagesQuery(normalizedUserId, null).offset(MAX_STORED_MESSAGES_PER_USER)
+  );
+  if (deleted > 0) {
+    console.log(`[ChatMemory] Cleaned up ${deleted} old messages for user ${normalizedUserId.substring(0, 10)}...`);
   }
+  return deleted;
+}
 
-  try {
-    const normalizedUserId = userId.toLowerCase().trim();
-    
-    const snapshot = await firestoreDb
-      .collection("chat_messages")
-      .where("userId", "==", normalizedUserId)
-      .get();
+// המשתמשים שנשמרו להם הודעות מאז since, בעמודים לפי createdAt (האינדקס האוטומטי של השדה)
+async function usersWithMessagesSince(since) {
+  const users = new Set();
+  const query = firestoreDb.collection("chat_messages")
+    .where("createdAt", ">=", since)
+    .orderBy("createdAt")
+    .select("userId", "createdAt");
+  let last = null;
+  for (;;) {
+    const page = await (last ? query.startAfter(last) : query).limit(CLEANUP_SCAN_PAGE).get();
+    page.docs.forEach((doc) => {
+      const userId = doc.get("userId");
+      if (userId) users.add(userId);
+    });
+    if (page.size < CLEANUP_SCAN_PAGE) break;
+    last = page.docs[page.docs.length - 1];
+  }
+  return [...users];
+}
 
-    if (snapshot.empty) {
-      return true; // אין מה למחוק
+/**
+ * אכיפת MAX_STORED_MESSAGES_PER_USER על המשתמשים שנשמרו להם הודעות מאז הריצה המוצלחת הקודמת (רץ מ-job השמירה, privacy.js).
+ * המשתמשים נגזרים מ-chat_messages ולא מזיכרון התהליך, כך שזה עובד אחרי restart ועם כמה instances.
+ * נקודת הסריקה (retention_state/stored_message_limit) מתקדמת רק כשכל המשתמשים נוקו - אחרת הריצה הבאה סורקת שוב.
+ * @returns {Promise<{ users: number, deleted: number }>}
+ */
+export async function enforceStoredMessageLimit() {
+  if (!firestoreDb) return { users: 0, deleted: 0 };
+
+  const stateRef = firestoreDb.collection(CLEANUP_STATE_COLLECTION).doc(CLEANUP_STATE_DOC);
+  const state = await stateRef.get();
+  const since = (state.exists && state.get("scanned_until")) || admin.firestore.Timestamp.fromMillis(0);
+  const scanStartedAt = Date.now();
+  const users = await usersWithMessagesSince(since);
+
+  let deleted = 0;
+  let failed = false;
+  for (const userId of users) {
+    try {
+      deleted += await cleanupOldMessages(userId);
+    } catch (error) {
+      failed = true;
+      if (error.code === 8 || error.message?.includes("Quota exceeded") || error.message?.includes("RESOURCE_EXHAUSTED")) {
+        console.warn("[ChatMemory] Firestore quota exceeded - skipping cleanup");
+        break;
+      }
+      console.error("[ChatMemory] Error cleaning up old messages:", error.message);
     }
+  }
 
-    const batch = firestoreDb.batch();
-    snapshot.docs.forEach(doc => {
-      batch.delete(doc.ref);
+  if (!failed) {
+    await stateRef.set({
+      scanned_until: admin.firestore.Timestamp.fromMillis(scanStartedAt - CLEANUP_SCAN_OVERLAP_MS),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
     });
+  }
+  return { users: users.length, deleted };
+}
 
-    await batch.commit();
-    console.log(`[ChatMemory] Deleted ${snapshot.size} messages for user ${normalizedUserId.substring(0, 10)}...`);
-    return true;
-  } catch (error) {
-    console.error("[ChatMemory] Error deleting user history:", error);
-    return false;
+/**
+ * מחיקת כל ההיסטוריה של משתמש (לצורך privacy/GDPR) - בכל השיחות, ב-batches של עד 500
+ * @param {string} userId - מזהה משתמש (email)
+ * @returns {Promise<number>} - מספר ההודעות שנמחקו
+ */
+export async function deleteUserHistory(userId) {
+  if (!firestoreDb) {
+    throw new Error("Chat memory not initialized");
   }
+
+  const normalizedUserId = userId.toLowerCase().trim();
+  const deleted = await deleteQueryInBatches(
+    firestoreDb,
+    firestoreDb.collection("chat_messages").where("userId", "==", normalizedUserId)
+  );
+  console.log(`[ChatMemory] Deleted ${deleted} messages for user ${normalizedUserId.substring(0, 10)}...`);
+  return deleted;
 }
 
+
+/**
+ * מחיקת ההודעות של שיחה אחת (במחיקת שיחה - chatSessions.js)
+ * @param {string} userId - מזהה משתמש (email)
+ * @param {string} sessionId - מזהה השיחה
+ * @returns {Promise<number>} - מספר ההודעות שנמחקו
+ */
+export async function deleteSessionMessages(userId, sessionId) {
+  if (!firestoreDb) {
+    throw new Error("Chat memory not initialized");
+  }
+
+  const normalizedUserId = userId.toLowerCase().trim();
+  const deleted = await deleteQueryInBatches(
+    firestoreDb,
+    firestoreDb.collection("chat_messages").where("userId", "==", normalizedUserId).where("sessionId", "==", sessionId)
+  );
+
+  console.log(`[ChatMemory] Deleted ${deleted} messages of session ${sessionId} for user ${normalizedUserId.substring(0, 10)}...`);
+  return deleted;
+}
@@ -0,0 +1,270 @@
+// chatSessions.js - שיחות נפרדות (threads) לכל סטודנט: chat_sessions/{session_id}
+//
+// כל הודעה ב-chat_messages נשמרת עם sessionId, וההיסטוריה ומצב הנושא (topicState.js) נטענים לפי השיחה -
+// כך ששאלה על שיעורי בית מלפני שבוע לא נכנסת להכנה למבחן של היום. הודעות בלי sessionId (לפני השינוי,
+// או בקשה בלי session_id) הן "השיחה הכללית" של המשתמש, כמו קודם.
+import admin from "firebase-admin";
+import { randomUUID } from "crypto";
+import { deleteSessionMessages } from "./chatMemory.js";
+import { deleteUserState } from "./topicState.js";
+import { deleteConversationSummary } from "./conversationSummary.js";
+import { getCache, setCache, deleteCache, getChatSessionKey, DEFAULT_TTL } from "./cache.js";
+
+const SESSIONS_COLLECTION = "chat_sessions";
+const DEFAULT_TITLE = "שיחה חדשה";
+const MAX_TITLE_CHARS = 100;
+const AUTO_TITLE_CHARS = 60; // כותרת אוטומטית - תחילת ההודעה הראשונה בשיחה
+const MAX_SESSIONS_LISTED = 200; // 200 השיחות שעודכנו לאחרונה (אינדקס email + updated_at ב-firestore.indexes.json)
+const SESSION_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/;
+
+let firestoreDb = null;
+
+/**
+ * אתחול השיחות
+ * @param {Firestore} firestoreInstance - מופע Firestore
+ */
+export function initChatSessions(firestoreInstance) {
+  firestoreDb = firestoreInstance;
+  if (firestoreDb) {
+    console.log("[ChatSessions] Initialized with Firestore");
+    return true;
+  } else {
+    console.warn("[ChatSessions] Firestore not available - conversation threads are disabled");
+    return false;
+  }
+}
+
+function sessionError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function normalizeEmail(email) {
+  return (email || "").toLowerCase().trim();
+}
+
+function serializeSession(data) {
+  return {
+    session_id: data.session_id,
+    title: data.title,
+    archived: Boolean(data.archived),
+    created_at: data.created_at?.toDate?.()?.toISOString() || null,
+    updated_at: data.updated_at?.toDate?.()?.toISOString() || null,
+    last_message_at: data.last_message_at?.toDate?.()?.toISOString() || null,
+  };
+}
+
+function validateTitle(title) {
+  if (typeof title !== "string" || !title.trim()) {
+    throw sessionError("title must be a non-empty string", 400);
+  }
+  if (title.trim().length > MAX_TITLE_CHARS) {
+    throw sessionError(`title must be at most ${MAX_TITLE_CHARS} characters`, 400);
+  }
+  return title.trim();
+}
+
+// המסמך של השיחה - רק אם היא של המשתמש (שיחה של משתמש אחר נראית כמו שיחה שלא קיימת)
+async function loadSessionDoc(email, sessionId) {
+  if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) return null;
+
+  const cacheKey = getChatSessionKey(sessionId);
+  let data = getCache(cacheKey);
+  if (!data) {
+    const snap = await firestoreDb.collection(SESSIONS_COLLECTION).doc(sessionId).get();
+    if (!snap.exists) return null;
+    data = snap.data();
+    setCache(cacheKey, data, DEFAULT_TTL.chatSession);
+  }
+  return data.email === normalizeEmail(email) ? data : null;
+}
+
+/**
+ * יצירת שיחה חדשה. בלי כותרת - "שיחה חדשה", שמוחלפת בתחילת ההודעה הראשונה.
+ * @param {string} email - מייל המשתמש
+ * @param {object} options - { title }
+ * @returns {Promise<object>} - השיחה
+ */
+export async function createChatSession(email, { title = null } = {}) {
+  if (!firestoreDb) {
+    throw new Error("Chat sessions not initialized");
+  }
+
+  const sessionId = randomUUID();
+  const hasTitle = title !== null && title !== undefined && title !== "";
+  const session = {
+    session_id: sessionId,
+    email: normalizeEmail(email),
+    title: hasTitle ? validateTitle(title) : DEFAULT_TITLE,
+    auto_title: !hasTitle,
+    archived: false,
+    last_message_at: null,
+  };
+  await firestoreDb.collection(SESSIONS_COLLECTION).doc(sessionId).set({
+    ...session,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  console.log(`[ChatSessions] Created session ${sessionId} for user ${session.email.substring(0, 10)}...`);
+  const now = new Date().toISOString();
+  return { ...serializeSession(session), created_at: now, updated_at: now };
+}
+
+/**
+ * השיחות של משתמש, מהפעילה לאחרונה. שיחות בארכיון רק עם includeArchived.
+ * @param {string} email - מייל המשתמש
+ * @param {object} options - { includeArchived }
+ * @returns {Promise<Array<object>>}
+ */
+export async function listChatSessions(email, { includeArchived = false } = {}) {
+  if (!firestoreDb) {
+    throw new Error("Chat sessions not initialized");
+  }
+
+  const snapshot = await firestoreDb
+    .collection(SESSIONS_COLLECTION)
+    .where("email", "==", normalizeEmail(email))
+    .orderBy("updated_at", "desc")
+    .limit(MAX_SESSIONS_LISTED)
+    .get();
+
+  return snapshot.docs
+    .map((doc) => serializeSession(doc.data()))
+    .filter((session) => includeArchived || !session.archived)
+    .sort((a, b) => (b.last_message_at || b.created_at || "").localeCompare(a.last_message_at || a.created_at || ""));
+}
+
+/**
+ * שיחה של המשתמש
+ * @param {string} email - מייל המשתמש
+ * @param {string} sessionId - מזהה השיחה
+ * @returns {Promise<object|null>} - null אם אין שיחה כזו למשתמש
+ */
+export async function getChatSession(email, sessionId) {
+  if (!firestoreDb) {
+    throw new Error("Chat sessions not initialized");
+  }
+  const data = await loadSessionDoc(email, sessionId);
+  return data ? serializeSession(data) : null;
+}
+
+/**
+ * שינוי שם / העברה לארכיון (או החזרה ממנו)
+ * @param {string} email - מייל המשתמש
+ * @param {string} sessionId - מזהה השיחה
+ * @param {object} patch - { title?, archived? }
+ * @returns {Promise<object>} - השיחה אחרי העדכון
+ * @throws {Error} - err.status = 400 לערך לא תקין, 404 לשיחה שלא קיימת
+ */
+export async function updateChatSession(email, sessionId, { title, archived } = {}) {
+  if (!firestoreDb) {
+    throw new Error("Chat sessions not initialized");
+  }
+
+  const update = {};
+  if (title !== undefined) {
+    update.title = validateTitle(title);
+    update.auto_title = false;
+  }
+  if (archived !== undefined) {
+    if (typeof archived !== "boolean") {
+      throw sessionError("archived must be a boolean", 400);
+    }
+    update.archived = archived;
+  }
+  if (Object.keys(update).length === 0) {
+    throw sessionError("Nothing to update - send title and/or archived", 400);
+  }
+
+  if (!(await loadSessionDoc(email, sessionId))) {
+    throw sessionError("Session not found", 404);
+  }
+
+  const ref = firestoreDb.collection(SESSIONS_COLLECTION).doc(sessionId);
+  await ref.update({ ...update, updated_at: admin.firestore.FieldValue.serverTimestamp() });
+  deleteCache(getChatSessionKey(sessionId));
+  return serializeSession((await ref.get()).data());
+}
+
+/**
+ * מחיקת שיחה: ההודעות שלה, מצב הנושא והסיכום שלה, והמסמך עצמו
+ * @param {string} email - מייל המשתמש
+ * @param {string} sessionId - מזהה השיחה
+ * @returns {Promise<{ session_id: string, deleted_messages: number }>}
+ * @throws {Error} - err.status = 404 לשיחה שלא קיימת
+ */
+export async function deleteChatSession(email, sessionId) {
+  if (!firestoreDb) {
+    throw new Error("Chat sessions not initialized");
+  }
+  if (!(await loadSessionDoc(email, sessionId))) {
+    throw sessionError("Session not found", 404);
+  }
+
+  // ההודעות קודם: אם המחיקה נקטעת באמצע, השיחה עדיין ברשימה ואפשר למחוק אותה שוב
+  const deletedMessages = await deleteSessionMessages(email, sessionId);
+  await deleteUserState(firestoreDb, email, sessionId);
+  await deleteConversationSummary(email, sessionId);
+  await firestoreDb.collection(SESSIONS_COLLECTION).doc(sessionId).delete();
+  deleteCache(getChatSessionKey(sessionId));
+
+  console.log(`[ChatSessions] Deleted session ${sessionId} (${deletedMessages} messages)`);
+  return { session_id: sessionId, deleted_messages: deletedMessages };
+}
+
+/**
+ * מחיקת כל השיחות של משתמש ומצבי הנושא שלהן (במחיקת ההיסטוריה - ההודעות נמחקות ב-deleteUserHistory,
+ * והסיכומים ב-deleteUserSummaries)
+ * @param {string} email - מייל המשתמש
+ * @returns {Promise<number>} - מספר השיחות שנמחקו
+ */
+export async function deleteUserSessions(email) {
+  if (!firestoreDb) return 0;
+
+  const snapshot = await firestoreDb.collection(SESSIONS_COLLECTION).where("email", "==", normalizeEmail(email)).get();
+  for (const doc of snapshot.docs) {
+    await deleteUserState(firestoreDb, email, doc.id);
+    await doc.ref.delete();
+    deleteCache(getChatSessionKey(doc.id));
+  }
+  if (snapshot.size > 0) {
+    console.log(`[ChatSessions] Deleted ${snapshot.size} sessions for user ${normalizeEmail(email).substring(0, 10)}...`);
+  }
+  return snapshot.size;
+}
+
+/**
+ * עדכון השיחה אחרי תור: זמן ההודעה האחרונה, כותרת אוטומטית מההודעה הראשונה, והחזרה מהארכיון
+ * (סטודנט שממשיך שיחה מהארכיון - היא חוזרת לרשימה). רץ ברקע - כשל לא משפיע על התשובה.
+ * @param {string} email - מייל המשתמש
+ * @param {string} sessionId - מזהה השיחה
+ * @param {string} prompt - ההודעה של הסטודנט בתור הזה
+ */
+export async function touchChatSession(email, sessionId, prompt) {
+  if (!firestoreDb) return;
+
+  try {
+    const data = await loadSessionDoc(email, sessionId);
+    if (!data) return;
+
+    const update = {
+      last_message_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      archived: false,
+    };
+    if (data.auto_title && prompt?.trim()) {
+      const text = prompt.replace(/\s+/g, " ").trim();
+      update.title = text.length > AUTO_TITLE_CHARS ? `${text.slice(0, AUTO_TITLE_CHARS - 1)}…` : text;
+      update.auto_title = false;
+    }
+    await firestoreDb.collection(SESSIONS_COLLECTION).doc(sessionId).update(update);
+    deleteCache(getChatSessionKey(sessionId));
+  } catch (e) {
+    if (e.code === 8 || e.message?.includes("Quota exceeded")) {
+      console.warn("[ChatSessions] Firestore quota exceeded - skipping session update");
+    } else {
+      console.warn(`[ChatSessions] Failed to update session ${sessionId}:`, e?.message || e);
+    }
+  }
+}
@@ -0,0 +1,246 @@
+// chunking.js - Page- and structure-aware chunking of course documents
+//
+// קלט: טקסט שבו עמודים מופרדים ב-PAGE_BREAK (\f) וכותרות מזוהות לפי דפוסים (Markdown "#", "פרק 3", "3.2 ...").
+// פלט: chunks עם מספר עמוד, הכותרת הקרובה ומסלול הכותרות - בלי לחתוך נוסחאות וטבלאות באמצע.
+
+export const PAGE_BREAK = "\f";
+
+const MAX_HEADING_LENGTH = 100;
+const MAX_ATOMIC_FACTOR = 4; // נוסחה/טבלה עד פי 4 מגודל chunk נשמרת שלמה; מעבר לזה מפוצלת לפי שורות
+
+const CHAPTER_PATTERN = /^(פרק|חלק|נספח|יחידה|chapter|part|unit|appendix)\s+([0-9]+|[א-ת]{1,2}['׳]?|[ivxlc]+)\b/i;
+const NUMBERED_HEADING_PATTERN = /^(\d+(?:\.\d+){1,3})\.?\s+(\S.*)$/; // רק מספור סעיפים עם נקודה (3.2) - "1. ..." הוא פריט ברשימה
+const MARKDOWN_HEADING_PATTERN = /^(#{1,6})\s+(.+)$/;
+const LATEX_PATTERN = /\\(frac|sum|int|sqrt|bar|hat|overline|mu|sigma|alpha|beta|lambda|theta|chi|cdot|times|le|ge|leq|geq|neq|approx|infty|left|right|begin)\b|\$[^$]+\$/;
+const MATH_CHARS = /[=+\-*/^_∑∫√±≤≥≠≈∞σμπαβλχθ²³()[\]{}<>|0-9.,]/g;
+
+/**
+ * חלוקת טקסט לקטעים לפי גבולות משפטים (ללא מבנה) - משמש גם לפיצול פסקאות ארוכות
+ * @param {string} text - הטקסט
+ * @param {number} chunkSize - גודל מקסימלי בתווים
+ * @param {number} overlap - חפיפה בתווים בין קטעים עוקבים
+ * @returns {string[]}
+ */
+export function splitTextIntoChunks(text, chunkSize = 500, overlap = 100) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    const end = Math.min(start + chunkSize, text.length);
+    let chunk = text.slice(start, end);
+
+    // מנסה לחתוך במשפט שלם אם אפשר
+    if (end < text.length) {
+      const lastPeriod = chunk.lastIndexOf(".");
+      const lastNewline = chunk.lastIndexOf("\n");
+      const cutPoint = Math.max(lastPeriod, lastNewline);
+
+      if (cutPoint > chunkSize * 0.5) {
+        chunk = chunk.slice(0, cutPoint + 1);
+        start += cutPoint + 1 - overlap;
+      } else {
+        start += chunkSize - overlap;
+      }
+    } else {
+      start = text.length;
+    }
+
+    chunks.push(chunk.trim());
+  }
+
+  return chunks.filter((chunk) => chunk.length > 0);
+}
+
+/**
+ * זיהוי כותרת ורמתה. מחזיר null אם השורה אינה כותרת.
+ * @param {string} line - שורה (אחרי trim)
+ * @returns {{ level: number, text: string }|null}
+ */
+function detectHeading(line) {
+  if (!line || line.length > MAX_HEADING_LENGTH) return null;
+
+  const markdown = line.match(MARKDOWN_HEADING_PATTERN);
+  if (markdown) return { level: markdown[1].length, text: markdown[2].trim() };
+
+  // כותרת לא מסתיימת בסימן פיסוק של משפט ולא מכילה נוסחה
+  if (/[.,;:?!]$/.test(line) || /[=≤≥]/.test(line)) return null;
+
+  if (CHAPTER_PATTERN.test(line)) return { level: 1, text: line };
+
+  // שורה שמסתיימת במספר ("2.5 ציון ממוצע 78") היא נתון ולא כותרת
+  const numbered = line.match(NUMBERED_HEADING_PATTERN);
+  if (numbered && !/\d$/.test(line) && /[A-Za-zא-ת]/.test(numbered[2]) && numbered[2].split(/\s+/).length <= 10) {
+    return { level: Math.min(numbered[1].split(".").length + 1, 6), text: line };
+  }
+
+  return null;
+}
+
+function isFormulaLine(line) {
+  if (LATEX_PATTERN.test(line)) return true;
+  if (!/[=≤≥≠≈]/.test(line) || line.length > 160) return false;
+  const mathCount = (line.replace(/\s/g, "").match(MATH_CHARS) || []).length;
+  return mathCount / Math.max(line.replace(/\s/g, "").length, 1) >= 0.35;
+}
+
+function isTableLine(line) {
+  if ((line.match(/\|/g) || []).length >= 2) return true;
+  if (line.includes("\t")) return true;
+  if (/\S {3,}\S.* {3,}\S/.test(line)) return true; // 3+ עמודות מיושרות ברווחים
+  const tokens = line.split(/\s+/).filter(Boolean);
+  const numeric = tokens.filter((t) => /^[-+]?\d+([.,]\d+)?%?$/.test(t)).length;
+  return tokens.length >= 3 && numeric / tokens.length >= 0.6;
+}
+
+/**
+ * פירוק המסמך לבלוקים: כותרות, פסקאות, נוסחאות וטבלאות, כל אחד עם מספר העמוד שלו
+ * @param {string} text - טקסט עם PAGE_BREAK בין עמודים
+ * @returns {Array<{ kind: string, text: string, page: number, level?: number }>}
+ */
+function parseBlocks(text) {
+  const blocks = [];
+  const pages = text.replace(/\r\n/g, "\n").split(PAGE_BREAK);
+
+  pages.forEach((pageText, pageIndex) => {
+    const page = pageIndex + 1;
+    let current = null;
+
+    const flush = () => {
+      if (current && current.lines.length > 0) {
+        blocks.push({ kind: current.kind, text: current.lines.join("\n"), page });
+      }
+      current = null;
+    };
+
+    for (const rawLine of pageText.split("\n")) {
+      const line = rawLine.trim();
+      if (!line) {
+        // שורה ריקה סוגרת פסקה, אבל לא נוסחה/טבלה (ב-PDF יש לעתים רווח בין שורות של טבלה)
+        if (current?.kind === "text") flush();
+        continue;
+      }
+
+      const heading = detectHeading(line);
+      if (heading) {
+        flush();
+        blocks.push({ kind: "heading", text: heading.text, level: heading.level, page });
+        continue;
+      }
+
+      const kind = isFormulaLine(line) ? "formula" : isTableLine(rawLine) ? "table" : "text";
+      if (!current || current.kind !== kind) {
+        flush();
+        current = { kind, lines: [] };
+      }
+      current.lines.push(kind === "table" ? rawLine.trimEnd() : line);
+    }
+    flush();
+  });
+
+  return blocks;
+}
+
+/**
+ * חלוקת מסמך ל-chunks תוך שמירת עמוד וכותרת
+ * - chunk לא חוצה כותרת (תחילת סעיף חדש פותחת chunk חדש)
+ * - נוסחאות וטבלאות לא נחתכות באמצע (אלא אם הן ארוכות מ-MAX_ATOMIC_FACTOR * chunkSize)
+ * - מספר העמוד נשמר רק אם במסמך יש PAGE_BREAK (PDF); לטקסט חופשי page = null
+ * @param {string} text - טקסט המסמך
+ * @param {object} options
+ * @param {number} options.chunkSize - גודל יעד בתווים (ברירת מחדל 500)
+ * @param {number} options.overlap - חפיפה בתווים בין chunks עוקבים באותו סעיף (ברירת מחדל 100)
+ * @returns {Array<{ text: string, page: number|null, page_end: number|null, heading: string|null, section_path: string[] }>}
+ */
+export function splitDocumentIntoChunks(text, options = {}) {
+  const chunkSize = options.chunkSize || 500;
+  const overlap = options.overlap ?? 100;
+  const hasPages = text.includes(PAGE_BREAK);
+  const maxAtomic = chunkSize * MAX_ATOMIC_FACTOR;
+
+  const chunks = [];
+  const headingStack = []; // [{ level, text }]
+  let pieces = []; // [{ text, page, atomic }]
+  let length = 0;
+
+  const currentPath = () => headingStack.map((h) => h.text);
+
+  const flush = (keepOverlap) => {
+    if (pieces.length === 0) return;
+    const chunkText = pieces.map((p) => p.text).join("\n").trim();
+    if (chunkText) {
+      const path = currentPath();
+      chunks.push({
+        text: chunkText,
+        page: hasPages ? pieces[0].page : null,
+        page_end: hasPages ? pieces[pieces.length - 1].page : null,
+        heading: path.length > 0 ? path[path.length - 1] : null,
+        section_path: path,
+      });
+    }
+
+    // חפיפה - סוף הפסקה האחרונה עובר ל-chunk הבא (לא מנוסחה/טבלה, ולא מעבר לכותרת)
+    const last = pieces[pieces.length - 1];
+    pieces = [];
+    length = 0;
+    if (keepOverlap && overlap > 0 && !last.atomic && last.text.length > overlap) {
+      const tail = last.text.slice(-overlap);
+      const wordStart = tail.search(/\s/);
+      const overlapText = (wordStart > -1 ? tail.slice(wordStart) : tail).trim();
+      if (overlapText) {
+        pieces.push({ text: overlapText, page: last.page, atomic: false, overlap: true });
+        length = overlapText.length;
+      }
+    }
+  };
+
+  const addPiece = (piece) => {
+    const onlyOverlap = pieces.length > 0 && pieces.every((p) => p.overlap);
+    if (pieces.length > 0 && !onlyOverlap && length + piece.text.length + 1 > chunkSize) {
+      flush(true);
+    }
+    pieces.push(piece);
+    length += piece.text.length + 1;
+  };
+
+  for (const block of parseBlocks(text)) {
+    if (block.kind === "heading") {
+      // כותרת ישר אחרי כותרת (פרק → סעיף ראשון) נשארת באותו chunk, אחרת מתחיל chunk חדש
+      if (!pieces.every((p) => p.heading)) flush(false);
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= block.level) {
+        headingStack.pop();
+      }
+      headingStack.push({ level: block.level, text: block.text });
+      pieces.push({ text: block.text, page: block.page, atomic: true, heading: true });
+      length += block.text.length + 1;
+      continue;
+    }
+
+    if (block.kind === "formula" || block.kind === "table") {
+      if (block.text.length <= maxAtomic) {
+        addPiece({ text: block.text, page: block.page, atomic: true });
+      } else {
+        // בלוק ענק - מפוצל לפי שורות, אף שורה לא נחתכת
+        let group = [];
+        let groupLength = 0;
+        for (const line of block.text.split("\n")) {
+          if (group.length > 0 && groupLength + line.length + 1 > chunkSize) {
+            addPiece({ text: group.join("\n"), page: block.page, atomic: true });
+            group = [];
+            groupLength = 0;
+          }
+          group.push(line);
+          groupLength += line.length + 1;
+        }
+        if (group.length > 0) addPiece({ text: group.join("\n"), page: block.page, atomic: true });
+      }
+      continue;
+    }
+
+    const paragraph = block.text.replace(/\n/g, " ");
+    const parts = paragraph.length > chunkSize ? splitTextIntoChunks(paragraph, chunkSize, 0) : [paragraph];
+    parts.forEach((part) => addPiece({ text: part, page: block.page, atomic: false }));
+  }
+  flush(false);
+
+  return chunks;
+}
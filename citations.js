@@ -0,0 +1,132 @@
+// citations.js - ציטוטים ברמת chunk: סימני [n] בתשובת המודל מול ה-citations שהוחזרו מ-RAG
+//
+// כל chunk ב-context ממוספר ([1], [2], ...) ולכל מספר יש citation (מקור, עמוד, chunk id, קטע). המודל מצטט בסימנים האלה,
+// והשרת מוחק סימן שאין מאחוריו citation - כך שכל [n] שהסטודנט רואה מוביל לקטע אמיתי מהחומר.
+
+const MARKER_PATTERN = /(\s?)\[(\d{1,3})\]/g; // הרווח שלפני הסימן נמחק יחד איתו
+// סוף טקסט שעשוי להיות תחילת סימן (" ", " [", "[1" - הרווח נמחק עם סימן לא תקין), של "$$" / "\$" או של "\["
+const PENDING_TAIL_PATTERN = /(?:\s?\\?\[\d{0,3}|\\?\$+|\\|\s)$/;
+const MATH_DELIMITER_PATTERN = /\\\$|\$\$|\$|\\[[\]()]/g; // "\$" הוא דולר רגיל, לא תחילת נוסחה
+const MATH_CLOSERS = { "$": "$", "$$": "$$", "\\[": "\\]", "\\(": "\\)" }; // \[...\] ו-\(...\) - כמו בתשובה הגולמית של המודל
+const COMMAND_BEFORE_PATTERN = /\\[A-Za-z]+\s*$/; // \sqrt[3]{8} - ארגומנט אופציונלי של פקודת LaTeX, לא ציטוט
+const CONTEXT_CHARS = 40; // כמה מהטקסט הקודם נשמר בהזרמה, לבדיקת פקודה שנחתכה בין tokens
+
+// הקטעים שבתוך נוסחה ($...$ / $$...$$ / \[...\] / \(...\)). open - הנוסחה שנשארה פתוחה מהחלק הקודם (בהזרמה).
+function scanMath(text, open) {
+  const ranges = [];
+  let start = open ? 0 : -1;
+  for (const match of text.matchAll(MATH_DELIMITER_PATTERN)) {
+    const delimiter = match[0];
+    if (!open) {
+      if (!MATH_CLOSERS[delimiter]) continue; // "\$", או סוגר בלי פותח
+      open = delimiter;
+      start = match.index;
+    } else if (delimiter === MATH_CLOSERS[open]) {
+      ranges.push([start, match.index + delimiter.length]);
+      open = null;
+    }
+  }
+  if (open) ranges.push([start, text.length]);
+  return { ranges, open };
+}
+
+// סימני [n] מחוץ לנוסחאות בלבד. state - המצב בין חלקים של תשובה מוזרמת (נוסחה פתוחה, סוף הטקסט הקודם).
+function filterMarkers(text, validNumbers, { cited, invalid }, state = { math: null, before: "" }) {
+  const { ranges, open } = scanMath(text, state.math);
+  const cleaned = text.replace(MARKER_PATTERN, (marker, space, digits, offset) => {
+    const bracket = offset + space.length;
+    if (ranges.some(([start, end]) => bracket >= start && bracket < end)) return marker;
+    if (COMMAND_BEFORE_PATTERN.test(state.before + text.slice(0, bracket))) return marker;
+
+    const n = Number(digits);
+    if (validNumbers.has(n)) {
+      cited?.add(n);
+      return marker;
+    }
+    invalid?.add(n);
+    return "";
+  });
+  state.math = open;
+  state.before = (state.before + text).slice(-CONTEXT_CHARS);
+  return cleaned;
+}
+
+/**
+ * בדיקת הסימנים בתשובה: סימן של מספר שאין לו citation נמחק, וכל citation מסומן אם צוטט.
+ * סוגריים בתוך נוסחה או אחרי פקודת LaTeX ($\sqrt[3]{8}$) לא נחשבים סימן. תור בלי citations (בלי RAG) לא נבדק.
+ * @param {string} answer - התשובה של המודל
+ * @param {Array<{ n: number }>} citations - ה-citations של התור (מ-getRAGContext)
+ * @returns {{ answer: string, citations: Array<object>, invalid: number[] }}
+ */
+export function validateCitationMarkers(answer, citations = []) {
+  if (citations.length === 0) {
+    return { answer, citations: [], invalid: [] };
+  }
+  const cited = new Set();
+  const invalid = new Set();
+  const cleaned = filterMarkers(answer || "", new Set(citations.map((citation) => citation.n)), { cited, invalid });
+  return {
+    answer: cleaned,
+    citations: citations.map((citation) => ({ ...citation, cited: cited.has(citation.n) })),
+    invalid: [...invalid],
+  };
+}
+
+/**
+ * אותה בדיקה על תשובה שמוזרמת: סימן (או "$$") שנחתך בין שני tokens מוחזק עד שהוא נסגר, כך שסימן לא תקין
+ * לא מגיע ללקוח, ונוסחה שנפתחה ב-token אחד נשמרת גם ב-tokens הבאים. תור בלי citations עובר כמו שהוא.
+ * result() מחזיר את ה-citations (עם cited) לפי מה שהוזרם בפועל - כך שהטקסט שנשמר וה-citations שלו זהים למה שהלקוח ראה.
+ * @param {Array<{ n: number }>} citations - ה-citations של התור
+ * @returns {{ push: (text: string) => string, flush: () => string, result: () => { citations: Array<object>, invalid: number[] } }}
+ */
+export function createCitationStreamFilter(citations = []) {
+  if (citations.length === 0) {
+    return { push: (text) => text, flush: () => "", result: () => ({ citations: [], invalid: [] }) };
+  }
+  const validNumbers = new Set(citations.map((citation) => citation.n));
+  const stats = { cited: new Set(), invalid: new Set() };
+  const state = { math: null, before: "" };
+  let pending = "";
+
+  return {
+    push(text) {
+      pending += text;
+      const tail = pending.match(PENDING_TAIL_PATTERN);
+      const ready = tail ? pending.slice(0, tail.index) : pending;
+      pending = tail ? pending.slice(tail.index) : "";
+      return filterMarkers(ready, validNumbers, stats, state);
+    },
+    flush() {
+      const rest = filterMarkers(pending, validNumbers, stats, state);
+      pending = "";
+      return rest;
+    },
+    result() {
+      return {
+        citations: citations.map((citation) => ({ ...citation, cited: stats.cited.has(citation.n) })),
+        invalid: [...stats.invalid],
+      };
+    },
+  };
+}
+
+/**
+ * ה-citations שנשמרים עם הודעת הבוט ב-chat_messages (לייצוא השיחה): רק מה שצוטט בתשובה, בלי הציונים של האחזור
+ * @param {Array<object>} citations - מ-validateCitationMarkers
+ * @returns {Array<object>}
+ */
+export function storedCitations(citations = []) {
+  return citations
+    .filter((citation) => citation.cited)
+    .map((citation) => ({
+      n: citation.n,
+      chunk_id: citation.chunk_id || null,
+      source: citation.source || null,
+      page: citation.page ?? null,
+      page_end: citation.page_end ?? null,
+      page_unit: citation.page_unit || null,
+      heading: citation.heading || null,
+      section_path: citation.section_path || [],
+      snippet: citation.snippet || "",
+    }));
+}
@@ -0,0 +1,199 @@
+// conversationSummary.js - סיכום מתגלגל של השיחה: מה שנחתך מחלון ההיסטוריה לא נשכח (chat_summaries/{email}[__session_id])
+//
+// ה-context של המודל כולל רק את ההודעות האחרונות שנכנסות בתקציב הטוקנים. הודעות שיצאו מהחלון מקופלות ברקע,
+// על ידי מודל קטן, לסיכום קצר: הנושאים, מה הסטודנט כבר יודע, טעויות שחזרו, ושאלות פתוחות. הסיכום נכנס לפרומפט
+// כהודעת system קומפקטית, לפני ההיסטוריה. הקיפול מצטבר: בכל ריענון הסיכום הקודם + ההודעות החדשות שיצאו מהחלון.
+import admin from "firebase-admin";
+import { createHash } from "crypto";
+import { stateDocId } from "./topicState.js";
+import { getCache, setCache, deleteCache, getConversationSummaryKey, DEFAULT_TTL } from "./cache.js";
+
+const SUMMARIES_COLLECTION = "chat_summaries";
+const MIN_MESSAGES_TO_FOLD = 4; // ריענון אחרי שני תורות שיצאו מהחלון - לא בקשה למודל בכל תור
+const MESSAGE_MAX_CHARS = 600; // הודעה ארוכה (פתרון מלא) נחתכת לפני הקיפול
+const SUMMARY_MAX_CHARS = 1200; // ~300 טוקנים - נגרע מתקציב ההיסטוריה
+
+let firestoreDb = null;
+let summaryOptions = { openai: null, model: "gpt-4o-mini" };
+const refreshing = new Set(); // ריענון אחד בכל פעם לכל שיחה (בתהליך הזה)
+
+/**
+ * אתחול הסיכומים
+ * @param {Firestore} firestoreInstance - מופע Firestore
+ * @param {object} options - { openai, model }
+ */
+export function initConversationSummaries(firestoreInstance, { openai = null, model = "gpt-4o-mini" } = {}) {
+  firestoreDb = firestoreInstance;
+  summaryOptions = { openai, model };
+  if (firestoreDb && openai) {
+    console.log(`[ConversationSummary] Initialized (model: ${model})`);
+    return true;
+  } else {
+    console.warn("[ConversationSummary] Firestore or OpenAI not available - conversation summaries are disabled");
+    return false;
+  }
+}
+
+// טביעת האצבע של שתי ההודעות האחרונות שקופלו - כך יודעים מאיפה להמשיך בחלק של ההיסטוריה שנחתך
+function foldedTailHash(messages) {
+  const hash = createHash("sha256");
+  messages.slice(-2).forEach((message) => hash.update(`${message.role}\n${message.content}\n`));
+  return hash.digest("hex");
+}
+
+// ההודעות שנחתכו ועוד לא נכנסו לסיכום: אחרי המקום שבו הקיפול הקודם נגמר. אם הוא כבר לא בהיסטוריה שנטענה - כולן.
+function unfoldedMessages(dropped, summary) {
+  if (!summary?.folded_tail_hash) return dropped;
+  for (let end = dropped.length; end >= 2; end--) {
+    if (foldedTailHash(dropped.slice(end - 2, end)) === summary.folded_tail_hash) {
+      return dropped.slice(end);
+    }
+  }
+  return dropped;
+}
+
+/**
+ * הסיכום של השיחה (עם cache), או null אם עוד אין
+ * @param {string} email - מייל המשתמש
+ * @param {string|null} sessionId - השיחה (null = השיחה הכללית)
+ * @returns {Promise<{ summary: string, folded_tail_hash: string, folded_count: number }|null>}
+ */
+export async function getConversationSummary(email, sessionId = null) {
+  if (!firestoreDb || !email) return null;
+
+  const cacheKey = getConversationSummaryKey(email, sessionId);
+  const cached = getCache(cacheKey);
+  if (cached) return cached.summary ? cached : null;
+
+  try {
+    const snap = await firestoreDb.collection(SUMMARIES_COLLECTION).doc(stateDocId(email, sessionId)).get();
+    const data = snap.exists ? snap.data() : {};
+    const summary = {
+      summary: data.summary || "",
+      folded_tail_hash: data.folded_tail_hash || null,
+      folded_count: data.folded_count || 0,
+    };
+    setCache(cacheKey, summary, DEFAULT_TTL.conversationSummary); // גם "אין סיכום" נשמר, כדי לא לקרוא בכל תור
+    return summary.summary ? summary : null;
+  } catch (e) {
+    console.warn("[ConversationSummary] Failed to load summary:", e?.message || e);
+    return null;
+  }
+}
+
+/**
+ * הודעת ה-system שמכניסה את הסיכום לפרומפט
+ * @param {{ summary: string }|null} summary - מ-getConversationSummary
+ * @returns {{ role: "system", content: string }|null}
+ */
+export function buildSummaryMessage(summary) {
+  if (!summary?.summary) return null;
+  return {
+    role: "system",
+    content: `Summary of the earlier part of this conversation with the student (older messages that are no longer shown below):\n${summary.summary}`,
+  };
+}
+
+async function llmFold(previousSummary, messages) {
+  const transcript = messages
+    .map((message) => `${message.role === "assistant" ? "tutor" : "student"}: ${(message.content || "").slice(0, MESSAGE_MAX_CHARS)}`)
+    .join("\n");
+  const completion = await summaryOptions.openai.chat.completions.create({
+    model: summaryOptions.model,
+    temperature: 0,
+    max_tokens: 350,
+    messages: [
+      {
+        role: "system",
+        content: "You maintain a running summary of a statistics tutoring conversation, so the tutor keeps continuity after old messages leave its context. " +
+          "Merge the previous summary with the new messages into one updated summary. Keep: the topics covered and in what order, what the student already understands, " +
+          "mistakes or misconceptions they showed, exercises in progress, and open questions or what was promised next. Drop greetings and small talk. " +
+          `Write in Hebrew, as short bullet points, at most ${SUMMARY_MAX_CHARS} characters. Return only the summary.`,
+      },
+      {
+        role: "user",
+        content: `Previous summary:\n${previousSummary || "(none)"}\n\nNew messages:\n${transcript}`,
+      },
+    ],
+  });
+  const summary = (completion.choices?.[0]?.message?.content || "").trim();
+  if (!summary) {
+    throw new Error("Summarizer returned an empty summary");
+  }
+  return summary.slice(0, SUMMARY_MAX_CHARS);
+}
+
+/**
+ * ריענון הסיכום ברקע, אחרי תור שבו הודעות יצאו מחלון ההיסטוריה. מקפל רק הודעות שעוד לא בסיכום,
+ * ורק כשהצטברו מספיק (MIN_MESSAGES_TO_FOLD). לא זורק - כשל משאיר את הסיכום הקודם.
+ * @param {string} email - מייל המשתמש
+ * @param {string|null} sessionId - השיחה
+ * @param {Array<{ role: string, content: string }>} dropped - ההודעות שנחתכו מהחלון בתור הזה (מהישנה לחדשה)
+ * @param {object|null} current - הסיכום שהתור השתמש בו (getConversationSummary)
+ * @returns {Promise<boolean>} - האם הסיכום עודכן
+ */
+export async function refreshConversationSummary(email, sessionId, dropped, current = null) {
+  if (!firestoreDb || !summaryOptions.openai || dropped.length === 0) return false;
+
+  const docId = stateDocId(email, sessionId);
+  const pending = unfoldedMessages(dropped, current);
+  if (pending.length < MIN_MESSAGES_TO_FOLD || refreshing.has(docId)) return false;
+
+  refreshing.add(docId);
+  try {
+    const summary = await llmFold(current?.summary, pending);
+    const data = {
+      summary,
+      folded_tail_hash: foldedTailHash(pending),
+      folded_count: (current?.folded_count || 0) + pending.length,
+    };
+    await firestoreDb.collection(SUMMARIES_COLLECTION).doc(docId).set({
+      email: (email || "").toLowerCase().trim(),
+      sessionId: sessionId || null,
+      ...data,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    setCache(getConversationSummaryKey(email, sessionId), data, DEFAULT_TTL.conversationSummary);
+    console.log(`[ConversationSummary] Folded ${pending.length} messages into the summary of ${docId.substring(0, 10)}... (${data.folded_count} total)`);
+    return true;
+  } catch (e) {
+    if (e.code === 8 || e.message?.includes("Quota exceeded")) {
+      console.warn("[ConversationSummary] Firestore quota exceeded - skipping summary refresh");
+    } else {
+      console.warn("[ConversationSummary] Summary refresh failed - keeping the previous summary:", e?.message || e);
+    }
+    return false;
+  } finally {
+    refreshing.delete(docId);
+  }
+}
+
+/**
+ * מחיקת הסיכום של שיחה (במחיקת שיחה)
+ * @param {string} email - מייל המשתמש
+ * @param {string|null} sessionId - השיחה
+ */
+export async function deleteConversationSummary(email, sessionId = null) {
+  if (!firestoreDb) return;
+  await firestoreDb.collection(SUMMARIES_COLLECTION).doc(stateDocId(email, sessionId)).delete();
+  deleteCache(getConversationSummaryKey(email, sessionId));
+}
+
+/**
+ * מחיקת כל הסיכומים של משתמש (במחיקת ההיסטוריה)
+ * @param {string} email - מייל המשתמש
+ * @returns {Promise<number>} - מספר הסיכומים שנמחקו
+ */
+export async function deleteUserSummaries(email) {
+  if (!firestoreDb) return 0;
+
+  const snapshot = await firestoreDb
+    .collection(SUMMARIES_COLLECTION)
+    .where("email", "==", (email || "").toLowerCase().trim())
+    .get();
+  for (const doc of snapshot.docs) {
+    await doc.ref.delete();
+    deleteCache(getConversationSummaryKey(email, doc.data().sessionId || null));
+  }
+  return snapshot.size;
+}
@@ -0,0 +1,97 @@
+// courseSettings.js - Per-course configuration stored in Firestore (course_settings/{course_name})
+import admin from "firebase-admin";
+import { getCache, setCache, deleteCache, getCourseSettingsKey, DEFAULT_TTL } from "./cache.js";
+
+const SETTINGS_COLLECTION = "course_settings";
+
+let firestoreDb = null;
+
+/**
+ * אתחול הגדרות הקורסים
+ * @param {Firestore} firestoreInstance - מופע Firestore
+ */
+export function initCourseSettings(firestoreInstance) {
+  firestoreDb = firestoreInstance;
+  if (firestoreDb) {
+    console.log("[CourseSettings] Initialized with Firestore");
+    return true;
+  } else {
+    console.warn("[CourseSettings] Firestore not available - using defaults for every course");
+    return false;
+  }
+}
+
+/**
+ * טעינת ההגדרות של קורס (עם cache). קורס ללא מסמך מקבל אובייקט ריק - כל מודול משלים ברירות מחדל משלו.
+ * @param {string} courseName - שם הקורס
+ * @returns {Promise<object>} - ההגדרות השמורות (למשל { quota: {...} })
+ */
+export async function getCourseSettings(courseName) {
+  if (!firestoreDb || !courseName) return {};
+
+  const cacheKey = getCourseSettingsKey(courseName);
+  const cached = getCache(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const snap = await firestoreDb.collection(SETTINGS_COLLECTION).doc(courseName).get();
+    const { updated_at, updated_by, ...settings } = snap.exists ? snap.data() || {} : {};
+    setCache(cacheKey, settings, DEFAULT_TTL.courseSettings);
+    return settings;
+  } catch (e) {
+    console.warn("[CourseSettings] getCourseSettings failed:", e?.message || e);
+    if (e.code === 8 || e.message?.includes("Quota exceeded") || e.message?.includes("RESOURCE_EXHAUSTED")) {
+      console.warn("[CourseSettings] Firestore quota exceeded - using defaults");
+    }
+    return {};
+  }
+}
+
+/**
+ * עדכון חלקי של הגדרות קורס (merge ברמת השדות העליונים)
+ * @param {string} courseName - שם הקורס
+ * @param {object} patch - שדות לעדכון, למשל { quota: { user_tokens_per_day: 20000 } }
+ * @param {string} updatedBy - מייל המעדכן
+ * @returns {Promise<object>} - ההגדרות אחרי העדכון
+ */
+export async function updateCourseSettings(courseName, patch, updatedBy = "") {
+  if (!firestoreDb) {
+    throw new Error("Course settings not initialized");
+  }
+
+  await firestoreDb.collection(SETTINGS_COLLECTION).doc(courseName).set(
+    {
+      ...patch,
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_by: updatedBy,
+    },
+    { merge: true }
+  );
+
+  deleteCache(getCourseSettingsKey(courseName));
+  console.log(`[CourseSettings] ${updatedBy || "system"} updated ${Object.keys(patch).join(",")} for course ${courseName}`);
+  return getCourseSettings(courseName);
+}
+
+/**
+ * המרצים של קורס - רשימת המיילים שמורשים לנהל אותו (מכסות, חומרים, אחזור). admin מנהל כל קורס בלי להופיע ברשימה.
+ * @param {string} courseName - שם הקורס
+ * @returns {Promise<string[]>} - מיילים (lowercase)
+ */
+export async function getCourseLecturers(courseName) {
+  const settings = await getCourseSettings(courseName);
+  return Array.isArray(settings.lecturers) ? settings.lecturers : [];
+}
+
+/**
+ * החלפת רשימת המרצים של קורס
+ * @param {string} courseName - שם הקורס
+ * @param {string[]} emails - המיילים של המרצים
+ * @param {string} updatedBy - מייל המעדכן
+ * @returns {Promise<string[]>} - הרשימה אחרי הנרמול
+ */
+export async function setCourseLecturers(courseName, emails, updatedBy = "") {
+  const lecturers = [...new Set(emails.map((email) => (email || "").toString().trim().toLowerCase()).filter(Boolean))];
+  const settings = await updateCourseSettings(courseName, { lecturers }, updatedBy);
+  return settings.lecturers || [];
+}
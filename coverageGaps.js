@@ -0,0 +1,113 @@
+// coverageGaps.js - שאלות שחומרי הקורס לא מכסים: התשובה לסטודנט ורישום ב-coverage_gaps למרצה
+// תור "לא מכוסה" לא עובר דרך המודל - כך אין סיכוי שהבוט יענה מידע כללי מחוץ לקורפוס.
+import admin from "firebase-admin";
+
+const GAPS_COLLECTION = "coverage_gaps";
+const MAX_RELATED_TOPICS = 3;
+const MAX_GAPS_SCANNED = 1000; // הרשימה למרצה מקובצת בזיכרון, מה-1000 השאלות האחרונות
+
+let firestoreDb = null;
+
+/**
+ * אתחול רישום פערי הכיסוי
+ * @param {Firestore} firestoreInstance - מופע Firestore
+ */
+export function initCoverageGaps(firestoreInstance) {
+  firestoreDb = firestoreInstance;
+  if (!firestoreDb) {
+    console.warn("[CoverageGaps] Firestore not available - coverage gaps will not be logged");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * התשובה לסטודנט כשאף קטע בחומרי הקורס לא רלוונטי מספיק לשאלה
+ * @param {string[]} relatedTopics - נושאים קרובים שכן קיימים בחומרי הקורס
+ * @returns {string}
+ */
+export function buildNotCoveredAnswer(relatedTopics = []) {
+  const topics = relatedTopics.slice(0, MAX_RELATED_TOPICS);
+  let answer = "שאלה טובה! 🙂 אבל חומרי הקורס שהועלו לא מכסים אותה, ואני עונה רק מתוך החומרים המאושרים של הקורס.";
+  if (topics.length > 0) {
+    answer += `\n\nנושאים קרובים שכן מופיעים בחומרי הקורס:\n${topics.map((topic) => `• ${topic}`).join("\n")}\n\nרוצה שנעבור על אחד מהם?`;
+  }
+  answer += "\n\nהשאלה נרשמה כדי שהמרצה תוכל לשקול להוסיף עליה חומר.";
+  return answer;
+}
+
+/**
+ * רישום שאלה שלא כוסתה (רץ ברקע - כשל לא משפיע על התשובה)
+ * @param {object} gap - { email, courseName, question, bestSimilarity, threshold, relatedTopics, requestId }
+ * @returns {Promise<string|null>} - id הרשומה
+ */
+export async function logCoverageGap({ email, courseName, question, bestSimilarity = null, threshold = null, relatedTopics = [], requestId = null }) {
+  if (!firestoreDb) return null;
+
+  try {
+    const ref = await firestoreDb.collection(GAPS_COLLECTION).add({
+      email: (email || "").toLowerCase().trim(),
+      course_name: courseName,
+      question,
+      best_similarity: bestSimilarity,
+      threshold,
+      related_topics: relatedTopics.slice(0, MAX_RELATED_TOPICS),
+      request_id: requestId,
+      created_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log(`[CoverageGaps] Logged uncovered question for course ${courseName} (best similarity ${bestSimilarity?.toFixed?.(3) ?? "n/a"})`);
+    return ref.id;
+  } catch (e) {
+    if (e.code === 8 || e.message?.includes("Quota exceeded")) {
+      console.warn("[CoverageGaps] Firestore quota exceeded - skipping log");
+    } else {
+      console.warn("[CoverageGaps] Failed to log coverage gap:", e?.message || e);
+    }
+    return null;
+  }
+}
+
+/**
+ * השאלות שלא כוסו בקורס, מקובצות לפי נוסח (לפי מספר הפעמים שנשאלו). בלי מיילים של סטודנטים.
+ * נסרקות השאלות האחרונות (created_at desc) - דורש את האינדקס course_name + created_at ב-firestore.indexes.json.
+ * @param {string} courseName - שם הקורס
+ * @param {object} options - { limit }
+ * @returns {Promise<Array<{ question: string, count: number, last_asked_at: string|null, best_similarity: number|null, related_topics: string[] }>>}
+ */
+export async function listCoverageGaps(courseName, { limit = 100 } = {}) {
+  if (!firestoreDb) {
+    throw new Error("Coverage gaps not initialized");
+  }
+
+  const snapshot = await firestoreDb
+    .collection(GAPS_COLLECTION)
+    .where("course_name", "==", courseName)
+    .orderBy("created_at", "desc")
+    .select("question", "best_similarity", "related_topics", "created_at")
+    .limit(MAX_GAPS_SCANNED)
+    .get();
+
+  const grouped = new Map();
+  snapshot.docs.forEach((doc) => {
+    const data = doc.data();
+    const key = (data.question || "").replace(/\s+/g, " ").trim().toLowerCase();
+    if (!key) return;
+    const askedAt = data.created_at?.toDate?.()?.toISOString() || null;
+    if (!grouped.has(key)) {
+      grouped.set(key, { question: data.question.trim(), count: 0, last_asked_at: null, best_similarity: null, related_topics: [] });
+    }
+    const row = grouped.get(key);
+    row.count++;
+    if (askedAt && (!row.last_asked_at || askedAt > row.last_asked_at)) {
+      row.last_asked_at = askedAt;
+      row.related_topics = data.related_topics || [];
+    }
+    if (typeof data.best_similarity === "number") {
+      row.best_similarity = Math.max(row.best_similarity ?? 0, data.best_similarity);
+    }
+  });
+
+  return [...grouped.values()]
+    .sort((a, b) => b.count - a.count || (b.last_asked_at || "").localeCompare(a.last_asked_at || ""))
+    .slice(0, limit);
+}
@@ -0,0 +1,276 @@
+// embeddingJobs.js - Persisted re-embedding jobs: moving a course's corpus to another embedding model (embedding_jobs/{job_id})
+//
+// ה-job כותב עותק של כל chunk פעיל במודל החדש, בזמן שהוקטורים הישנים ממשיכים לשרת חיפושים, ובסוף מחליף את
+// המודל הפעיל של הקורס בעדכון אחד (switchCourseEmbedding). ההתקדמות נגזרת מהנתונים עצמם - chunk שכבר יש לו
+// עותק במודל החדש מדולג - כך שגם job שנקטע (restart / CLI שנעצר) ממשיך מאותה נקודה.
+import admin from "firebase-admin";
+import { randomUUID } from "crypto";
+import { JOB_STATUS } from "./ingestionJobs.js";
+import { embeddingVersion, getCourseEmbedding, parseEmbeddingSpec, reembedCourseChunks, switchCourseEmbedding } from "./rag.js";
+
+const JOBS_COLLECTION = "embedding_jobs";
+const PROGRESS_WRITE_INTERVAL_MS = 2000; // עדכון progress ב-Firestore לכל היותר פעם ב-2 שניות
+
+export const JOB_RUNNERS = {
+  SERVER: "server", // רץ ברקע בשרת - מחודש אוטומטית אחרי restart
+  CLI: "cli", // reembed.js - מחודש כשמריצים שוב את אותה פקודה
+};
+
+let firestoreDb = null;
+const queue = []; // job ids שממתינים לעיבוד בשרת
+const runningJobs = new Set(); // job ids שמעובדים בתהליך הזה
+let workerRunning = false;
+
+/**
+ * אתחול מנגנון ה-jobs
+ * @param {Firestore} firestoreInstance - מופע Firestore
+ */
+export function initEmbeddingJobs(firestoreInstance) {
+  firestoreDb = firestoreInstance;
+  if (firestoreDb) {
+    console.log("[EmbeddingJobs] Initialized with Firestore");
+    return true;
+  } else {
+    console.warn("[EmbeddingJobs] Firestore not available - re-embedding is disabled");
+    return false;
+  }
+}
+
+function jobError(message, status, fields = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, fields);
+  return error;
+}
+
+function serializeJob(data) {
+  return {
+    ...data,
+    created_at: data.created_at?.toDate?.()?.toISOString() || null,
+    updated_at: data.updated_at?.toDate?.()?.toISOString() || null,
+    started_at: data.started_at?.toDate?.()?.toISOString() || null,
+    finished_at: data.finished_at?.toDate?.()?.toISOString() || null,
+  };
+}
+
+// ה-job שעוד לא הסתיים (queued / processing) של קורס, אם יש. בלי where על status - אינדקס של שדה אחד מספיק.
+async function findUnfinishedJob(courseName) {
+  const snapshot = await firestoreDb.collection(JOBS_COLLECTION).where("course_name", "==", courseName).get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .find((job) => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.PROCESSING) || null;
+}
+
+/**
+ * יצירת job של re-embedding לקורס - או המשך ה-job שלא הסתיים, אם הוא לאותו מודל.
+ * job לא גמור למודל אחר - שגיאה עם status=409. ב-runner "server" העיבוד מתחיל ברקע והפונקציה חוזרת מיד;
+ * ב-"cli" הקורא מריץ את ה-job בעצמו (runEmbeddingJob).
+ * @param {string} courseName - שם הקורס
+ * @param {object} target - { model, dimensions? }
+ * @param {object} options - { requestedBy, switchWhenDone (ברירת מחדל true), runner }
+ * @returns {Promise<{ job: object, resumed: boolean }>}
+ */
+export async function createEmbeddingJob(courseName, target, { requestedBy = "", switchWhenDone = true, runner = JOB_RUNNERS.SERVER } = {}) {
+  if (!firestoreDb) {
+    throw new Error("Embedding jobs not initialized");
+  }
+
+  const spec = parseEmbeddingSpec(target);
+  const targetVersion = embeddingVersion(spec);
+
+  const unfinished = await findUnfinishedJob(courseName);
+  if (unfinished) {
+    if (unfinished.embedding_version !== targetVersion) {
+      throw jobError(`Course is already being re-embedded with ${unfinished.embedding_version}`, 409, { jobId: unfinished.job_id });
+    }
+    if (runner === JOB_RUNNERS.SERVER) enqueue(unfinished.job_id);
+    console.log(`[EmbeddingJobs] Resuming job ${unfinished.job_id} for course ${courseName} (${targetVersion})`);
+    return { job: serializeJob(unfinished), resumed: true };
+  }
+
+  const current = await getCourseEmbedding(courseName);
+  if (current.version === targetVersion && switchWhenDone) {
+    throw jobError(`Course already uses ${targetVersion}`, 400);
+  }
+
+  const jobId = randomUUID();
+  const job = {
+    job_id: jobId,
+    status: JOB_STATUS.QUEUED,
+    course_name: courseName,
+    embedding_model: spec.model,
+    embedding_dimensions: spec.dimensions,
+    embedding_version: targetVersion,
+    previous_version: current.version,
+    switch_when_done: switchWhenDone,
+    runner,
+    requested_by: requestedBy,
+    chunks_done: 0,
+    chunks_total: null,
+    result: null,
+    error: null,
+    attempts: 0,
+  };
+  await firestoreDb.collection(JOBS_COLLECTION).doc(jobId).set({
+    ...job,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  if (runner === JOB_RUNNERS.SERVER) enqueue(jobId);
+  console.log(`[EmbeddingJobs] Job ${jobId} queued for course ${courseName}: ${current.version} -> ${targetVersion} (${runner})`);
+  return { job, resumed: false };
+}
+
+/**
+ * מצב של job (ל-endpoint הסטטוס)
+ * @param {string} jobId - מזהה ה-job
+ * @returns {Promise<object|null>}
+ */
+export async function getEmbeddingJob(jobId) {
+  if (!firestoreDb) {
+    throw new Error("Embedding jobs not initialized");
+  }
+  const snap = await firestoreDb.collection(JOBS_COLLECTION).doc(jobId).get();
+  return snap.exists ? serializeJob(snap.data()) : null;
+}
+
+/**
+ * החזרה לתור של jobs של השרת שנקטעו (restart / deploy). נקרא פעם אחת בעליית השרת.
+ * @returns {Promise<number>} - מספר ה-jobs שחודשו
+ */
+export async function resumeEmbeddingJobs() {
+  if (!firestoreDb) return 0;
+  try {
+    const snapshot = await firestoreDb
+      .collection(JOBS_COLLECTION)
+      .where("status", "in", [JOB_STATUS.QUEUED, JOB_STATUS.PROCESSING])
+      .get();
+    const jobs = snapshot.docs
+      .map((doc) => doc.data())
+      .filter((job) => job.runner !== JOB_RUNNERS.CLI)
+      .sort((a, b) => (a.created_at?.toMillis?.() || 0) - (b.created_at?.toMillis?.() || 0));
+    jobs.forEach((job) => enqueue(job.job_id));
+    if (jobs.length > 0) {
+      console.log(`[EmbeddingJobs] Resuming ${jobs.length} interrupted job(s)`);
+    }
+    return jobs.length;
+  } catch (e) {
+    console.error("[EmbeddingJobs] resumeEmbeddingJobs failed:", e?.message || e);
+    return 0;
+  }
+}
+
+function enqueue(jobId) {
+  if (queue.includes(jobId) || runningJobs.has(jobId)) return;
+  queue.push(jobId);
+  if (!workerRunning) {
+    runWorker().catch((e) => console.error("[EmbeddingJobs] Worker crashed:", e));
+  }
+}
+
+// jobs מעובדים אחד-אחד, כמו ingestion jobs - embedding של קורפוס שלם מעמיס על ה-API
+async function runWorker() {
+  workerRunning = true;
+  try {
+    while (queue.length > 0) {
+      await runEmbeddingJob(queue.shift());
+    }
+  } finally {
+    workerRunning = false;
+  }
+}
+
+/**
+ * עיבוד job: embedding של מה שחסר, החלפה אטומית של המודל הפעיל, ומעבר נוסף על chunks שהועלו בזמן ההחלפה.
+ * כשל משאיר את המודל הקודם פעיל; הרצה חוזרת ממשיכה מהנקודה שבה נעצר.
+ * @param {string} jobId - מזהה ה-job
+ * @returns {Promise<object|null>} - מסמך ה-job בסוף העיבוד
+ */
+export async function runEmbeddingJob(jobId) {
+  if (!firestoreDb) {
+    throw new Error("Embedding jobs not initialized");
+  }
+
+  const jobRef = firestoreDb.collection(JOBS_COLLECTION).doc(jobId);
+  runningJobs.add(jobId);
+
+  try {
+    const snap = await jobRef.get();
+    if (!snap.exists) {
+      console.warn(`[EmbeddingJobs] Job ${jobId} not found - skipping`);
+      return null;
+    }
+    const job = snap.data();
+    if (job.status !== JOB_STATUS.QUEUED && job.status !== JOB_STATUS.PROCESSING) return serializeJob(job);
+
+    await jobRef.update({
+      status: JOB_STATUS.PROCESSING,
+      attempts: admin.firestore.FieldValue.increment(1),
+      error: null,
+      started_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const target = { model: job.embedding_model, dimensions: job.embedding_dimensions || null };
+    let lastProgressWrite = 0;
+    const onProgress = async (done, total) => {
+      const now = Date.now();
+      if (done < total && now - lastProgressWrite < PROGRESS_WRITE_INTERVAL_MS) return;
+      lastProgressWrite = now;
+      await jobRef.update({
+        chunks_done: done,
+        chunks_total: total,
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    };
+
+    const pass = await reembedCourseChunks(job.course_name, target, { onProgress });
+    if (pass.failed > 0) {
+      throw new Error(`${pass.failed}/${pass.total} chunks could not be embedded with ${job.embedding_version}; run the job again to retry them`);
+    }
+
+    let switched = null;
+    let catchUp = null;
+    if (job.switch_when_done) {
+      switched = await switchCourseEmbedding(job.course_name, target, job.requested_by || `embedding-job:${jobId}`);
+      // העלאה שהסתיימה בין המעבר הראשון להחלפה נכתבה במודל הקודם - משלימים לה עותק
+      catchUp = await reembedCourseChunks(job.course_name, target);
+    }
+
+    const result = {
+      chunks_total: pass.total,
+      embedded: pass.embedded + (catchUp?.embedded || 0),
+      already_embedded: pass.existing,
+      switched: Boolean(switched),
+      previous_version: switched?.previous_version || job.previous_version,
+      embedding_version: job.embedding_version,
+    };
+    await jobRef.update({
+      status: JOB_STATUS.COMPLETED,
+      chunks_done: pass.total,
+      chunks_total: pass.total,
+      result,
+      finished_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    console.log(`[EmbeddingJobs] Job ${jobId} completed (course ${job.course_name}: ${result.embedded} embedded, switched: ${result.switched})`);
+    return serializeJob((await jobRef.get()).data());
+  } catch (e) {
+    console.error(`[EmbeddingJobs] Job ${jobId} failed:`, e?.message || e);
+    try {
+      await jobRef.update({
+        status: JOB_STATUS.FAILED,
+        error: e?.message || String(e),
+        finished_at: admin.firestore.FieldValue.serverTimestamp(),
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      return serializeJob((await jobRef.get()).data());
+    } catch (updateError) {
+      console.error(`[EmbeddingJobs] Could not mark job ${jobId} as failed:`, updateError?.message || updateError);
+      return null;
+    }
+  } finally {
+    runningJobs.delete(jobId);
+  }
+}
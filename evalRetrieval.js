@@ -0,0 +1,328 @@
+// evalRetrieval.js - הערכה אופליין של האחזור: recall@k, MRR ו-latency על קובץ gold של שאלות
+//
+//   node evalRetrieval.js --gold eval/gold.json [--config a.json] [--compare b.json] [--out eval-reports/run] [--openai] [--verbose]
+//
+// כל קונפיגורציה נבנית מאפס: חומרי הקורסים שבקובץ ה-gold עוברים chunking ו-embedding לתוך vector store מקומי
+// בזיכרון, והשאלות רצות דרך queryRAG. ה-embeddings מדומים (hashing של המילים, עם הטוקניזציה של ה-BM25) -
+// דטרמיניסטיים ובלי רשת. הם לא מחליפים מודל אמיתי, אבל מספיקים להשוואה בין הגדרות chunking ואחזור.
+// עם --openai - ה-embeddings האמיתיים (OPENAI_API_KEY).
+//
+// קובץ gold:
+//   { "courses": [ { "course_name": "statistics",
+//                    "materials": [ { "path": "materials/intro.pdf" }, { "source": "anova.md", "text": "# ANOVA\n...", "format": "markdown" } ],
+//                    "questions": [ { "id": "q1", "question": "מהי שונות?", "expected": [ { "source": "intro.pdf", "page": 12 } ] } ] } ] }
+// קונפיגורציה (--config / --compare):
+//   { "name": "chunks-800", "chunk_size": 800, "overlap": 150, "top_k": 5, "max_docs": 50, "retrieval": { "keyword_weight": 0.5 } }
+import { readFile, writeFile, mkdir } from "fs/promises";
+import { createHash } from "crypto";
+import { basename, dirname, resolve } from "path";
+import { performance } from "perf_hooks";
+import { initRAG, uploadDocumentToRAG, queryRAG } from "./rag.js";
+import { createLocalVectorStore } from "./localVectorStore.js";
+import { extractDocument, extractInlineText } from "./extractors.js";
+import { tokenize, termVariants } from "./keywordIndex.js";
+
+const USAGE = "Usage: node evalRetrieval.js --gold <gold.json> [--config <a.json>] [--compare <b.json>] [--out <path>] [--openai] [--verbose]";
+const STUB_DIMENSIONS = 512;
+const RECALL_KS = [1, 3, 5, 10];
+const STUB_RELEVANCE_THRESHOLD = 0;
+
+export const DEFAULT_EVAL_CONFIG = {
+  name: "default",
+  chunk_size: 500,
+  overlap: 100,
+  top_k: 3,
+  max_docs: 50, // RAG_MAX_DOCS - משפיע רק על סריקה חלקית ב-Firestore; ה-store המקומי תמיד מחפש בכל הקורפוס
+  retrieval: {},
+};
+
+// ---- embeddings מדומים ----
+
+function hashToken(token) {
+  return createHash("md5").update(token).digest().readUInt32LE(0);
+}
+
+// feature hashing: כל גרסה של כל מילה (כולל בלי אותיות שימוש) מוסיפה ±1 לאחת מ-STUB_DIMENSIONS הקואורדינטות
+function stubEmbedding(text) {
+  const vector = new Array(STUB_DIMENSIONS).fill(0);
+  for (const token of tokenize(text)) {
+    for (const variant of termVariants(token)) {
+      const hash = hashToken(variant);
+      vector[hash % STUB_DIMENSIONS] += hash & 0x80000000 ? -1 : 1;
+    }
+  }
+  return vector;
+}
+
+/**
+ * client במבנה של OpenAI שמחזיר embeddings מדומים (embeddings.create בלבד - re-ranker מסוג llm ייכשל ויישמר סדר האחזור)
+ * @returns {object}
+ */
+export function createStubEmbeddingsClient() {
+  return {
+    embeddings: {
+      async create({ input }) {
+        const inputs = Array.isArray(input) ? input : [input];
+        return { data: inputs.map((text, index) => ({ index, embedding: stubEmbedding(text) })) };
+      },
+    },
+    chat: {
+      completions: {
+        async create() {
+          throw new Error("Chat completions are not available in offline evaluation");
+        },
+      },
+    },
+  };
+}
+
+// ---- מדדים ----
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+}
+
+function sameSource(a, b) {
+  return basename(a || "").toLowerCase() === basename(b || "").toLowerCase();
+}
+
+// תוצאה מתאימה לציפייה אם היא מאותו מקור, ואם צוין עמוד - הוא בטווח העמודים של ה-chunk
+function matchesExpected(result, expected) {
+  if (!sameSource(result.source, expected.source)) return false;
+  if (expected.page === undefined || expected.page === null) return true;
+  if (!result.page) return false;
+  return result.page <= expected.page && expected.page <= (result.page_end || result.page);
+}
+
+/**
+ * סיכום המדדים של ריצה: recall@k (החלק מהשאלות שלפחות תוצאה מתאימה אחת שלהן ב-k הראשונות), MRR ו-latency
+ * @param {Array<{ rank: number|null, latency_ms: number, coverage: string|null }>} rows - תוצאה לכל שאלה
+ * @param {number} topK - מספר התוצאות שהוחזרו לכל שאלה
+ * @returns {object}
+ */
+export function summarizeResults(rows, topK) {
+  const ks = [...new Set([...RECALL_KS.filter((k) => k <= topK), topK])].sort((a, b) => a - b);
+  const count = rows.length || 1;
+  const recall = {};
+  ks.forEach((k) => {
+    recall[`@${k}`] = rows.filter((row) => row.rank !== null && row.rank <= k).length / count;
+  });
+  const latencies = rows.map((row) => row.latency_ms);
+  return {
+    questions: rows.length,
+    recall,
+    mrr: rows.reduce((sum, row) => sum + (row.rank ? 1 / row.rank : 0), 0) / count,
+    not_covered: rows.filter((row) => row.coverage === "not_covered").length,
+    latency_ms: {
+      p50: percentile(latencies, 0.5),
+      p90: percentile(latencies, 0.9),
+      p95: percentile(latencies, 0.95),
+      p99: percentile(latencies, 0.99),
+      max: latencies.length > 0 ? Math.max(...latencies) : null,
+    },
+  };
+}
+
+// ---- הרצה ----
+
+async function loadMaterial(material, baseDir) {
+  if (material.text !== undefined) {
+    const { text, format, pageUnit } = extractInlineText(material.text, material.format);
+    return { source: material.source || "inline", text, format, pageUnit };
+  }
+  const filePath = resolve(baseDir, material.path);
+  const source = material.source || basename(material.path);
+  const { text, format, pageUnit } = await extractDocument(await readFile(filePath), { originalname: source });
+  return { source, text, format, pageUnit };
+}
+
+/**
+ * הרצה של קונפיגורציה אחת על קובץ ה-gold: vector store חדש, העלאת החומרים, והשאלות דרך queryRAG
+ * @param {object} gold - קובץ ה-gold ({ courses })
+ * @param {object} config - ראו DEFAULT_EVAL_CONFIG
+ * @param {object} options - { baseDir, openaiApiKey, useOpenAI }
+ * @returns {Promise<{ config: object, summary: object, courses: Array<object> }>}
+ */
+export async function runEvaluation(gold, config, { baseDir = ".", openaiApiKey = null, useOpenAI = false } = {}) {
+  const settings = { ...DEFAULT_EVAL_CONFIG, ...config, retrieval: { ...DEFAULT_EVAL_CONFIG.retrieval, ...(config.retrieval || {}) } };
+  // ה-similarity של embeddings מדומים לא בסקאלה של המודל - סף הרלוונטיות המכויל היה מסנן כמעט הכול
+  if (!useOpenAI && settings.retrieval.relevance_threshold === undefined) {
+    settings.retrieval.relevance_threshold = STUB_RELEVANCE_THRESHOLD;
+  }
+  const ready = initRAG(openaiApiKey, null, {
+    vectorStore: createLocalVectorStore(null),
+    openai: useOpenAI ? null : createStubEmbeddingsClient(),
+    retrievalDefaults: settings.retrieval,
+  });
+  if (!ready) {
+    throw new Error("RAG could not be initialized (--openai requires OPENAI_API_KEY)");
+  }
+
+  const courses = [];
+  const allRows = [];
+  for (const course of gold.courses || []) {
+    for (const material of course.materials || []) {
+      const { source, text, format, pageUnit } = await loadMaterial(material, baseDir);
+      await uploadDocumentToRAG(
+        text,
+        { source, course_name: course.course_name, format, page_unit: pageUnit, uploaded_by: "eval" },
+        { chunking: { chunkSize: settings.chunk_size, overlap: settings.overlap } }
+      );
+    }
+
+    const rows = [];
+    for (const [n, item] of (course.questions || []).entries()) {
+      const start = performance.now();
+      const result = await queryRAG(item.question, settings.top_k, course.course_name, settings.max_docs);
+      const latency = performance.now() - start;
+      const retrieved = result.citations || [];
+      const hit = retrieved.findIndex((citation) => (item.expected || []).some((expected) => matchesExpected(citation, expected)));
+      rows.push({
+        id: item.id || `${course.course_name}#${n + 1}`,
+        question: item.question,
+        rank: hit >= 0 ? hit + 1 : null,
+        coverage: result.coverage || null,
+        best_similarity: result._metrics?.best_similarity ?? null,
+        latency_ms: Math.round(latency * 100) / 100,
+        retrieved: retrieved.map((citation) => ({ source: citation.source, page: citation.page, page_end: citation.page_end, similarity: citation.similarity })),
+      });
+    }
+    courses.push({ course_name: course.course_name, summary: summarizeResults(rows, settings.top_k), questions: rows });
+    allRows.push(...rows);
+  }
+
+  return { config: settings, summary: summarizeResults(allRows, settings.top_k), courses };
+}
+
+// ---- דוחות ----
+
+const pct = (value) => (value === null || value === undefined ? "–" : `${(value * 100).toFixed(1)}%`);
+const ms = (value) => (value === null || value === undefined ? "–" : `${value.toFixed(1)}ms`);
+
+function summaryRows(summary) {
+  return [
+    ...Object.entries(summary.recall).map(([k, value]) => [`recall${k}`, value, pct]),
+    ["MRR", summary.mrr, (value) => value.toFixed(3)],
+    ["not covered", summary.not_covered, String],
+    ...Object.entries(summary.latency_ms).map(([p, value]) => [`latency ${p}`, value, ms]),
+  ];
+}
+
+function configLine(config) {
+  const retrieval = Object.entries(config.retrieval).map(([key, value]) => `${key}=${value}`).join(", ");
+  return `chunk_size=${config.chunk_size}, overlap=${config.overlap}, top_k=${config.top_k}, max_docs=${config.max_docs}${retrieval ? `, ${retrieval}` : ""}`;
+}
+
+/**
+ * דוח Markdown: טבלת מדדים (ועמודת הפרש כשיש שתי קונפיגורציות), ומדדים ושאלות שלא נמצאו לכל קורס
+ * @param {Array<object>} runs - תוצאות של runEvaluation (אחת או שתיים)
+ * @returns {string}
+ */
+export function formatMarkdownReport(runs) {
+  const lines = ["# Retrieval evaluation", ""];
+  runs.forEach((run) => lines.push(`- **${run.config.name}** – ${configLine(run.config)}`));
+  lines.push("", `Questions: ${runs[0].summary.questions}`, "");
+
+  // השורות מיושרות לפי שם המדד - ל-top_k שונה יש recall@k שונים
+  const table = (summaries) => {
+    const header = ["metric", ...runs.map((run) => run.config.name), ...(runs.length === 2 ? ["Δ"] : [])];
+    const out = [`| ${header.join(" | ")} |`, `|${header.map(() => "---").join("|")}|`];
+    const rows = summaries.map((summary) => new Map(summaryRows(summary).map(([label, value, format]) => [label, { value, format }])));
+    const allLabels = [...new Set(rows.flatMap((row) => [...row.keys()]))];
+    const recallLabels = allLabels.filter((label) => label.startsWith("recall@")).sort((a, b) => Number(a.slice(7)) - Number(b.slice(7)));
+    const labels = [...recallLabels, ...allLabels.filter((label) => !label.startsWith("recall@"))];
+    labels.forEach((label) => {
+      const format = rows.find((row) => row.has(label)).get(label).format;
+      const values = rows.map((row) => row.get(label)?.value);
+      const cells = values.map((value) => (value === undefined || value === null ? "–" : format(value)));
+      if (runs.length === 2) {
+        const delta = typeof values[0] === "number" && typeof values[1] === "number" ? values[1] - values[0] : null;
+        const formatted = delta === null ? null : format === pct ? `${(delta * 100).toFixed(1)}pp` : format(delta);
+        cells.push(formatted === null ? "–" : `${delta >= 0 ? "+" : ""}${formatted}`);
+      }
+      out.push(`| ${label} | ${cells.join(" | ")} |`);
+    });
+    return out;
+  };
+
+  lines.push("## Overall", "", ...table(runs.map((run) => run.summary)), "");
+  runs[0].courses.forEach((course, c) => {
+    lines.push(`## ${course.course_name}`, "", ...table(runs.map((run) => run.courses[c].summary)), "");
+    runs.forEach((run) => {
+      const missed = run.courses[c].questions.filter((row) => row.rank === null);
+      if (missed.length === 0) return;
+      lines.push(`Not found in top ${run.config.top_k} (${run.config.name}):`, "");
+      missed.forEach((row) => lines.push(`- \`${row.id}\` ${row.question}`));
+      lines.push("");
+    });
+  });
+  return lines.join("\n");
+}
+
+// ---- CLI ----
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].startsWith("--") ? argv[i].slice(2) : null;
+    if (!name) continue;
+    if (["openai", "verbose"].includes(name)) args[name] = true;
+    else args[name] = argv[++i];
+  }
+  return args;
+}
+
+async function readJson(path) {
+  return JSON.parse(await readFile(path, "utf8"));
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.gold) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const gold = await readJson(args.gold);
+  const configs = [args.config ? await readJson(args.config) : { name: "default" }];
+  if (args.compare) configs.push(await readJson(args.compare));
+  if (configs.length === 2 && (configs[0].name || "default") === (configs[1].name || "default")) {
+    configs[1].name = `${configs[1].name || "default"} (compare)`;
+  }
+
+  // הלוגים של rag.js לכל שאלה מסתירים את הדוח
+  const log = console.log;
+  if (!args.verbose) console.log = () => {};
+  const runs = [];
+  try {
+    for (const config of configs) {
+      runs.push(await runEvaluation(gold, config, {
+        baseDir: dirname(resolve(args.gold)),
+        openaiApiKey: process.env.OPENAI_API_KEY,
+        useOpenAI: Boolean(args.openai),
+      }));
+    }
+  } finally {
+    console.log = log;
+  }
+
+  const markdown = formatMarkdownReport(runs);
+  const outPath = args.out || `eval-reports/retrieval-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  await mkdir(dirname(resolve(outPath)), { recursive: true });
+  await writeFile(`${outPath}.json`, JSON.stringify({ generated_at: new Date().toISOString(), gold: args.gold, embeddings: args.openai ? "openai" : "stub", runs }, null, 2));
+  await writeFile(`${outPath}.md`, markdown);
+  log(markdown);
+  log(`\nReports: ${outPath}.json, ${outPath}.md`);
+  return 0;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === resolve(new URL(import.meta.url).pathname)) {
+  main()
+    .then((code) => process.exit(code))
+    .catch((e) => {
+      console.error(e?.message || e);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,280 @@
+// extractors.js - Text extraction for uploaded course materials (PDF, DOCX, PPTX, Markdown, HTML, plain text)
+//
+// כל extractor מחזיר טקסט בפורמט ש-chunking.js מבין: PAGE_BREAK בין עמודים/שקפים וכותרות בסגנון Markdown ("# ...").
+// כך המבנה של כל פורמט (עמודים, שקפים, כותרות, טבלאות) נשמר כ-metadata של ה-chunks.
+import pdfParse from "pdf-parse";
+import JSZip from "jszip";
+import { PAGE_BREAK } from "./chunking.js";
+
+export const SUPPORTED_FORMATS = {
+  pdf: { extensions: [".pdf"], mimetypes: ["application/pdf"], pageUnit: "page" },
+  docx: {
+    extensions: [".docx"],
+    mimetypes: ["application/vnd.openxmlformats-officedocument.wordprocessingml.document"],
+    pageUnit: null,
+  },
+  pptx: {
+    extensions: [".pptx"],
+    mimetypes: ["application/vnd.openxmlformats-officedocument.presentationml.presentation"],
+    pageUnit: "slide",
+  },
+  markdown: { extensions: [".md", ".markdown"], mimetypes: ["text/markdown", "text/x-markdown"], pageUnit: null },
+  html: { extensions: [".html", ".htm"], mimetypes: ["text/html", "application/xhtml+xml"], pageUnit: null },
+  text: { extensions: [".txt"], mimetypes: ["text/plain"], pageUnit: null },
+};
+
+export const SUPPORTED_EXTENSIONS = Object.values(SUPPORTED_FORMATS).flatMap((format) => format.extensions);
+
+/**
+ * זיהוי הפורמט לפי סיומת הקובץ, ואם אין סיומת מוכרת - לפי ה-mimetype
+ * (דפדפנים שולחים לעתים application/octet-stream, ו-.md מגיע לפעמים כ-text/plain)
+ * @param {string} filename - שם הקובץ המקורי
+ * @param {string} mimetype - ה-mimetype שנשלח
+ * @returns {string|null} - מפתח ב-SUPPORTED_FORMATS או null
+ */
+export function detectFormat(filename = "", mimetype = "") {
+  const lower = filename.toLowerCase();
+  for (const [format, spec] of Object.entries(SUPPORTED_FORMATS)) {
+    if (spec.extensions.some((ext) => lower.endsWith(ext))) return format;
+  }
+  for (const [format, spec] of Object.entries(SUPPORTED_FORMATS)) {
+    if (spec.mimetypes.includes(mimetype)) return format;
+  }
+  return null;
+}
+
+/**
+ * הודעת שגיאה ברורה לקובץ שאינו נתמך
+ * @param {string} filename - שם הקובץ
+ * @returns {string}
+ */
+export function unsupportedFormatMessage(filename = "") {
+  const dot = filename.lastIndexOf(".");
+  const ext = dot > -1 ? filename.slice(dot).toLowerCase() : "";
+  const legacyHint = ext === ".doc" || ext === ".ppt" ? ` (save it as ${ext}x first)` : "";
+  return `Unsupported file type${ext ? ` "${ext}"` : ""}${legacyHint}. Supported types: PDF, DOCX, PPTX, Markdown (.md), HTML and plain text (.txt)`;
+}
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// חילוץ טקסט מ-PDF עם PAGE_BREAK בין עמודים, כדי שה-chunking ידע באיזה עמוד כל קטע
+// (זהה ל-render_page של pdf-parse, רק שומר כל עמוד בנפרד)
+async function extractPdf(buffer) {
+  const pages = [];
+  // עותק ל-ArrayBuffer משלו - pdf.js קורא את ה-ArrayBuffer כולו, ו-Buffer קטן של Node יושב בתוך pool משותף
+  await pdfParse(new Uint8Array(buffer), {
+    pagerender: async (pageData) => {
+      const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+      let lastY;
+      let text = "";
+      for (const item of textContent.items) {
+        text += lastY === item.transform[5] || !lastY ? item.str : "\n" + item.str;
+        lastY = item.transform[5];
+      }
+      pages[pageData.pageIndex] = text;
+      return text;
+    },
+  });
+  return Array.from(pages, (page) => page || "").join(PAGE_BREAK);
+}
+
+// הטקסט של פסקה ב-WordprocessingML / DrawingML (w:t / a:t, כולל טאבים ושבירות שורה)
+function runsText(xml, prefix) {
+  const pattern = new RegExp(`<${prefix}:t(?:\\s[^>]*)?>([^<]*)</${prefix}:t>|<${prefix}:tab/>|<${prefix}:br/>`, "g");
+  let text = "";
+  for (const match of xml.matchAll(pattern)) {
+    if (match[1] !== undefined) text += decodeEntities(match[1]);
+    else text += match[0].includes("tab") ? "\t" : "\n";
+  }
+  return text;
+}
+
+// רמת כותרת לפי סגנון הפסקה: Heading1..6 / Title (גם בשמות מקומיים כמו "כותרת1")
+function docxHeadingLevel(paragraphXml) {
+  const style = paragraphXml.match(/<w:pStyle w:val="([^"]+)"/)?.[1] || "";
+  if (/^title$/i.test(style)) return 1;
+  const level = style.match(/^(?:heading|כותרת)\s*([1-6])$/i)?.[1];
+  if (level) return Number(level);
+  const outline = paragraphXml.match(/<w:outlineLvl w:val="(\d)"/)?.[1];
+  return outline !== undefined && Number(outline) < 6 ? Number(outline) + 1 : null;
+}
+
+// DOCX: כותרות (לפי סגנון) → "#", טבלאות → שורות עם " | " (לא נחתכות ב-chunking)
+async function extractDocx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const documentXml = await zip.file("word/document.xml")?.async("string");
+  if (!documentXml) throw new Error("Invalid DOCX file: word/document.xml not found");
+
+  const body = documentXml.match(/<w:body>([\s\S]*)<\/w:body>/)?.[1] || documentXml;
+  const lines = [];
+  for (const match of body.matchAll(/<w:tbl>[\s\S]*?<\/w:tbl>|<w:p[\s>][\s\S]*?<\/w:p>|<w:p\/>/g)) {
+    const element = match[0];
+    if (element.startsWith("<w:tbl>")) {
+      const rows = [...element.matchAll(/<w:tr[\s>][\s\S]*?<\/w:tr>/g)].map((row) =>
+        [...row[0].matchAll(/<w:tc[\s>][\s\S]*?<\/w:tc>/g)]
+          .map((cell) => runsText(cell[0], "w").replace(/\s+/g, " ").trim())
+          .join(" | ")
+      );
+      lines.push("", ...rows.map((row) => `| ${row} |`), "");
+      continue;
+    }
+
+    const text = runsText(element, "w").trim();
+    if (!text) {
+      lines.push("");
+      continue;
+    }
+    const level = docxHeadingLevel(element);
+    lines.push(level ? `${"#".repeat(level)} ${text.replace(/\n/g, " ")}` : text);
+  }
+  return lines.join("\n");
+}
+
+// סדר השקפים כפי שהם מוצגים (sldIdLst ב-presentation.xml), כדי שמספר השקף יתאים למה שהסטודנט רואה.
+// שמות הקבצים (slideN.xml) לא תמיד תואמים לסדר אחרי הזזת שקפים; אם אין presentation.xml - מיון לפי N.
+async function pptxSlideOrder(zip) {
+  const byFileNumber = Object.keys(zip.files)
+    .filter((path) => /^ppt\/slides\/slide\d+\.xml$/.test(path))
+    .sort((a, b) => Number(a.match(/(\d+)\.xml$/)[1]) - Number(b.match(/(\d+)\.xml$/)[1]));
+
+  const presentationXml = await zip.file("ppt/presentation.xml")?.async("string");
+  const relsXml = await zip.file("ppt/_rels/presentation.xml.rels")?.async("string");
+  if (!presentationXml || !relsXml) return byFileNumber;
+
+  const targets = new Map(
+    [...relsXml.matchAll(/<Relationship\b[^>]*>/g)].map((rel) => [
+      rel[0].match(/\bId="([^"]+)"/)?.[1],
+      rel[0].match(/\bTarget="([^"]+)"/)?.[1],
+    ])
+  );
+  const ordered = [...presentationXml.matchAll(/<p:sldId\b[^>]*r:id="([^"]+)"/g)]
+    .map((match) => targets.get(match[1]))
+    .filter(Boolean)
+    .map((target) => `ppt/${target.replace(/^\/?(ppt\/)?/, "")}`)
+    .filter((path) => zip.file(path));
+  return ordered.length > 0 ? ordered : byFileNumber;
+}
+
+// PPTX: שקף = "עמוד" (PAGE_BREAK), כותרת השקף → "#", ההערות של המרצה (notes) נכללות אחרי תוכן השקף
+async function extractPptx(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const slidePaths = await pptxSlideOrder(zip);
+  if (slidePaths.length === 0) throw new Error("Invalid PPTX file: no slides found");
+
+  const slides = [];
+  for (const path of slidePaths) {
+    const xml = await zip.file(path).async("string");
+    const lines = [];
+    for (const shape of xml.matchAll(/<p:sp>[\s\S]*?<\/p:sp>/g)) {
+      const isTitle = /<p:ph[^>]*type="(title|ctrTitle)"/.test(shape[0]);
+      const paragraphs = [...shape[0].matchAll(/<a:p>[\s\S]*?<\/a:p>/g)]
+        .map((p) => runsText(p[0], "a").trim())
+        .filter(Boolean);
+      if (paragraphs.length === 0) continue;
+      if (isTitle) lines.push(`# ${paragraphs.join(" ")}`);
+      else lines.push(...paragraphs, "");
+    }
+    for (const table of xml.matchAll(/<a:tbl>[\s\S]*?<\/a:tbl>/g)) {
+      const rows = [...table[0].matchAll(/<a:tr[\s>][\s\S]*?<\/a:tr>/g)].map((row) =>
+        [...row[0].matchAll(/<a:tc[\s>][\s\S]*?<\/a:tc>/g)].map((cell) => runsText(cell[0], "a").replace(/\s+/g, " ").trim()).join(" | ")
+      );
+      lines.push("", ...rows.map((row) => `| ${row} |`), "");
+    }
+
+    const notesPath = path.replace("slides/slide", "notesSlides/notesSlide");
+    const notesXml = await zip.file(notesPath)?.async("string");
+    if (notesXml) {
+      const notes = [...notesXml.matchAll(/<p:sp>[\s\S]*?<\/p:sp>/g)]
+        .filter((shape) => /<p:ph[^>]*type="body"/.test(shape[0]))
+        .flatMap((shape) => [...shape[0].matchAll(/<a:p>[\s\S]*?<\/a:p>/g)].map((p) => runsText(p[0], "a").trim()))
+        .filter(Boolean);
+      if (notes.length > 0) lines.push("", ...notes);
+    }
+    slides.push(lines.join("\n"));
+  }
+  return slides.join(PAGE_BREAK);
+}
+
+// HTML: h1-h6 → "#", פסקאות/רשימות/שורות טבלה → שורות, script/style מוסרים
+function extractHtml(html) {
+  return decodeEntities(
+    html
+      .replace(/<(script|style|noscript|head)[\s\S]*?<\/\1>/gi, "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/gi, (m, level, inner) => `\n\n${"#".repeat(Number(level))} ${inner.replace(/<[^>]+>/g, "").replace(/\s+/g, " ").trim()}\n\n`)
+      .replace(/<tr[^>]*>([\s\S]*?)<\/tr>/gi, (m, inner) => {
+        const cells = [...inner.matchAll(/<t[dh][^>]*>([\s\S]*?)<\/t[dh]>/gi)].map((c) => c[1].replace(/<[^>]+>/g, "").replace(/\s+/g, " ").trim());
+        return `\n| ${cells.join(" | ")} |`;
+      })
+      .replace(/<li[^>]*>/gi, "\n- ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|section|article|ul|ol|table|blockquote|pre)>/gi, "\n\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/[ \t]+\n/g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+/**
+ * טקסט שנשלח ישירות ב-JSON (שדה text), עם format אופציונלי: "text" (ברירת מחדל) / "markdown" / "html"
+ * @param {string} text - הטקסט
+ * @param {string} format - הפורמט שלו
+ * @returns {{ text: string, format: string, pageUnit: null }}
+ * @throws {Error} - err.status = 415 לפורמט שאינו טקסטואלי
+ */
+export function extractInlineText(text, format = "text") {
+  const normalized = (format || "text").toLowerCase() === "md" ? "markdown" : (format || "text").toLowerCase();
+  if (!["text", "markdown", "html"].includes(normalized)) {
+    const err = new Error(`Unsupported format "${format}" for inline text. Supported formats: text, markdown, html`);
+    err.status = 415;
+    throw err;
+  }
+  return {
+    text: normalized === "html" ? extractHtml(String(text)) : String(text),
+    format: normalized,
+    pageUnit: null,
+  };
+}
+
+/**
+ * חילוץ הטקסט מקובץ שהועלה
+ * @param {Buffer} buffer - תוכן הקובץ
+ * @param {object} file - { originalname, mimetype }
+ * @returns {Promise<{ text: string, format: string, pageUnit: string|null }>}
+ * @throws {Error} - err.status = 415 לפורמט לא נתמך, 400 לקובץ פגום
+ */
+export async function extractDocument(buffer, file = {}) {
+  const format = detectFormat(file.originalname, file.mimetype);
+  if (!format) {
+    const err = new Error(unsupportedFormatMessage(file.originalname));
+    err.status = 415;
+    throw err;
+  }
+
+  try {
+    let text;
+    if (format === "pdf") text = await extractPdf(buffer);
+    else if (format === "docx") text = await extractDocx(buffer);
+    else if (format === "pptx") text = await extractPptx(buffer);
+    else if (format === "html") text = extractHtml(buffer.toString("utf8"));
+    else text = buffer.toString("utf8").replace(/^﻿/, ""); // markdown / text
+
+    return { text, format, pageUnit: SUPPORTED_FORMATS[format].pageUnit };
+  } catch (e) {
+    console.error(`[Extract] Failed to parse ${format} file ${file.originalname || ""}:`, e?.message || e);
+    const err = new Error(`Failed to parse ${format.toUpperCase()} file`);
+    err.status = 400;
+    throw err;
+  }
+}
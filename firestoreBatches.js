@@ -0,0 +1,38 @@
+// firestoreBatches.js - מחיקות גדולות ב-Firestore: batch אחד מוגבל ל-500 פעולות, אז מוחקים בסבבים
+
+export const FIRESTORE_BATCH_LIMIT = 500;
+
+/**
+ * מחיקת מסמכים לפי refs, ב-batches של עד FIRESTORE_BATCH_LIMIT
+ * @param {Firestore} db - מופע Firestore
+ * @param {Array<DocumentReference>} refs - המסמכים למחיקה
+ * @returns {Promise<number>} - מספר המסמכים שנמחקו
+ */
+export async function deleteDocsInBatches(db, refs) {
+  for (let i = 0; i < refs.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    refs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+  return refs.length;
+}
+
+/**
+ * מחיקת כל המסמכים שעונים על שאילתה: קוראים עד FIRESTORE_BATCH_LIMIT, מוחקים, וחוזרים עד שהשאילתה ריקה.
+ * לא נטען הכל לזיכרון בבת אחת, וריצה שנקטעה באמצע ממשיכה מאיפה שנעצרה.
+ * @param {Firestore} db - מופע Firestore
+ * @param {Query} query - השאילתה (בלי limit)
+ * @param {object} options - { fields: שדות שנקראים מכל מסמך, onDocs: נקרא עם המסמכים של כל סבב לפני המחיקה }
+ * @returns {Promise<number>} - מספר המסמכים שנמחקו
+ */
+export async function deleteQueryInBatches(db, query, { fields = [], onDocs = null } = {}) {
+  let deleted = 0;
+  for (;;) {
+    const snapshot = await query.limit(FIRESTORE_BATCH_LIMIT).select(...fields).get();
+    if (snapshot.empty) break;
+    onDocs?.(snapshot.docs);
+    deleted += await deleteDocsInBatches(db, snapshot.docs.map((doc) => doc.ref));
+    if (snapshot.size < FIRESTORE_BATCH_LIMIT) break;
+  }
+  return deleted;
+}
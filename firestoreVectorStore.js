@@ -0,0 +1,215 @@
+// firestoreVectorStore.js - vector store על Firestore (rag_chunks / rag_sources)
+import admin from "firebase-admin";
+import { sourceDocId, toSearchEntry, searchEntries } from "./vectorStore.js";
+import { buildKeywordIndex } from "./keywordIndex.js";
+import { deleteDocsInBatches } from "./firestoreBatches.js";
+
+const CHUNKS_COLLECTION = "rag_chunks";
+const SOURCES_COLLECTION = "rag_sources";
+
+// אינדקס וקטורי בזיכרון לכל קורס - כל ה-chunks של הקורס, כך שהחיפוש סורק את כל הקורפוס ולא רק maxDocs מסמכים.
+// הטעינה (קריאת כל ה-chunks מ-Firestore) רצה ברקע: בעליית השרת, אחרי כל שינוי בקורפוס, ופעם ב-INDEX_REFRESH_MS.
+// עד שהאינדקס מוכן - חיפוש בשיטה הישנה (maxDocs מסמכים), כדי לא לחרוג מה-timeout של RAG.
+// זיכרון: ~6KB ל-chunk (1536 floats ב-Float32Array), כלומר ~60MB לקורס של 10,000 chunks, ועוד אינדקס מילות מפתח (BM25) על הטקסט.
+const INDEX_REFRESH_MS = 30 * 60 * 1000; // 30 דקות - רשת ביטחון לשינויים שלא עברו דרך השרת הזה
+const INDEX_PAGE_SIZE = 500;
+
+/**
+ * @param {Firestore} firestoreDb - מופע Firestore
+ * @returns {object} - vector store (ראו vectorStore.js)
+ */
+export function createFirestoreVectorStore(firestoreDb) {
+  const courseIndexes = new Map(); // { courseName|'all': { entries, keywordIndex, loadedAt, stale, loading } }
+
+  const chunksQuery = (filter = {}) => {
+    let query = firestoreDb.collection(CHUNKS_COLLECTION);
+    if (filter.course_name) query = query.where("course_name", "==", filter.course_name);
+    if (filter.source) query = query.where("source", "==", filter.source);
+    return query;
+  };
+
+  // טעינה מלאה של ה-chunks של קורס (בעמודים של INDEX_PAGE_SIZE) לאינדקס חדש
+  async function loadCourseIndex(courseName) {
+    const startTime = Date.now();
+    const entries = [];
+    let lastDoc = null;
+
+    while (true) {
+      let query = chunksQuery({ course_name: courseName })
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(INDEX_PAGE_SIZE);
+      if (lastDoc) {
+        query = query.startAfter(lastDoc);
+      }
+      const snapshot = await query.get();
+
+      for (const doc of snapshot.docs) {
+        const entry = toSearchEntry(doc.id, doc.data());
+        if (entry) entries.push(entry);
+      }
+
+      if (snapshot.size < INDEX_PAGE_SIZE) break;
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    console.log(`[RAG] Vector index loaded for course ${courseName || 'all'}: ${entries.length} chunks in ${Date.now() - startTime}ms`);
+    return entries;
+  }
+
+  // רענון ברקע - האינדקס הקודם ממשיך לשרת חיפושים עד שהחדש מוכן
+  function refreshCourseIndex(courseName) {
+    const key = courseName || "all";
+    const state = courseIndexes.get(key) || { entries: null, keywordIndex: null, loadedAt: 0, stale: false, loading: null };
+    if (state.loading) return state.loading;
+
+    state.stale = false;
+    state.loading = loadCourseIndex(courseName)
+      .then((entries) => {
+        state.entries = entries;
+        state.keywordIndex = buildKeywordIndex(entries);
+        state.loadedAt = Date.now();
+        return entries;
+      })
+      .catch((e) => {
+        console.error(`[RAG] Failed to load vector index for course ${key}:`, e?.message || e);
+        return state.entries;
+      })
+      .finally(() => {
+        state.loading = null;
+        // שינוי שהגיע בזמן הטעינה - ייתכן שלא נכלל בה, טוענים שוב
+        if (state.stale) refreshCourseIndex(courseName);
+      });
+    courseIndexes.set(key, state);
+    return state.loading;
+  }
+
+  function markIndexStale(key) {
+    const state = courseIndexes.get(key);
+    if (!state) return;
+    state.stale = true;
+    refreshCourseIndex(key === "all" ? null : key);
+  }
+
+  // האינדקס של קורס ({ entries, keywordIndex }) אם הוא כבר טעון (ואם צריך - מתחיל רענון ברקע). null אם עוד לא נטען.
+  function getReadyCourseIndex(courseName) {
+    const state = courseIndexes.get(courseName || "all");
+    if (!state?.entries) {
+      refreshCourseIndex(courseName);
+      return null;
+    }
+    if (state.stale || Date.now() - state.loadedAt > INDEX_REFRESH_MS) {
+      refreshCourseIndex(courseName);
+    }
+    return state;
+  }
+
+  return {
+    name: "firestore",
+
+    // כתיבה ב-WriteBatch יחיד - הקורא אחראי על גודל הקבוצה (עד 500) ועל retry
+    async upsert(records) {
+      const refs = records.map((record) =>
+        record.id ? firestoreDb.collection(CHUNKS_COLLECTION).doc(record.id) : firestoreDb.collection(CHUNKS_COLLECTION).doc()
+      );
+      const batch = firestoreDb.batch();
+      records.forEach(({ id, ...data }, n) => batch.set(refs[n], data));
+      await batch.commit();
+      return refs.map((ref) => ref.id);
+    },
+
+    async delete(ids) {
+      await deleteDocsInBatches(firestoreDb, ids.map((id) => firestoreDb.collection(CHUNKS_COLLECTION).doc(id)));
+    },
+
+    async deleteBySource(courseName, source) {
+      const snapshot = await chunksQuery({ course_name: courseName, source }).select().get();
+      await deleteDocsInBatches(firestoreDb, snapshot.docs.map((doc) => doc.ref));
+      return snapshot.size;
+    },
+
+    async getChunks(filter = {}, { withEmbeddings = false } = {}) {
+      let query = chunksQuery(filter);
+      if (!withEmbeddings) {
+        query = query.select(
+          "text", "chunk_index", "chunk_hash", "page", "page_end", "page_unit", "heading", "section_path",
+          "source", "course_name", "version", "embedding_model", "embedding_version", "uploaded_at", "uploaded_by", "metadata"
+        );
+      }
+      const snapshot = await query.get();
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    },
+
+    // חיפוש מלא על האינדקס בזיכרון; עד שהוא נטען - סריקה חלקית של maxDocs מסמכים
+    async query(queryEmbedding, { topK = 3, filter = {}, abortSignal = null, maxDocs = 200, queryText = null } = {}) {
+      const index = filter.source ? null : getReadyCourseIndex(filter.course_name);
+      if (index) {
+        const { matches, processedCount, skippedCount, keywordCount, dimensionMismatchCount } = searchEntries(index.entries, queryEmbedding, {
+          topK, filter, abortSignal, keywordIndex: index.keywordIndex, queryText,
+        });
+        return { matches, search: "index", retrievedCount: index.entries.length, processedCount, skippedCount, keywordCount, dimensionMismatchCount };
+      }
+
+      if (!filter.source) {
+        console.log(`[RAG] Vector index not ready for course ${filter.course_name || 'all'} - falling back to partial scan`);
+      }
+      const snapshot = await chunksQuery(filter).limit(maxDocs).get();
+      if (abortSignal?.aborted) {
+        throw new Error("RAG_TIMEOUT");
+      }
+      const entries = snapshot.docs.map((doc) => toSearchEntry(doc.id, doc.data())).filter(Boolean);
+      const { matches, processedCount, skippedCount, keywordCount, dimensionMismatchCount } = searchEntries(entries, queryEmbedding, {
+        topK, filter, abortSignal, keywordIndex: queryText ? buildKeywordIndex(entries) : null, queryText,
+      });
+      return {
+        matches,
+        search: "partial_scan",
+        retrievedCount: snapshot.size,
+        processedCount,
+        skippedCount: skippedCount + (snapshot.size - entries.length),
+        keywordCount,
+        dimensionMismatchCount,
+      };
+    },
+
+    async getSources(courseName) {
+      let query = firestoreDb.collection(SOURCES_COLLECTION);
+      if (courseName) {
+        query = query.where("course_name", "==", courseName);
+      }
+      const snapshot = await query.get();
+      const registry = new Map();
+      snapshot.docs.forEach((doc) => registry.set(doc.id, doc.data()));
+      return registry;
+    },
+
+    async setSource(courseName, source, fields) {
+      await firestoreDb
+        .collection(SOURCES_COLLECTION)
+        .doc(sourceDocId(courseName, source))
+        .set(
+          { ...fields, course_name: courseName, source, updated_at: admin.firestore.FieldValue.serverTimestamp() },
+          { merge: true }
+        );
+    },
+
+    async deleteSource(courseName, source) {
+      await firestoreDb.collection(SOURCES_COLLECTION).doc(sourceDocId(courseName, source)).delete();
+    },
+
+    // טעינה מוקדמת של האינדקסים של כל הקורסים שיש להם מקורות ב-rag_sources
+    async warm() {
+      const snapshot = await firestoreDb.collection(SOURCES_COLLECTION).select("course_name").get();
+      const courses = [...new Set(snapshot.docs.map((doc) => doc.data().course_name).filter(Boolean))];
+      // טעינה סדרתית - כדי לא להחזיק כמה snapshots גדולים בזיכרון במקביל
+      for (const courseName of courses) {
+        await refreshCourseIndex(courseName);
+      }
+      return courses.length;
+    },
+
+    markStale(courseName) {
+      markIndexStale(courseName);
+      markIndexStale("all");
+    },
+  };
+}
@@ -158,7 +158,7 @@ export function buildGalibotSystemPrompt(ragContext, requestId = null) {
   if (ragContext && ragContext.context) {
     prompt += `\n\n-----------------------------\n🔹 RAG Context (Approved Course Corpus)\n-----------------------------\n`;
     prompt += `The following content from the approved course corpus is available for this query:\n\n${ragContext.context}\n\n`;
-    prompt += `Use this content to answer questions accurately and professionally. Always cite the sources (document/section/page) when referencing this material.\n`;
+    prompt += `Use this content to answer questions accurately and professionally. Each passage above is numbered ([1], [2], ...). When you use a passage, cite it inline with its number right after the sentence it supports (e.g. "השונות היא ממוצע ריבועי הסטיות [2]."). Use only the numbers shown above, never invent a number, and do not cite passages you did not use.\n`;
     blocksIncluded.push('rag_context');
   } else {
     prompt += `\n\n-----------------------------\n🔹 RAG Context (Approved Course Corpus)\n-----------------------------\n`;
@@ -4,10 +4,25 @@ import bodyParser from "body-parser";
 import admin from "firebase-admin";
 import OpenAI from "openai";
 import multer from "multer";
-import pdfParse from "pdf-parse";
-import { initRAG, getRAGContext, uploadDocumentToRAG } from "./rag.js";
-import { initChatMemory, saveChatMessage, getUserConversationHistory, deleteUserHistory } from "./chatMemory.js";
+import { initRAG, getRAGContext, warmRAGIndexes, listCourseSources, getSourceChunks, deleteSourceFromRAG, getRetrievalSettings, calibrateRelevanceThreshold, getCourseEmbeddingStatus, deleteInactiveEmbeddings, EMBEDDING_MODELS } from "./rag.js";
+import { RERANKER_TYPES } from "./rerank.js";
+import { rewriteSearchQuery } from "./queryRewrite.js";
+import { validateCitationMarkers, createCitationStreamFilter, storedCitations } from "./citations.js";
+import { initChatMemory, saveChatMessage, getUserConversationHistory, getChatHistoryPage, listChatMessages, deleteUserHistory } from "./chatMemory.js";
+import { parseExportFormat, renderConversationExport } from "./chatExport.js";
+import { initConversationSummaries, getConversationSummary, buildSummaryMessage, refreshConversationSummary, deleteUserSummaries } from "./conversationSummary.js";
+import { initChatSessions, createChatSession, listChatSessions, getChatSession, updateChatSession, deleteChatSession, deleteUserSessions, touchChatSession } from "./chatSessions.js";
 import { buildGalibotSystemPrompt } from "./galibotSystemPrompt.js";
+import { createAuthMiddleware, requireVerifiedIdentity, splitCsvLower } from "./auth.js";
+import { ROLES, initRoles, isValidRole, getUserRole, setUserRole, listUsersByRole, requireRole, requireCourseAccess, canManageCourse } from "./roles.js";
+import { initCourseSettings, updateCourseSettings, getCourseLecturers, setCourseLecturers } from "./courseSettings.js";
+import { PAGE_BREAK } from "./chunking.js";
+import { detectFormat, extractDocument, extractInlineText, unsupportedFormatMessage, SUPPORTED_EXTENSIONS } from "./extractors.js";
+import { initIngestionJobs, createIngestionJob, getIngestionJob, retryIngestionJob, getActiveJobId, resumeIngestionJobs } from "./ingestionJobs.js";
+import { initEmbeddingJobs, createEmbeddingJob, getEmbeddingJob, resumeEmbeddingJobs } from "./embeddingJobs.js";
+import { initCoverageGaps, buildNotCoveredAnswer, logCoverageGap, listCoverageGaps } from "./coverageGaps.js";
+import { initQuota, createQuotaMiddleware, recordTokenUsage, getUserUsage, getCourseUsage, resetUserQuota, resetCourseQuota } from "./quota.js";
+import { initPrivacy, eraseUserData, getRetentionStatus, runRetention, startRetentionSchedule } from "./privacy.js";
 import {
   loadUserState,
   saveUserState,
@@ -18,7 +33,7 @@ import {
   defaultUserState
 } from "./topicState.js";
 import { generateRequestId, logPerformance, logTokenUsage, logPromptSize, estimateTokens, estimateMessagesTokens } from "./performanceLogger.js";
-import { getCache, setCache, deleteCache, getConversationHistoryKey, getUserStateKey, DEFAULT_TTL, getStateCached, getHistoryCached, updateHistoryCache, updateStateCache, getFirstLoginCached } from "./cache.js";
+import { getCache, setCache, deleteCache, clearCachePrefix, getConversationHistoryKey, getUserStateKey, DEFAULT_TTL, getStateCached, getHistoryCached, updateHistoryCache, updateStateCache, getFirstLoginCached } from "./cache.js";
 import { readFileSync } from "fs";
 import { fileURLToPath } from "url";
 import { dirname, resolve } from "path";
@@ -79,11 +94,35 @@ const {
   ALLOWED_EMAILS,
   API_SECRET,
   API_SECRET_ALLOW_BODY = "false",
+  REQUIRE_ID_TOKEN = "true",
+  REQUIRED_ROLE,
+  ALLOWED_ROLES,
+  ADMIN_EMAILS,
+  USER_REQUESTS_PER_MINUTE = "10",
+  USER_TOKENS_PER_DAY = "50000",
+  COURSE_REQUESTS_PER_MINUTE = "0",
+  COURSE_TOKENS_PER_DAY = "0",
   USE_RAG = "true",
   ENABLE_STREAMING = "true",
   MAX_HISTORY_MESSAGES = "20",
   MAX_STORED_MESSAGES_PER_USER = "200",
-  RAG_MAX_DOCS = "50"
+  RAG_MAX_DOCS = "50",
+  RAG_TIMEOUT_MS = "400",
+  RERANK_MODEL = "gpt-4o-mini",
+  QUERY_REWRITE = "false",
+  QUERY_REWRITE_MODEL = "gpt-4o-mini",
+  QUERY_REWRITE_TIMEOUT_MS = "1000",
+  CONVERSATION_SUMMARY = "true",
+  SUMMARY_MODEL = "gpt-4o-mini",
+  RETENTION_CHAT_DAYS = "0",
+  RETENTION_USAGE_LOGS_DAYS = "0",
+  RETENTION_COVERAGE_GAPS_DAYS = "0",
+  RETENTION_USAGE_COUNTERS_DAYS = "0",
+  RETENTION_FAILED_UPLOAD_DAYS = "7",
+  RETENTION_JOB_INTERVAL_HOURS = "6",
+  RERANKER_URL,
+  VECTOR_STORE = "firestore",
+  VECTOR_STORE_PATH = "./data/vector-store.json"
 } = process.env;
 
 function normalizePrivateKey(raw) {
@@ -119,7 +158,7 @@ const corsOptions = {
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ["GET", "POST", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
   allowedHeaders: ["Content-Type", "authorization", "x-api-secret", "x-gpt-user-message", "x-stream", "accept"],
   credentials: true
 };
@@ -138,7 +177,7 @@ app.use((req, res, next) => {
   if (origin && allowedOrigins.indexOf(origin) !== -1) {
     res.header("Access-Control-Allow-Origin", origin);
   }
-  res.header("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.header("Access-Control-Allow-Methods", "GET, POST, PUT, DELETE, OPTIONS");
   res.header("Access-Control-Allow-Headers", "Content-Type, authorization, x-api-secret, x-gpt-user-message, x-stream, accept, x-request-id");
   res.header("Access-Control-Allow-Credentials", "true");
   
@@ -160,10 +199,12 @@ const upload = multer({
     files: 3
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === "application/pdf") {
+    if (detectFormat(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error("Only PDF files are allowed"), false);
+      const err = new Error(unsupportedFormatMessage(file.originalname));
+      err.status = 415;
+      cb(err, false);
     }
   },
 });
@@ -173,7 +214,7 @@ const handleMulterError = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
       return res.status(400).json({ error: "File upload error", details: err.message });
     }
-    return res.status(400).json({ error: err.message || "File upload error" });
+    return res.status(err.status || 400).json({ error: err.message || "File upload error", supported_extensions: SUPPORTED_EXTENSIONS });
   }
   next();
 };
@@ -266,26 +307,81 @@ try {
 } catch (memoryInitError) {
   chatMemoryEnabled = false;
 }
-
-const processingFiles = new Set();
+const chatSessionsEnabled = chatMemoryEnabled && initChatSessions(firestoreDb);
+// סיכום מתגלגל של הודעות שיצאו מחלון ההיסטוריה (conversationSummary.js)
+const conversationSummaryEnabled = chatMemoryEnabled && CONVERSATION_SUMMARY.toLowerCase() === "true" &&
+  initConversationSummaries(firestoreDb, { openai, model: SUMMARY_MODEL });
 
 let ragEnabled = false;
 try {
   if (USE_RAG.toLowerCase() === "true") {
-    ragEnabled = initRAG(OPENAI_API_KEY, db);
+    ragEnabled = initRAG(OPENAI_API_KEY, db, {
+      vectorStore: VECTOR_STORE,
+      vectorStorePath: VECTOR_STORE_PATH,
+      rerankModel: RERANK_MODEL,
+      rerankerUrl: RERANKER_URL,
+    });
     if (ragEnabled) console.log("[OK] RAG enabled");
   }
 } catch (ragInitError) {
   ragEnabled = false;
 }
 
-function splitCsvLower(v) {
-  return (v || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
-}
-function emailDomainOf(email) {
-  const at = email.indexOf("@");
-  return at > -1 ? email.slice(at + 1).toLowerCase() : "";
+// ניסוח מחדש של שאלות המשך לשאילתות חיפוש עצמאיות (queryRewrite.js), עם תקציב זמן נפרד מזה של RAG
+const queryRewriteEnabled = QUERY_REWRITE.toLowerCase() === "true";
+const queryRewriteTimeoutMs = parseInt(QUERY_REWRITE_TIMEOUT_MS || "1000", 10);
+
+// העלאות מעובדות ברקע כ-ingestion jobs (ingestion_jobs) - הבקשה חוזרת מיד עם job_id
+if (ragEnabled) initIngestionJobs(db);
+// מעבר של קורס למודל embedding אחר (embedding_jobs) - גם מה-CLI (reembed.js)
+if (ragEnabled) initEmbeddingJobs(db);
+
+// Middleware הרשאות משותף - Firebase ID token / domain / email allowlist / API secret
+const requireAuth = createAuthMiddleware({
+  bypassAuth: BYPASS_AUTH,
+  allowedDomain: ALLOWED_DOMAIN,
+  allowedDomains: ALLOWED_DOMAINS,
+  allowedEmails: ALLOWED_EMAILS,
+  apiSecret: API_SECRET,
+  apiSecretAllowBody: API_SECRET_ALLOW_BODY,
+  requireIdToken: REQUIRE_ID_TOKEN,
+  verifyIdToken: (token) => admin.auth().verifyIdToken(token),
+});
+
+initRoles(db, { adminEmails: ADMIN_EMAILS });
+
+// REQUIRED_ROLE / ALLOWED_ROLES - תפקידים שמורשים להשתמש בבוט בכלל (ריק = כל משתמש מאומת)
+const baseRoles = [...splitCsvLower(REQUIRED_ROLE), ...splitCsvLower(ALLOWED_ROLES)];
+const requireBaseRole = requireRole(...baseRoles);
+
+initCourseSettings(db);
+initCoverageGaps(db);
+initQuota(db, {
+  user_requests_per_minute: USER_REQUESTS_PER_MINUTE,
+  user_tokens_per_day: USER_TOKENS_PER_DAY,
+  course_requests_per_minute: COURSE_REQUESTS_PER_MINUTE,
+  course_tokens_per_day: COURSE_TOKENS_PER_DAY,
+});
+// מחיקת נתוני משתמש וחלונות שמירה (0 = בלי הגבלה); ה-job גם אוכף את MAX_STORED_MESSAGES_PER_USER
+const privacyEnabled = initPrivacy(db, {
+  chatDays: RETENTION_CHAT_DAYS,
+  usageLogsDays: RETENTION_USAGE_LOGS_DAYS,
+  coverageGapsDays: RETENTION_COVERAGE_GAPS_DAYS,
+  usageCountersDays: RETENTION_USAGE_COUNTERS_DAYS,
+  failedUploadsDays: RETENTION_FAILED_UPLOAD_DAYS,
+  intervalHours: RETENTION_JOB_INTERVAL_HOURS,
+});
+
+function isStreamingRequest(req) {
+  return req.path === "/api/ask/stream" ||
+         req.query.stream === "true" ||
+         req.body?.stream === true ||
+         req.headers["accept"]?.includes("text/event-stream") ||
+         req.headers["x-stream"] === "true";
 }
+
+const enforceQuota = createQuotaMiddleware({ isStreamingRequest });
+
 async function checkAndMarkFirstLogin(rawEmail) {
   if (!db) return { first_login: false };
   const email = rawEmail.toLowerCase();
@@ -320,18 +416,81 @@ app.get("/", (_req, res) => {
   res.json({ ok: true, status: "Lecturers GPT server is running" });
 });
 
+// היסטוריית השיחה של המשתמש המחובר, לפי createdAt: העמוד הראשון הוא ההודעות האחרונות, ו-cursor=next_cursor
+// מחזיר את ההודעות שלפניהן. session_id - שיחה אחת; בלי session_id - השיחה הכללית (כמו ב-/api/ask).
+app.get("/api/chat-history", requireAuth, requireBaseRole, async (req, res) => {
+  try {
+    if (!chatMemoryEnabled) {
+      return res.status(503).json({ error: "Chat memory is not enabled" });
+    }
+
+    const sessionId = (req.query.session_id || "").toString().trim() || null;
+    if (sessionId && !(chatSessionsEnabled && (await getChatSession(req.userEmail, sessionId)))) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    const page = await getChatHistoryPage(req.userEmail, {
+      sessionId,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+    });
+    return res.json({ success: true, session_id: sessionId, ...page });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("[ChatHistory] Error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// ייצוא השיחות של המשתמש המחובר: format=markdown|html|json (ברירת מחדל markdown). session_id - שיחה אחת;
+// בלי session_id - כל ההודעות, מקובצות לפי שיחה. הקובץ מוחזר כ-attachment.
+app.get("/api/chat-export", requireAuth, requireBaseRole, async (req, res) => {
+  try {
+    if (!chatMemoryEnabled) {
+      return res.status(503).json({ error: "Chat memory is not enabled" });
+    }
+
+    const format = parseExportFormat(req.query.format);
+    const sessionId = (req.query.session_id || "").toString().trim() || null;
+    let session = null;
+    if (sessionId) {
+      session = chatSessionsEnabled ? await getChatSession(req.userEmail, sessionId) : null;
+      if (!session) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+    }
+
+    const [{ messages, truncated }, sessions] = await Promise.all([
+      listChatMessages(req.userEmail, { sessionId }),
+      !sessionId && chatSessionsEnabled ? listChatSessions(req.userEmail, { includeArchived: true }) : [],
+    ]);
+    const { body, contentType, filename } = renderConversationExport(
+      { email: req.userEmail, session, sessions, messages, truncated },
+      format
+    );
+
+    console.log(`[ChatExport] ${format} export of ${messages.length} messages for user ${req.userEmail.substring(0, 10)}...${sessionId ? ` (session ${sessionId})` : ""}`);
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.send(body);
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("[ChatExport] Error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
 // Route למחיקת היסטוריית שיחות של משתמש
-app.delete("/api/chat-history/:email", async (req, res) => {
+app.delete("/api/chat-history/:email", requireAuth, requireBaseRole, async (req, res) => {
   try {
     const rawEmail = (req.params.email || "").trim().toLowerCase();
     if (!rawEmail) {
       return res.status(400).json({ error: "email is required" });
     }
 
-    // בדיקת הרשאות (אותה לוגיקה כמו ב-/api/ask)
-    const bypass = BYPASS_AUTH.toLowerCase() === "true";
-    if (!bypass) {
-      // Auth check logic here (simplified - same as /api/ask)
+    // רק admin רשאי למחוק היסטוריה של משתמש אחר
+    if (rawEmail !== req.userEmail && req.userRole !== ROLES.ADMIN) {
+      return res.status(403).json({ error: "Only admins can delete another user's chat history" });
     }
 
     // Set CORS headers
@@ -345,30 +504,64 @@ app.delete("/api/chat-history/:email", async (req, res) => {
       return res.status(503).json({ error: "Chat memory is not enabled" });
     }
 
-    const deleted = await deleteUserHistory(rawEmail);
-    
-    if (deleted) {
-      // גם נמחק את ה-state של המשתמש
-      await saveUserState(db, defaultUserState(rawEmail));
-      
-      // Invalidate caches
-      deleteCache(getConversationHistoryKey(rawEmail));
-      deleteCache(getUserStateKey(rawEmail));
-      
-      return res.json({ 
-        success: true, 
-        message: "Chat history deleted successfully",
-        email: rawEmail
-      });
-    } else {
-      return res.status(500).json({ error: "Failed to delete chat history" });
-    }
+    // ההודעות נמחקות ב-batches, כך שגם היסטוריה של יותר מ-500 הודעות נמחקת עד הסוף
+    const deletedMessages = await deleteUserHistory(rawEmail);
+
+    // גם נמחק את ה-state של המשתמש, ואת השיחות (threads) שלו עם ה-state של כל אחת
+    await saveUserState(db, defaultUserState(rawEmail));
+    const deletedSessions = chatSessionsEnabled ? await deleteUserSessions(rawEmail) : 0;
+    if (conversationSummaryEnabled) await deleteUserSummaries(rawEmail);
+
+    // Invalidate caches (כולל ה-caches של כל השיחות)
+    deleteCache(getConversationHistoryKey(rawEmail));
+    deleteCache(getUserStateKey(rawEmail));
+    clearCachePrefix(`${getConversationHistoryKey(rawEmail)}:`);
+    clearCachePrefix(`${getUserStateKey(rawEmail)}:`);
+
+    return res.json({
+      success: true,
+      message: "Chat history deleted successfully",
+      email: rawEmail,
+      deleted_messages: deletedMessages,
+      deleted_sessions: deletedSessions
+    });
   } catch (e) {
     console.error("[DeleteHistory] Error:", e);
     return res.status(500).json({ error: "Server error", details: e.message });
   }
 });
 
+// מחיקת כל הנתונים של משתמש (privacy.js): היסטוריה, שיחות, סיכומים, מצב, פרופיל, לוגים ומונים. בניגוד ל-chat-history,
+// לא נשאר כלום. materials=anonymize (ברירת מחדל) מסיר את המייל מחומרי קורס שהעלה, materials=delete מוחק אותם.
+// מחיקה בלתי הפיכה - רק עם ID token או API secret, לא עם מייל לא מאומת מה-body (תקופת מעבר / BYPASS_AUTH)
+app.delete("/api/users/:email/data", requireAuth, requireVerifiedIdentity, requireBaseRole, async (req, res) => {
+  try {
+    const rawEmail = (req.params.email || "").trim().toLowerCase();
+    if (!rawEmail) {
+      return res.status(400).json({ error: "email is required" });
+    }
+
+    // רק admin רשאי למחוק נתונים של משתמש אחר
+    if (rawEmail !== req.userEmail && req.userRole !== ROLES.ADMIN) {
+      return res.status(403).json({ error: "Only admins can erase another user's data" });
+    }
+
+    if (!privacyEnabled) {
+      return res.status(503).json({ error: "Data erasure is not available (no Firestore)" });
+    }
+
+    const report = await eraseUserData(rawEmail, { materials: (req.query.materials || "anonymize").toString() });
+    if (report.errors.length > 0) {
+      return res.status(500).json({ success: false, error: "Erasure incomplete - run it again", ...report });
+    }
+    return res.json({ success: true, ...report });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("[Privacy] Erase error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
 // OPTIONS handler for delete history endpoint (CORS preflight)
 app.options("/api/chat-history/:email", (req, res) => {
   const origin = req.headers.origin;
@@ -381,13 +574,359 @@ app.options("/api/chat-history/:email", (req, res) => {
   res.sendStatus(200);
 });
 
-app.post("/api/ask", async (req, res) => {
-  const isStreaming = req.query.stream === "true" || 
-                      req.body?.stream === true || 
-                      req.headers["accept"]?.includes("text/event-stream") ||
-                      req.headers["x-stream"] === "true";
-  
-  if (isStreaming) {
+// ---------- שיחות (threads) ----------
+// כל סטודנט מנהל את השיחות שלו בלבד. /api/ask ו-/api/ask/stream מקבלים session_id.
+
+app.post("/api/chat-sessions", requireAuth, requireBaseRole, async (req, res) => {
+  try {
+    if (!chatSessionsEnabled) {
+      return res.status(503).json({ error: "Chat memory is not enabled" });
+    }
+    const session = await createChatSession(req.userEmail, { title: req.body?.title ?? null });
+    return res.status(201).json({ success: true, session });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("[ChatSessions] Error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.get("/api/chat-sessions", requireAuth, requireBaseRole, async (req, res) => {
+  try {
+    if (!chatSessionsEnabled) {
+      return res.status(503).json({ error: "Chat memory is not enabled" });
+    }
+    const includeArchived = String(req.query.include_archived || "").toLowerCase() === "true";
+    const sessions = await listChatSessions(req.userEmail, { includeArchived });
+    return res.json({ success: true, sessions });
+  } catch (e) {
+    console.error("[ChatSessions] Error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.get("/api/chat-sessions/:sessionId", requireAuth, requireBaseRole, async (req, res) => {
+  try {
+    if (!chatSessionsEnabled) {
+      return res.status(503).json({ error: "Chat memory is not enabled" });
+    }
+    const session = await getChatSession(req.userEmail, req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+    return res.json({ success: true, session });
+  } catch (e) {
+    console.error("[ChatSessions] Error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// שינוי שם ({ title }) ו/או ארכיון ({ archived: true/false })
+app.put("/api/chat-sessions/:sessionId", requireAuth, requireBaseRole, async (req, res) => {
+  try {
+    if (!chatSessionsEnabled) {
+      return res.status(503).json({ error: "Chat memory is not enabled" });
+    }
+    const session = await updateChatSession(req.userEmail, req.params.sessionId, {
+      title: req.body?.title,
+      archived: req.body?.archived,
+    });
+    return res.json({ success: true, session });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("[ChatSessions] Error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.delete("/api/chat-sessions/:sessionId", requireAuth, requireBaseRole, async (req, res) => {
+  try {
+    if (!chatSessionsEnabled) {
+      return res.status(503).json({ error: "Chat memory is not enabled" });
+    }
+    const result = await deleteChatSession(req.userEmail, req.params.sessionId);
+    deleteCache(getConversationHistoryKey(req.userEmail, result.session_id));
+    deleteCache(getUserStateKey(req.userEmail, result.session_id));
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("[ChatSessions] Error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// ---------- Admin: ניהול תפקידים ----------
+const requireAdmin = requireRole(ROLES.ADMIN);
+
+app.get("/api/admin/users", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const role = (req.query.role || "").toString().trim().toLowerCase();
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: `role query parameter must be one of: ${Object.values(ROLES).join(", ")}` });
+    }
+    const users = await listUsersByRole(role);
+    return res.json({ role, users });
+  } catch (e) {
+    console.error("[Admin] List users error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.get("/api/admin/users/:email/role", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const targetEmail = (req.params.email || "").trim().toLowerCase();
+    const role = await getUserRole(targetEmail);
+    return res.json({ email: targetEmail, role });
+  } catch (e) {
+    console.error("[Admin] Get role error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.put("/api/admin/users/:email/role", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const targetEmail = (req.params.email || "").trim().toLowerCase();
+    const role = (req.body?.role || "").toString().trim().toLowerCase();
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: `role must be one of: ${Object.values(ROLES).join(", ")}` });
+    }
+    if (targetEmail === req.userEmail && role !== ROLES.ADMIN) {
+      return res.status(400).json({ error: "Admins cannot revoke their own admin role" });
+    }
+    const result = await setUserRole(targetEmail, role, req.userEmail);
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error("[Admin] Set role error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// ביטול תפקיד = חזרה ל-student
+app.delete("/api/admin/users/:email/role", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const targetEmail = (req.params.email || "").trim().toLowerCase();
+    if (targetEmail === req.userEmail) {
+      return res.status(400).json({ error: "Admins cannot revoke their own admin role" });
+    }
+    const result = await setUserRole(targetEmail, ROLES.STUDENT, req.userEmail);
+    return res.json({ success: true, ...result });
+  } catch (e) {
+    console.error("[Admin] Revoke role error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// ---------- Admin: המרצים של קורס ----------
+app.get("/api/admin/courses/:course/lecturers", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    return res.json({ course_name: req.params.course, lecturers: await getCourseLecturers(req.params.course) });
+  } catch (e) {
+    console.error("[Admin] Get course lecturers error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// החלפת הרשימה כולה; המרצים צריכים גם תפקיד lecturer (PUT /api/admin/users/:email/role)
+app.put("/api/admin/courses/:course/lecturers", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const emails = req.body?.lecturers;
+    if (!Array.isArray(emails) || emails.some((email) => typeof email !== "string")) {
+      return res.status(400).json({ error: "lecturers must be an array of emails" });
+    }
+    const lecturers = await setCourseLecturers(req.params.course, emails, req.userEmail);
+    return res.json({ success: true, course_name: req.params.course, lecturers });
+  } catch (e) {
+    console.error("[Admin] Set course lecturers error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// ---------- Admin: מדיניות שמירה (privacy.js) ----------
+// חלונות השמירה בתוקף והריצה האחרונה של ה-job
+app.get("/api/admin/retention", requireAuth, requireAdmin, async (_req, res) => {
+  if (!privacyEnabled) {
+    return res.status(503).json({ error: "Data retention is not available (no Firestore)" });
+  }
+  return res.json({ success: true, ...getRetentionStatus() });
+});
+
+// הרצת ה-job עכשיו (למשל מ-cron חיצוני כש-RETENTION_JOB_INTERVAL_HOURS=0)
+app.post("/api/admin/retention/run", requireAuth, requireAdmin, async (req, res) => {
+  try {
+    if (!privacyEnabled) {
+      return res.status(503).json({ error: "Data retention is not available (no Firestore)" });
+    }
+    const report = await runRetention();
+    console.log(`[Admin] ${req.userEmail} ran the retention job`);
+    return res.json({ success: report.errors.length === 0, ...report });
+  } catch (e) {
+    console.error("[Admin] Retention run error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// ---------- מכסות שימוש ----------
+const requireLecturer = requireRole(ROLES.LECTURER, ROLES.ADMIN);
+// lecturer מנהל רק קורס שהוא ברשימת המרצים שלו (course_settings.lecturers); admin - כל קורס
+const requireCourseLecturer = requireCourseAccess();
+const QUOTA_LIMIT_FIELDS = ["user_requests_per_minute", "user_tokens_per_day", "course_requests_per_minute", "course_tokens_per_day"];
+
+// המכסה של המשתמש המחובר עצמו
+app.get("/api/quota", requireAuth, requireBaseRole, async (req, res) => {
+  try {
+    const courseName = (req.query.course_name || "statistics").toString();
+    return res.json(await getUserUsage(req.userEmail, courseName));
+  } catch (e) {
+    console.error("[Quota] Get own usage error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.get("/api/quotas/courses/:course", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  try {
+    return res.json(await getCourseUsage(req.params.course));
+  } catch (e) {
+    console.error("[Quota] Get course usage error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// עדכון המגבלות של קורס (0 = ללא הגבלה)
+app.put("/api/quotas/courses/:course", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  try {
+    const quota = {};
+    for (const field of QUOTA_LIMIT_FIELDS) {
+      if (req.body?.[field] === undefined) continue;
+      const n = parseInt(req.body[field], 10);
+      if (!Number.isFinite(n) || n < 0) {
+        return res.status(400).json({ error: `${field} must be a non-negative integer` });
+      }
+      quota[field] = n;
+    }
+    if (Object.keys(quota).length === 0) {
+      return res.status(400).json({ error: `At least one of ${QUOTA_LIMIT_FIELDS.join(", ")} is required` });
+    }
+    const settings = await updateCourseSettings(req.params.course, { quota }, req.userEmail);
+    return res.json({ success: true, course_name: req.params.course, quota: settings.quota || {} });
+  } catch (e) {
+    console.error("[Quota] Update limits error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.post("/api/quotas/courses/:course/reset", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  try {
+    return res.json({ success: true, ...(await resetCourseQuota(req.params.course)) });
+  } catch (e) {
+    console.error("[Quota] Reset course error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.get("/api/quotas/courses/:course/users/:email", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  try {
+    const targetEmail = (req.params.email || "").trim().toLowerCase();
+    return res.json(await getUserUsage(targetEmail, req.params.course));
+  } catch (e) {
+    console.error("[Quota] Get user usage error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.post("/api/quotas/courses/:course/users/:email/reset", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  try {
+    const targetEmail = (req.params.email || "").trim().toLowerCase();
+    return res.json({ success: true, ...(await resetUserQuota(targetEmail, req.params.course)) });
+  } catch (e) {
+    console.error("[Quota] Reset user error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// שתי השאילתות (המקורית ומה שנשלח לחיפוש) נרשמות בלוג - לדיבאג של אחזור בשאלות המשך
+function logQueryRewrite(requestId, prompt, rewrite, ms) {
+  logPerformance(requestId, "query_rewrite", ms, {
+    source: rewrite.source,
+    ...(rewrite.reason ? { reason: rewrite.reason } : {}),
+    queries: rewrite.queries.length
+  });
+  console.log(`[RID:${requestId}] query_rewrite original=${JSON.stringify(prompt)} rewritten=${JSON.stringify(rewrite.queries)}`);
+}
+
+function logCitationCheck(requestId, { citations, invalid }) {
+  const cited = citations.filter((citation) => citation.cited).length;
+  if (citations.length > 0 || invalid.length > 0) {
+    console.log(`[RID:${requestId}] citations cited=${cited}/${citations.length}${invalid.length > 0 ? ` removed_invalid=[${invalid.join(",")}]` : ""}`);
+  }
+}
+
+// המסלול שהתור עבר - מוחזר ללקוח (answer_path) ונרשם בלוג:
+// diagnosis - שלב אבחון של נושא חדש (בלי RAG)
+// not_covered - יש חומרים בקורס, אבל אף קטע לא עבר את סף הרלוונטיות - תשובה קבועה בלי המודל
+// grounded - תשובה על בסיס context מחומרי הקורס
+// ungrounded - אין context (RAG כבוי, timeout, או שלא הועלו חומרים לקורס)
+function resolveAnswerPath(turn, ragContext) {
+  if (turn.diagnosisOnly) return "diagnosis";
+  if (ragContext?.coverage === "not_covered") return "not_covered";
+  return ragContext?.chunksCount > 0 ? "grounded" : "ungrounded";
+}
+
+// השיחה של הבקשה (session_id ב-body): null בלי session_id - השיחה הכללית של המשתמש, כמו לפני השיחות.
+// שיחה שלא קיימת (או של משתמש אחר) - שגיאה עם status=404, כדי שהודעות לא ייכתבו לשיחה שאין לה מסמך.
+async function resolveChatSession(req) {
+  const sessionId = (req.body?.session_id || "").toString().trim();
+  if (!sessionId || !chatSessionsEnabled) return null;
+  const session = await getChatSession(req.userEmail, sessionId);
+  if (!session) {
+    const err = new Error("Session not found");
+    err.status = 404;
+    throw err;
+  }
+  return session.session_id;
+}
+
+// תור "לא מכוסה": תשובה עם נושאים קרובים, רישום השאלה ב-coverage_gaps, ושמירת השיחה והמצב כמו בכל תור
+async function completeNotCoveredTurn({ rawEmail, sessionId, prompt, courseName, turn, ragContext, requestId }) {
+  const answer = buildNotCoveredAnswer(ragContext.related_topics);
+  const metrics = ragContext._metrics || {};
+
+  logCoverageGap({
+    email: rawEmail,
+    courseName,
+    question: prompt,
+    bestSimilarity: metrics.best_similarity ?? null,
+    threshold: metrics.relevance_threshold ?? null,
+    relatedTopics: ragContext.related_topics || [],
+    requestId,
+  });
+
+  const maxStoredMessages = parseInt(MAX_STORED_MESSAGES_PER_USER || "200", 10);
+  if (chatMemoryEnabled) {
+    for (const [role, content] of [["user", prompt], ["assistant", answer]]) {
+      try {
+        await saveChatMessage(rawEmail, role, content, { sessionId });
+        updateHistoryCache(rawEmail, { role, content }, maxStoredMessages, sessionId);
+        console.log(`[Cache] history UPDATED after ${role} message write`);
+      } catch (e) {
+        if (e.code === 8 || e.message?.includes("Quota exceeded")) {
+          console.warn("[ChatMemory] Firestore quota exceeded - skipping message save");
+        }
+      }
+    }
+    if (sessionId) touchChatSession(rawEmail, sessionId, prompt);
+  }
+  saveUserState(db, turn.nextState).then((success) => {
+    if (success) {
+      updateStateCache(rawEmail, turn.nextState);
+      console.log(`[Cache] state UPDATED after state write`);
+    }
+  });
+
+  return answer;
+}
+
+app.post("/api/ask", requireAuth, requireBaseRole, enforceQuota, async (req, res) => {
+  if (isStreamingRequest(req)) {
     return handleStreamingRequest(req, res);
   }
   
@@ -395,32 +934,36 @@ app.post("/api/ask", async (req, res) => {
   const startTime = Date.now();
   
   try {
-    const rawEmail = (req.body?.email || "").trim().toLowerCase();
+    const rawEmail = req.userEmail;
     const prompt = (req.body?.prompt || req.headers["x-gpt-user-message"] || "").trim();
+    // חילוץ course_name מה-context או ברירת מחדל "statistics"
+    const courseName = req.body?.course_name || "statistics";
 
-    if (!rawEmail) return res.status(400).json({ error: "email is required" });
     if (!prompt) return res.status(400).json({ error: "prompt is required" });
 
-    logPerformance(requestId, "start", Date.now() - startTime);
-
-    // (Auth Check Simplified for brevity)
-    const bypass = BYPASS_AUTH.toLowerCase() === "true";
-    if (!bypass) {
-       // ... auth logic here ...
+    let sessionId;
+    try {
+      sessionId = await resolveChatSession(req);
+    } catch (e) {
+      if (e.status) return res.status(e.status).json({ error: e.message });
+      throw e;
     }
 
+    logPerformance(requestId, "start", Date.now() - startTime);
+
     // Parallelize independent Firestore reads: first_login check, user state, and conversation history
     const firestoreStartTime = Date.now();
     const firstLoginStartTime = Date.now();
     
-    const [firstLoginResult, stateResult, historyResult] = await Promise.all([
+    const [firstLoginResult, stateResult, historyResult, conversationSummary] = await Promise.all([
       getFirstLoginCached(db, rawEmail, requestId, checkAndMarkFirstLoginWrapper).then(result => {
         const firstLoginMs = Date.now() - firstLoginStartTime;
         console.log(`[RID:${requestId}] firestore_read first_login ms=${firstLoginMs} cached=${result.cached}`);
         return result;
       }),
-      getStateCached(db, rawEmail, requestId, loadUserState),
-      getHistoryCached(chatMemoryEnabled, rawEmail, requestId, getUserConversationHistory)
+      getStateCached(db, rawEmail, requestId, loadUserState, sessionId),
+      getHistoryCached(chatMemoryEnabled, rawEmail, requestId, getUserConversationHistory, sessionId),
+      conversationSummaryEnabled ? getConversationSummary(rawEmail, sessionId) : null
     ]);
     
     const { first_login } = firstLoginResult;
@@ -454,17 +997,25 @@ app.post("/api/ask", async (req, res) => {
     // גם אם יש quota exceeded, נדלג על RAG כדי לא להחמיר את הבעיה
     if (ragEnabled && !turn.diagnosisOnly) {
       try {
-        // חילוץ course_name מה-context או ברירת מחדל "statistics"
-        const courseName = req.body?.course_name || "statistics";
         const maxDocs = parseInt(RAG_MAX_DOCS || "50", 10);
-        const RAG_TIMEOUT_MS = 400; // Fail fast timeout
+        const ragTimeoutMs = parseInt(RAG_TIMEOUT_MS || "400", 10); // Fail fast timeout (כולל re-ranker, אם הוגדר לקורס)
+
+        // ניסוח מחדש של שאלת המשך - עם תקציב זמן משלו (QUERY_REWRITE_TIMEOUT_MS), לפני שמתחיל תקציב החיפוש
+        const rewriteStartTime = Date.now();
+        const rewrite = await rewriteSearchQuery(prompt, conversationHistory, {
+          openai: queryRewriteEnabled ? openai : null,
+          model: QUERY_REWRITE_MODEL,
+          fallbackQuery: turn.ragQuery || prompt,
+          timeoutMs: queryRewriteTimeoutMs,
+        });
+        logQueryRewrite(requestId, prompt, rewrite, Date.now() - rewriteStartTime);
         
         // Use AbortController for proper cancellation (rag.js handles Promise.race internally)
         const abortController = new AbortController();
-        const timeoutId = setTimeout(() => abortController.abort(), RAG_TIMEOUT_MS);
+        const timeoutId = setTimeout(() => abortController.abort(), ragTimeoutMs);
         
         try {
-          ragContext = await getRAGContext(turn.ragQuery || prompt, 3, courseName, maxDocs, RAG_TIMEOUT_MS, abortController.signal);
+          ragContext = await getRAGContext(rewrite.queries, 3, courseName, maxDocs, ragTimeoutMs, abortController.signal);
           clearTimeout(timeoutId);
           
           // Log with detailed metrics (metrics.rag_total_ms is the actual awaited duration from rag.js)
@@ -516,32 +1067,55 @@ app.post("/api/ask", async (req, res) => {
       }
     }
 
+    const answerPath = resolveAnswerPath(turn, ragContext);
+    console.log(`[RID:${requestId}] answer_path=${answerPath}`);
+    if (answerPath === "not_covered") {
+      const answer = await completeNotCoveredTurn({ rawEmail, sessionId, prompt, courseName, turn, ragContext, requestId });
+      logPerformance(requestId, "end", Date.now() - startTime);
+      return res.json({
+        answer,
+        usage: null,
+        first_login,
+        rag_sources: null,
+        citations: [],
+        answer_path: answerPath,
+        related_topics: ragContext.related_topics || [],
+        session_id: sessionId
+      });
+    }
+
     let systemPrompt = buildGalibotSystemPrompt(ragContext, requestId);
     if (turn.diagnosisOnly) {
       systemPrompt = applyDiagnosisEnforcement(systemPrompt);
     }
 
     // Token-based history limiting: max 1500 tokens OR last 8 messages (whichever is more restrictive)
+    // הסיכום של ההודעות הקודמות נכנס לאותו תקציב - ההיסטוריה מקבלת את מה שנשאר
     const MAX_HISTORY_TOKENS = 1500;
     const MAX_HISTORY_MESSAGES_FALLBACK = 8;
+    const summaryMessage = buildSummaryMessage(conversationSummary);
+    const summaryTokens = summaryMessage ? estimateMessagesTokens([summaryMessage]) : 0;
+    const historyTokenBudget = MAX_HISTORY_TOKENS - summaryTokens;
     
     let limitedHistory = conversationHistory;
     const historyTokens = estimateMessagesTokens(conversationHistory);
     
-    if (historyTokens > MAX_HISTORY_TOKENS) {
+    if (historyTokens > historyTokenBudget) {
       // Trim from oldest messages until we're under token limit
       let trimmedTokens = 0;
       let keepCount = 0;
       for (let i = conversationHistory.length - 1; i >= 0; i--) {
         const msgTokens = estimateTokens(conversationHistory[i].content || "") + 10;
-        if (trimmedTokens + msgTokens <= MAX_HISTORY_TOKENS) {
+        if (trimmedTokens + msgTokens <= historyTokenBudget) {
           trimmedTokens += msgTokens;
           keepCount++;
         } else {
           break;
         }
       }
-      limitedHistory = conversationHistory.slice(-keepCount);
+      // גם ההודעה האחרונה לא נכנסת לתקציב (הודעה ארוכה מאוד, או סיכום גדול) - חלון ריק, והכל מקופל לסיכום.
+      // slice(-0) היה מחזיר את כל ההיסטוריה
+      limitedHistory = keepCount > 0 ? conversationHistory.slice(-keepCount) : [];
       console.log(`[RID:${requestId}] history_trimmed tokens=${historyTokens}->${estimateMessagesTokens(limitedHistory)} messages=${conversationHistory.length}->${limitedHistory.length}`);
     } else if (conversationHistory.length > MAX_HISTORY_MESSAGES_FALLBACK) {
       // Fallback: if message count exceeds limit, keep last N messages
@@ -549,8 +1123,14 @@ app.post("/api/ask", async (req, res) => {
       console.log(`[RID:${requestId}] history_trimmed_by_count messages=${conversationHistory.length}->${limitedHistory.length}`);
     }
 
+    // הודעות שיצאו מהחלון מקופלות לסיכום ברקע (רק כשהצטברו מספיק) - לתורות הבאים
+    if (conversationSummaryEnabled && limitedHistory.length < conversationHistory.length) {
+      refreshConversationSummary(rawEmail, sessionId, conversationHistory.slice(0, conversationHistory.length - limitedHistory.length), conversationSummary);
+    }
+
     const messages = [
       { role: "system", content: systemPrompt },
+      ...(summaryMessage ? [summaryMessage] : []),
       ...limitedHistory,
       { role: "user", content: prompt }
     ];
@@ -559,7 +1139,7 @@ app.post("/api/ask", async (req, res) => {
     const systemPromptTokens = estimateTokens(systemPrompt);
     const historyTokensFinal = estimateMessagesTokens(limitedHistory);
     const userPromptTokens = estimateTokens(prompt);
-    const totalEstimatedTokens = systemPromptTokens + historyTokensFinal + userPromptTokens;
+    const totalEstimatedTokens = systemPromptTokens + summaryTokens + historyTokensFinal + userPromptTokens;
     
     const promptSize = JSON.stringify(messages).length;
     logPromptSize(requestId, promptSize, messages.length);
@@ -568,6 +1148,7 @@ app.post("/api/ask", async (req, res) => {
       system_tokens: systemPromptTokens,
       history_messages: limitedHistory.length,
       history_tokens: historyTokensFinal,
+      summary_tokens: summaryTokens,
       user_tokens: userPromptTokens,
       total_estimated_tokens: totalEstimatedTokens
     });
@@ -594,6 +1175,11 @@ app.post("/api/ask", async (req, res) => {
       answer = forcedDiagnosticTemplate(turn.activeTopic);
     }
 
+    // סימני [n] שאין מאחוריהם citation נמחקים
+    const citationCheck = validateCitationMarkers(answer, ragContext?.citations || []);
+    answer = citationCheck.answer;
+    logCitationCheck(requestId, citationCheck);
+
     // שמירת הודעות ומצב - await critical writes before finalizing
     // Cache updates happen AFTER successful writes (write-through cache)
     const maxStoredMessages = parseInt(MAX_STORED_MESSAGES_PER_USER || "200", 10);
@@ -602,8 +1188,8 @@ app.post("/api/ask", async (req, res) => {
     if (chatMemoryEnabled) {
       try {
         // Save user message first, then update cache
-        await saveChatMessage(rawEmail, "user", prompt);
-        updateHistoryCache(rawEmail, { role: "user", content: prompt }, maxStoredMessages);
+        await saveChatMessage(rawEmail, "user", prompt, { sessionId });
+        updateHistoryCache(rawEmail, { role: "user", content: prompt }, maxStoredMessages, sessionId);
         console.log(`[Cache] history UPDATED after user message write`);
       } catch (e) {
         if (e.code === 8 || e.message?.includes("Quota exceeded")) {
@@ -612,14 +1198,15 @@ app.post("/api/ask", async (req, res) => {
       }
       // Save assistant message second, then update cache (ensures correct ordering)
       try {
-        await saveChatMessage(rawEmail, "assistant", answer);
-        updateHistoryCache(rawEmail, { role: "assistant", content: answer }, maxStoredMessages);
+        await saveChatMessage(rawEmail, "assistant", answer, { sessionId, citations: storedCitations(citationCheck.citations) });
+        updateHistoryCache(rawEmail, { role: "assistant", content: answer }, maxStoredMessages, sessionId);
         console.log(`[Cache] history UPDATED after assistant message write`);
       } catch (e) {
         if (e.code === 8 || e.message?.includes("Quota exceeded")) {
           console.warn("[ChatMemory] Firestore quota exceeded - skipping message save");
         }
       }
+      if (sessionId) touchChatSession(rawEmail, sessionId, prompt);
     }
     
     // Non-critical writes can run in background
@@ -639,6 +1226,9 @@ app.post("/api/ask", async (req, res) => {
           updateStateCache(rawEmail, turn.nextState);
           console.log(`[Cache] state UPDATED after state write`);
         }
+      }),
+      recordTokenUsage(rawEmail, courseName, completion?.usage?.total_tokens || 0).catch((e) => {
+        console.warn("[Quota] Failed to record token usage:", e?.message || e);
       })
     ]).catch(() => {}); // לא נזרוק שגיאה - זה לא קריטי
 
@@ -648,7 +1238,10 @@ app.post("/api/ask", async (req, res) => {
       answer, 
       usage: completion?.usage || null, 
       first_login,
-      rag_sources: ragContext?.sources || null
+      rag_sources: ragContext?.sources || null,
+      citations: citationCheck.citations,
+      answer_path: answerPath,
+      session_id: sessionId
     });
 
   } catch (e) {
@@ -689,8 +1282,10 @@ async function handleStreamingRequest(req, res) {
   } catch (e) { res.end(); return; }
 
   try {
-    const rawEmail = (req.body?.email || "").trim().toLowerCase();
+    const rawEmail = req.userEmail;
     const prompt = (req.body?.prompt || req.headers["x-gpt-user-message"] || "").trim();
+    // חילוץ course_name מה-context או ברירת מחדל "statistics"
+    const courseName = req.body?.course_name || "statistics";
 
     if (!rawEmail || !prompt) {
       res.write(`data: ${JSON.stringify({ type: "error", message: "Missing data" })}\n\n`);
@@ -698,20 +1293,31 @@ async function handleStreamingRequest(req, res) {
       return;
     }
 
+    let sessionId;
+    try {
+      sessionId = await resolveChatSession(req);
+    } catch (e) {
+      if (!e.status) throw e;
+      res.write(`data: ${JSON.stringify({ type: "error", message: e.message, status: e.status })}\n\n`);
+      res.end();
+      return;
+    }
+
     logPerformance(requestId, "start", Date.now() - startTime);
 
     // Parallelize independent Firestore reads: first_login check, user state, and conversation history
     const firestoreStartTime = Date.now();
     const firstLoginStartTime = Date.now();
     
-    const [firstLoginResult, stateResult, historyResult] = await Promise.all([
+    const [firstLoginResult, stateResult, historyResult, conversationSummary] = await Promise.all([
       getFirstLoginCached(db, rawEmail, requestId, checkAndMarkFirstLoginWrapper).then(result => {
         const firstLoginMs = Date.now() - firstLoginStartTime;
         console.log(`[RID:${requestId}] firestore_read first_login ms=${firstLoginMs} cached=${result.cached}`);
         return result;
       }),
-      getStateCached(db, rawEmail, requestId, loadUserState),
-      getHistoryCached(chatMemoryEnabled, rawEmail, requestId, getUserConversationHistory)
+      getStateCached(db, rawEmail, requestId, loadUserState, sessionId),
+      getHistoryCached(chatMemoryEnabled, rawEmail, requestId, getUserConversationHistory, sessionId),
+      conversationSummaryEnabled ? getConversationSummary(rawEmail, sessionId) : null
     ]);
     
     const { first_login } = firstLoginResult;
@@ -742,17 +1348,25 @@ async function handleStreamingRequest(req, res) {
     // גם אם יש quota exceeded, נדלג על RAG כדי לא להחמיר את הבעיה
     if (ragEnabled && !turn.diagnosisOnly) {
       try {
-        // חילוץ course_name מה-context או ברירת מחדל "statistics"
-        const courseName = req.body?.course_name || "statistics";
         const maxDocs = parseInt(RAG_MAX_DOCS || "50", 10);
-        const RAG_TIMEOUT_MS = 400; // Fail fast timeout
+        const ragTimeoutMs = parseInt(RAG_TIMEOUT_MS || "400", 10); // Fail fast timeout (כולל re-ranker, אם הוגדר לקורס)
+
+        // ניסוח מחדש של שאלת המשך - עם תקציב זמן משלו (QUERY_REWRITE_TIMEOUT_MS), לפני שמתחיל תקציב החיפוש
+        const rewriteStartTime = Date.now();
+        const rewrite = await rewriteSearchQuery(prompt, conversationHistory, {
+          openai: queryRewriteEnabled ? openai : null,
+          model: QUERY_REWRITE_MODEL,
+          fallbackQuery: turn.ragQuery || prompt,
+          timeoutMs: queryRewriteTimeoutMs,
+        });
+        logQueryRewrite(requestId, prompt, rewrite, Date.now() - rewriteStartTime);
         
         // Use AbortController for proper cancellation (rag.js handles Promise.race internally)
         const abortController = new AbortController();
-        const timeoutId = setTimeout(() => abortController.abort(), RAG_TIMEOUT_MS);
+        const timeoutId = setTimeout(() => abortController.abort(), ragTimeoutMs);
         
         try {
-          ragContext = await getRAGContext(turn.ragQuery || prompt, 3, courseName, maxDocs, RAG_TIMEOUT_MS, abortController.signal);
+          ragContext = await getRAGContext(rewrite.queries, 3, courseName, maxDocs, ragTimeoutMs, abortController.signal);
           clearTimeout(timeoutId);
           
           // Log with detailed metrics (metrics.rag_total_ms is the actual awaited duration from rag.js)
@@ -804,32 +1418,49 @@ async function handleStreamingRequest(req, res) {
       }
     }
 
+    const answerPath = resolveAnswerPath(turn, ragContext);
+    console.log(`[RID:${requestId}] answer_path=${answerPath}`);
+    if (answerPath === "not_covered") {
+      const answer = await completeNotCoveredTurn({ rawEmail, sessionId, prompt, courseName, turn, ragContext, requestId });
+      res.write(`data: ${JSON.stringify({ type: "token", content: answer })}\n\n`);
+      logPerformance(requestId, "end", Date.now() - startTime);
+      res.write(`data: ${JSON.stringify({ type: "done", answer_path: answerPath, related_topics: ragContext.related_topics || [], session_id: sessionId })}\n\n`);
+      res.end();
+      return;
+    }
+
     let systemPrompt = buildGalibotSystemPrompt(ragContext, requestId);
     if (turn.diagnosisOnly) {
       systemPrompt = applyDiagnosisEnforcement(systemPrompt);
     }
 
     // Token-based history limiting: max 1500 tokens OR last 8 messages (whichever is more restrictive)
+    // הסיכום של ההודעות הקודמות נכנס לאותו תקציב - ההיסטוריה מקבלת את מה שנשאר
     const MAX_HISTORY_TOKENS = 1500;
     const MAX_HISTORY_MESSAGES_FALLBACK = 8;
+    const summaryMessage = buildSummaryMessage(conversationSummary);
+    const summaryTokens = summaryMessage ? estimateMessagesTokens([summaryMessage]) : 0;
+    const historyTokenBudget = MAX_HISTORY_TOKENS - summaryTokens;
     
     let limitedHistory = conversationHistory;
     const historyTokens = estimateMessagesTokens(conversationHistory);
     
-    if (historyTokens > MAX_HISTORY_TOKENS) {
+    if (historyTokens > historyTokenBudget) {
       // Trim from oldest messages until we're under token limit
       let trimmedTokens = 0;
       let keepCount = 0;
       for (let i = conversationHistory.length - 1; i >= 0; i--) {
         const msgTokens = estimateTokens(conversationHistory[i].content || "") + 10;
-        if (trimmedTokens + msgTokens <= MAX_HISTORY_TOKENS) {
+        if (trimmedTokens + msgTokens <= historyTokenBudget) {
           trimmedTokens += msgTokens;
           keepCount++;
         } else {
           break;
         }
       }
-      limitedHistory = conversationHistory.slice(-keepCount);
+      // גם ההודעה האחרונה לא נכנסת לתקציב (הודעה ארוכה מאוד, או סיכום גדול) - חלון ריק, והכל מקופל לסיכום.
+      // slice(-0) היה מחזיר את כל ההיסטוריה
+      limitedHistory = keepCount > 0 ? conversationHistory.slice(-keepCount) : [];
       console.log(`[RID:${requestId}] history_trimmed tokens=${historyTokens}->${estimateMessagesTokens(limitedHistory)} messages=${conversationHistory.length}->${limitedHistory.length}`);
     } else if (conversationHistory.length > MAX_HISTORY_MESSAGES_FALLBACK) {
       // Fallback: if message count exceeds limit, keep last N messages
@@ -837,8 +1468,14 @@ async function handleStreamingRequest(req, res) {
       console.log(`[RID:${requestId}] history_trimmed_by_count messages=${conversationHistory.length}->${limitedHistory.length}`);
     }
 
+    // הודעות שיצאו מהחלון מקופלות לסיכום ברקע (רק כשהצטברו מספיק) - לתורות הבאים
+    if (conversationSummaryEnabled && limitedHistory.length < conversationHistory.length) {
+      refreshConversationSummary(rawEmail, sessionId, conversationHistory.slice(0, conversationHistory.length - limitedHistory.length), conversationSummary);
+    }
+
     const messages = [
       { role: "system", content: systemPrompt },
+      ...(summaryMessage ? [summaryMessage] : []),
       ...limitedHistory,
       { role: "user", content: prompt }
     ];
@@ -847,7 +1484,7 @@ async function handleStreamingRequest(req, res) {
     const systemPromptTokens = estimateTokens(systemPrompt);
     const historyTokensFinal = estimateMessagesTokens(limitedHistory);
     const userPromptTokens = estimateTokens(prompt);
-    const totalEstimatedTokens = systemPromptTokens + historyTokensFinal + userPromptTokens;
+    const totalEstimatedTokens = systemPromptTokens + summaryTokens + historyTokensFinal + userPromptTokens;
     
     const promptSize = JSON.stringify(messages).length;
     logPromptSize(requestId, promptSize, messages.length);
@@ -856,6 +1493,7 @@ async function handleStreamingRequest(req, res) {
       system_tokens: systemPromptTokens,
       history_messages: limitedHistory.length,
       history_tokens: historyTokensFinal,
+      summary_tokens: summaryTokens,
       user_tokens: userPromptTokens,
       total_estimated_tokens: totalEstimatedTokens
     });
@@ -865,14 +1503,15 @@ async function handleStreamingRequest(req, res) {
     const maxStoredMessages = parseInt(MAX_STORED_MESSAGES_PER_USER || "200", 10);
     if (chatMemoryEnabled) {
       try {
-        await saveChatMessage(rawEmail, "user", prompt);
-        updateHistoryCache(rawEmail, { role: "user", content: prompt }, maxStoredMessages);
+        await saveChatMessage(rawEmail, "user", prompt, { sessionId });
+        updateHistoryCache(rawEmail, { role: "user", content: prompt }, maxStoredMessages, sessionId);
         console.log(`[Cache] history UPDATED after user message write`);
       } catch (e) {
         if (e.code === 8 || e.message?.includes("Quota exceeded")) {
           console.warn("[ChatMemory] Firestore quota exceeded - skipping message save");
         }
       }
+      if (sessionId) touchChatSession(rawEmail, sessionId, prompt);
     }
 
     // אם זה נושא חדש: במקום להזרים מהמודל (שקשה לאכוף בזמן אמת), מבצעים completion קצר,
@@ -892,6 +1531,9 @@ async function handleStreamingRequest(req, res) {
       if (completion?.usage) {
         logTokenUsage(requestId, completion.usage);
       }
+      recordTokenUsage(rawEmail, courseName, completion?.usage?.total_tokens || 0).catch((e) => {
+        console.warn("[Quota] Failed to record token usage:", e?.message || e);
+      });
 
       let fullAnswer = completion?.choices?.[0]?.message?.content?.trim() || "";
       fullAnswer = cleanLaTeXFormulas(fullAnswer);
@@ -899,19 +1541,22 @@ async function handleStreamingRequest(req, res) {
       if (!isValidDiagnosisOnlyOutput(fullAnswer)) {
         fullAnswer = forcedDiagnosticTemplate(turn.activeTopic);
       }
+      const citationCheck = validateCitationMarkers(fullAnswer, ragContext?.citations || []);
+      fullAnswer = citationCheck.answer;
+      logCitationCheck(requestId, citationCheck);
 
       // שולחים את כל ההודעה כ"טוקן" אחד (ה-UI עדיין עובד עם SSE)
       res.write(`data: ${JSON.stringify({ type: "token", content: fullAnswer })}\n\n`);
 
       if (ragContext?.sources) {
-        res.write(`data: ${JSON.stringify({ type: "sources", sources: ragContext.sources })}\n\n`);
+        res.write(`data: ${JSON.stringify({ type: "sources", sources: ragContext.sources, citations: citationCheck.citations })}\n\n`);
       }
 
       // שמירת הודעת הבוט - await before finalizing request
       if (chatMemoryEnabled && fullAnswer.trim()) {
         try {
-          await saveChatMessage(rawEmail, "assistant", fullAnswer);
-          updateHistoryCache(rawEmail, { role: "assistant", content: fullAnswer }, maxStoredMessages);
+          await saveChatMessage(rawEmail, "assistant", fullAnswer, { sessionId, citations: storedCitations(citationCheck.citations) });
+          updateHistoryCache(rawEmail, { role: "assistant", content: fullAnswer }, maxStoredMessages, sessionId);
           console.log(`[Cache] history UPDATED after assistant message write`);
         } catch (e) {
           if (e.code === 8 || e.message?.includes("Quota exceeded")) {
@@ -929,7 +1574,7 @@ async function handleStreamingRequest(req, res) {
       });
 
       logPerformance(requestId, "end", Date.now() - startTime);
-      res.write(`data: ${JSON.stringify({ type: "done" })}\n\n`);
+      res.write(`data: ${JSON.stringify({ type: "done", answer_path: answerPath, session_id: sessionId })}\n\n`);
       res.end();
       return;
     }
@@ -941,14 +1586,21 @@ async function handleStreamingRequest(req, res) {
       messages: messages,
       temperature: turn.wantsFastPass ? 0.3 : 0.25,
       max_tokens: turn.wantsFastPass ? 1200 : 420,
-      stream: true
+      stream: true,
+      stream_options: { include_usage: true }
     });
 
     let fullAnswer = "";
+    let streamedAnswer = ""; // מה שהלקוח קיבל בפועל (אחרי סינון הסימנים) - זה מה שנשמר
     let firstTokenTime = null;
+    let streamUsage = null;
+    // סימני [n] לא תקינים מסוננים כבר בזמן ההזרמה (סימן שנחתך בין tokens מוחזק עד שנסגר)
+    const citationFilter = createCitationStreamFilter(ragContext?.citations || []);
 
     for await (const chunk of stream) {
       if (res.destroyed || res.closed) break;
+      // ה-chunk האחרון (include_usage) מגיע עם choices ריק ו-usage מלא
+      if (chunk.usage) streamUsage = chunk.usage;
       const content = chunk.choices[0]?.delta?.content || "";
       if (content) {
         if (firstTokenTime === null) {
@@ -956,24 +1608,46 @@ async function handleStreamingRequest(req, res) {
           logPerformance(requestId, "ttft", firstTokenTime); // Time to first token
         }
         fullAnswer += content;
-        res.write(`data: ${JSON.stringify({ type: "token", content })}\n\n`);
-        if (res.flush) res.flush();
+        const visible = citationFilter.push(content);
+        streamedAnswer += visible;
+        if (visible) {
+          res.write(`data: ${JSON.stringify({ type: "token", content: visible })}\n\n`);
+          if (res.flush) res.flush();
+        }
       }
     }
+    const pendingContent = citationFilter.flush();
+    streamedAnswer += pendingContent;
+    if (pendingContent && !res.destroyed && !res.closed) {
+      res.write(`data: ${JSON.stringify({ type: "token", content: pendingContent })}\n\n`);
+    }
 
     logPerformance(requestId, "openai_call", Date.now() - openaiStartTime);
 
-    fullAnswer = cleanLaTeXFormulas(fullAnswer);
+    if (streamUsage) {
+      logTokenUsage(requestId, streamUsage);
+    }
+    // אם ה-stream נקטע לפני ה-usage, מעריכים לפי אורך הפרומפט והתשובה
+    const streamTokens = streamUsage?.total_tokens || (totalEstimatedTokens + estimateTokens(fullAnswer));
+    recordTokenUsage(rawEmail, courseName, streamTokens).catch((e) => {
+      console.warn("[Quota] Failed to record token usage:", e?.message || e);
+    });
+
+    // נשמר מה שהוזרם, עם ה-citations שסומנו בזמן ההזרמה - לא בדיקה חוזרת על טקסט אחר.
+    // cleanLaTeXFormulas משנה רק את תחביר הנוסחאות (\[...\] -> $$...$$), והמסנן כבר התייחס לשניהם כנוסחה
+    fullAnswer = cleanLaTeXFormulas(streamedAnswer);
+    const citationCheck = citationFilter.result();
+    logCitationCheck(requestId, citationCheck);
 
     if (ragContext?.sources) {
-      res.write(`data: ${JSON.stringify({ type: "sources", sources: ragContext.sources })}\n\n`);
+      res.write(`data: ${JSON.stringify({ type: "sources", sources: ragContext.sources, citations: citationCheck.citations })}\n\n`);
     }
 
     // שמירת הודעת הבוט - await before finalizing request
     if (chatMemoryEnabled && fullAnswer.trim()) {
       try {
-        await saveChatMessage(rawEmail, "assistant", fullAnswer);
-        updateHistoryCache(rawEmail, { role: "assistant", content: fullAnswer }, maxStoredMessages);
+        await saveChatMessage(rawEmail, "assistant", fullAnswer, { sessionId, citations: storedCitations(citationCheck.citations) });
+        updateHistoryCache(rawEmail, { role: "assistant", content: fullAnswer }, maxStoredMessages, sessionId);
         console.log(`[Cache] history UPDATED after assistant message write`);
       } catch (e) {
         if (e.code === 8 || e.message?.includes("Quota exceeded")) {
@@ -991,7 +1665,7 @@ async function handleStreamingRequest(req, res) {
     });
 
     logPerformance(requestId, "end", Date.now() - startTime);
-    res.write(`data: ${JSON.stringify({ type: "done" })}\n\n`);
+    res.write(`data: ${JSON.stringify({ type: "done", answer_path: answerPath, session_id: sessionId })}\n\n`);
     res.end();
 
   } catch (e) {
@@ -1002,16 +1676,94 @@ async function handleStreamingRequest(req, res) {
   }
 }
 
+const uploadFields = upload.fields([{ name: "file", maxCount: 1 }, { name: "pdf", maxCount: 1 }]);
+
 // Handler function for upload endpoint (reusable for both /api/upload-course-material and /upload-course-material)
 const uploadHandler = (req, res, next) => {
   // Check if this is a multipart/form-data request (file upload)
   if (req.headers['content-type'] && req.headers['content-type'].includes('multipart/form-data')) {
-    return upload.single("pdf")(req, res, next);
+    // השדה "pdf" נשאר לתאימות לאחור; "file" לכל הפורמטים
+    return uploadFields(req, res, (err) => {
+      if (!err) req.file = req.files?.file?.[0] || req.files?.pdf?.[0];
+      next(err);
+    });
   }
   // Otherwise, skip multer and go directly to the handler
   next();
 };
 
+// חילוץ הטקסט וה-source מבקשת העלאה (קובץ ב-multipart או שדה text ב-JSON)
+// מחזיר { text, source, format, pageUnit } או { error, status }
+async function extractUploadContent(req) {
+  let extracted;
+  let source = req.body?.source || "unknown";
+
+  // אם יש קובץ (PDF / DOCX / PPTX / Markdown / HTML / TXT)
+  if (req.file) {
+    try {
+      extracted = await extractDocument(req.file.buffer, req.file);
+    } catch (extractError) {
+      return { error: extractError.message, status: extractError.status || 400, supported_extensions: SUPPORTED_EXTENSIONS };
+    }
+
+    // אם לא צוין source, משתמשים בשם הקובץ
+    if (!req.body?.source && req.file.originalname) {
+      source = req.file.originalname;
+    }
+  } 
+  // אם יש טקסט ישיר ב-body
+  else if (req.body?.text) {
+    try {
+      extracted = extractInlineText(req.body.text, req.body.format);
+    } catch (extractError) {
+      return { error: extractError.message, status: extractError.status || 400 };
+    }
+  } 
+  else {
+    return { error: "Either a 'file' upload or a 'text' field is required", status: 400 };
+  }
+
+  const { text, format, pageUnit } = extracted;
+  if (!text || text.replaceAll(PAGE_BREAK, "").trim().length === 0) {
+    return { error: "No text content found in the uploaded file", status: 400 };
+  }
+
+  return { text, source, format, pageUnit };
+}
+
+// יצירת ingestion job למקור - או 409 אם כבר יש job פעיל לאותו מקור בקורס
+// מחזיר { status, body } לתשובת ה-HTTP
+async function startIngestion({ text, format, pageUnit }, source, courseName, uploadedBy) {
+  const activeJobId = getActiveJobId(courseName, source);
+  if (activeJobId) {
+    return {
+      status: 409,
+      body: { error: "File is already being processed", job_id: activeJobId, status_url: `/api/ingestion-jobs/${activeJobId}` },
+    };
+  }
+
+  const job = await createIngestionJob(text, {
+    source: source,
+    course_name: courseName,
+    format: format,
+    page_unit: pageUnit,
+    uploaded_by: uploadedBy,
+    uploaded_at: new Date().toISOString(),
+  });
+  return {
+    status: 202,
+    body: {
+      success: true,
+      message: "Upload accepted - processing in background",
+      job_id: job.job_id,
+      status: job.status,
+      status_url: `/api/ingestion-jobs/${job.job_id}`,
+      source: source,
+      course_name: courseName,
+    },
+  };
+}
+
 const uploadRouteHandler = async (req, res) => {
   // Set CORS headers
   const origin = req.headers.origin;
@@ -1021,93 +1773,22 @@ const uploadRouteHandler = async (req, res) => {
   res.setHeader("Access-Control-Allow-Credentials", "true");
   
   try {
-    const rawEmail = (req.body?.email || "").trim().toLowerCase();
-    if (!rawEmail) {
-      return res.status(400).json({ error: "email is required" });
-    }
-
-    // בדיקת הרשאות (אותה לוגיקה כמו ב-/api/ask)
-    const bypass = BYPASS_AUTH.toLowerCase() === "true";
-    if (!bypass) {
-      // Auth check logic here (simplified - same as /api/ask)
-    }
-
-    let text = "";
-    let source = req.body?.source || "unknown";
+    const rawEmail = req.userEmail;
     const courseName = req.body?.course_name || "statistics";
 
-    // אם יש קובץ PDF
-    if (req.file) {
-      if (req.file.mimetype !== "application/pdf") {
-        return res.status(400).json({ error: "Only PDF files are allowed" });
-      }
-
-      try {
-        // חילוץ טקסט מ-PDF
-        const pdfData = await pdfParse(req.file.buffer);
-        text = pdfData.text;
-        
-        // אם לא צוין source, משתמשים בשם הקובץ
-        if (!req.body?.source && req.file.originalname) {
-          source = req.file.originalname;
-        }
-      } catch (pdfError) {
-        console.error("[PDF Parse Error]", pdfError);
-        return res.status(400).json({ error: "Failed to parse PDF file" });
-      }
-    } 
-    // אם יש טקסט ישיר ב-body
-    else if (req.body?.text) {
-      text = req.body.text;
-    } 
-    else {
-      return res.status(400).json({ error: "Either 'pdf' file or 'text' field is required" });
-    }
-
-    if (!text || text.trim().length === 0) {
-      return res.status(400).json({ error: "No text content found in the uploaded file" });
+    const extracted = await extractUploadContent(req);
+    if (extracted.error) {
+      const { error, status, supported_extensions } = extracted;
+      return res.status(status).json({ error, supported_extensions });
     }
+    const { source } = extracted;
 
-    // בדיקה שהקובץ לא בעיבוד
-    const fileKey = `${rawEmail}_${source}_${Date.now()}`;
-    if (processingFiles.has(fileKey)) {
-      return res.status(429).json({ error: "File is already being processed" });
+    if (!ragEnabled) {
+      return res.status(503).json({ error: "RAG is not enabled" });
     }
 
-    processingFiles.add(fileKey);
-
-    try {
-      // העלאת המסמך ל-RAG
-      if (!ragEnabled) {
-        return res.status(503).json({ error: "RAG is not enabled" });
-      }
-
-      const metadata = {
-        source: source,
-        course_name: courseName,
-        uploaded_by: rawEmail,
-        uploaded_at: new Date().toISOString(),
-      };
-
-      const result = await uploadDocumentToRAG(text, metadata);
-
-      processingFiles.delete(fileKey);
-
-      return res.json({
-        success: true,
-        message: "Document uploaded successfully",
-        chunksCount: result.chunksCount,
-        source: source,
-        course_name: courseName,
-      });
-    } catch (uploadError) {
-      processingFiles.delete(fileKey);
-      console.error("[Upload Error]", uploadError);
-      return res.status(500).json({ 
-        error: "Failed to upload document to RAG", 
-        details: uploadError.message 
-      });
-    }
+    const { status, body } = await startIngestion(extracted, source, courseName, rawEmail);
+    return res.status(status).json(body);
   } catch (e) {
     console.error("[Upload Route Error]", e);
     return res.status(500).json({ error: "Server error", details: e.message });
@@ -1137,12 +1818,296 @@ app.options("/upload-course-material", (req, res) => {
   res.sendStatus(200);
 });
 
+// הרשאה להעלאה: requireAuth ו-requireLecturer רצים לפני multer, כך שקובץ של משתמש לא מורשה לא נקרא לזיכרון.
+// רק כשהזהות (או הסוד) מגיעה משדה ב-body - REQUIRE_ID_TOKEN=false, BYPASS_AUTH או API_SECRET_ALLOW_BODY -
+// ההרשאה רצה אחרי multer, כי את ה-body של multipart אפשר לקרוא רק אחריו.
+const uploadAuthFromBody = REQUIRE_ID_TOKEN.toLowerCase() === "false"
+  || BYPASS_AUTH.toLowerCase() === "true"
+  || API_SECRET_ALLOW_BODY.toLowerCase() === "true";
+const authorizedUpload = uploadAuthFromBody
+  ? [uploadHandler, handleMulterError, requireAuth, requireLecturer]
+  : [requireAuth, requireLecturer, uploadHandler, handleMulterError];
+// הקורס של העלאה חדשה מגיע מה-body, ולכן הבדיקה שהמרצה מנהל אותו רצה אחרי multer
+const uploadCourseLecturer = requireCourseAccess((req) => req.body?.course_name || "statistics");
+
 // Routes for uploading course materials (PDF or text) - support both /api/upload-course-material and /upload-course-material
-app.post("/api/upload-course-material", uploadHandler, handleMulterError, uploadRouteHandler);
-app.post("/upload-course-material", uploadHandler, handleMulterError, uploadRouteHandler);
+// רק מרצים ואדמינים רשאים להעלות חומרים לקורפוס
+app.post("/api/upload-course-material", ...authorizedUpload, uploadCourseLecturer, uploadRouteHandler);
+app.post("/upload-course-material", ...authorizedUpload, uploadCourseLecturer, uploadRouteHandler);
+
+// ---------- ניהול חומרי קורס ----------
+app.get("/api/course-materials", requireAuth, requireLecturer, requireCourseAccess((req) => (req.query.course_name || "statistics").toString()), async (req, res) => {
+  try {
+    if (!ragEnabled) {
+      return res.status(503).json({ error: "RAG is not enabled" });
+    }
+    const courseName = (req.query.course_name || "statistics").toString();
+    const sources = await listCourseSources(courseName);
+    return res.json({ course_name: courseName, sources });
+  } catch (e) {
+    console.error("[Materials] List sources error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.get("/api/course-materials/:course/sources/:source/chunks", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  try {
+    if (!ragEnabled) {
+      return res.status(503).json({ error: "RAG is not enabled" });
+    }
+    const chunks = await getSourceChunks(req.params.course, req.params.source);
+    if (chunks.length === 0) {
+      return res.status(404).json({ error: "Source not found" });
+    }
+    return res.json({ course_name: req.params.course, source: req.params.source, chunks });
+  } catch (e) {
+    console.error("[Materials] Get chunks error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.delete("/api/course-materials/:course/sources/:source", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  try {
+    if (!ragEnabled) {
+      return res.status(503).json({ error: "RAG is not enabled" });
+    }
+    const result = await deleteSourceFromRAG(req.params.course, req.params.source);
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: "Source not found" });
+    }
+    return res.json({ success: true, course_name: req.params.course, source: req.params.source, ...result });
+  } catch (e) {
+    console.error("[Materials] Delete source error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
 
-app.post("/api/ask/stream", async (req, res) => handleStreamingRequest(req, res));
+// הגדרות האחזור של קורס (משקלי ה-fusion, over-fetch, כפילויות, MMR, re-ranker וסף רלוונטיות) - שדה: [מינימום, מקסימום, שלם?]
+const RETRIEVAL_NUMBER_FIELDS = {
+  vector_weight: [0, 1, false],
+  keyword_weight: [0, 1, false],
+  candidates: [1, 100, true],
+  dedupe_threshold: [0, 1, false],
+  mmr_lambda: [0, 1, false],
+  relevance_threshold: [0, 1, false],
+};
+
+app.get("/api/course-materials/:course/retrieval", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  try {
+    return res.json({ course_name: req.params.course, retrieval: await getRetrievalSettings(req.params.course) });
+  } catch (e) {
+    console.error("[Materials] Get retrieval settings error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.put("/api/course-materials/:course/retrieval", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  try {
+    const retrieval = {};
+    for (const [field, [min, max, integer]] of Object.entries(RETRIEVAL_NUMBER_FIELDS)) {
+      if (req.body?.[field] === undefined) continue;
+      const n = Number(req.body[field]);
+      if (!Number.isFinite(n) || n < min || n > max || (integer && !Number.isInteger(n))) {
+        return res.status(400).json({ error: `${field} must be ${integer ? "an integer" : "a number"} between ${min} and ${max}` });
+      }
+      retrieval[field] = n;
+    }
+    if (req.body?.reranker !== undefined) {
+      if (!RERANKER_TYPES.includes(req.body.reranker)) {
+        return res.status(400).json({ error: `reranker must be one of ${RERANKER_TYPES.join(", ")}` });
+      }
+      retrieval.reranker = req.body.reranker;
+    }
+    if (Object.keys(retrieval).length === 0) {
+      return res.status(400).json({ error: `At least one of ${[...Object.keys(RETRIEVAL_NUMBER_FIELDS), "reranker"].join(", ")} is required` });
+    }
+    const merged = { ...(await getRetrievalSettings(req.params.course)), ...retrieval };
+    if (merged.vector_weight + merged.keyword_weight === 0) {
+      return res.status(400).json({ error: "vector_weight and keyword_weight cannot both be 0" });
+    }
+    await updateCourseSettings(req.params.course, { retrieval }, req.userEmail);
+    return res.json({ success: true, course_name: req.params.course, retrieval: await getRetrievalSettings(req.params.course) });
+  } catch (e) {
+    console.error("[Materials] Update retrieval settings error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// כיול סף הרלוונטיות של קורס מול הקורפוס שלו. { "apply": true } שומר את הסף המוצע בהגדרות האחזור.
+app.post("/api/course-materials/:course/retrieval/calibrate", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  if (!ragEnabled) {
+    return res.status(503).json({ error: "RAG is not enabled" });
+  }
+  try {
+    const calibration = await calibrateRelevanceThreshold(req.params.course);
+    if (req.body?.apply === true) {
+      await updateCourseSettings(req.params.course, { retrieval: { relevance_threshold: calibration.suggested_threshold } }, req.userEmail);
+    }
+    return res.json({ success: true, course_name: req.params.course, applied: req.body?.apply === true, ...calibration });
+  } catch (e) {
+    if (e.status) {
+      return res.status(e.status).json({ error: e.message });
+    }
+    console.error("[Materials] Calibrate relevance threshold error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// שאלות שחומרי הקורס לא כיסו (מסלול not_covered), מקובצות לפי נוסח
+app.get("/api/course-materials/:course/coverage-gaps", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit || "100", 10) || 100, 1), 500);
+    return res.json({ course_name: req.params.course, gaps: await listCoverageGaps(req.params.course, { limit }) });
+  } catch (e) {
+    console.error("[Materials] List coverage gaps error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// מודל ה-embedding של קורס: המודל הפעיל ומספר ה-chunks בכל גרסת embedding (בזמן מעבר - גם של המודל החדש)
+app.get("/api/course-materials/:course/embedding", requireAuth, requireLecturer, requireCourseLecturer, async (req, res) => {
+  if (!ragEnabled) {
+    return res.status(503).json({ error: "RAG is not enabled" });
+  }
+  try {
+    return res.json({ course_name: req.params.course, supported_models: EMBEDDING_MODELS, ...(await getCourseEmbeddingStatus(req.params.course)) });
+  } catch (e) {
+    console.error("[Materials] Get embedding status error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// embedding מחדש של הקורפוס במודל אחר, ברקע. הוקטורים הקיימים ממשיכים לשרת עד ההחלפה בסוף ה-job.
+// { model, dimensions?, switch?: false } - בלי switch ה-job רק מכין את הוקטורים. job לא גמור לאותו מודל ממשיך מאיפה שנעצר.
+app.post("/api/course-materials/:course/embedding/reembed", requireAuth, requireAdmin, async (req, res) => {
+  if (!ragEnabled) {
+    return res.status(503).json({ error: "RAG is not enabled" });
+  }
+  try {
+    const { job, resumed } = await createEmbeddingJob(
+      req.params.course,
+      { model: req.body?.model, dimensions: req.body?.dimensions },
+      { requestedBy: req.userEmail, switchWhenDone: req.body?.switch !== false }
+    );
+    return res.status(202).json({
+      success: true,
+      resumed,
+      job_id: job.job_id,
+      status: job.status,
+      embedding_version: job.embedding_version,
+      status_url: `/api/embedding-jobs/${job.job_id}`,
+    });
+  } catch (e) {
+    if (e.status) {
+      return res.status(e.status).json({ error: e.message, job_id: e.jobId });
+    }
+    console.error("[Materials] Start re-embedding error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// מחיקת הוקטורים של מודלים שאינם הפעיל (אחרי שהמעבר נבדק - עד אז אפשר לחזור למודל הקודם בלי embedding)
+app.delete("/api/course-materials/:course/embedding/inactive", requireAuth, requireAdmin, async (req, res) => {
+  if (!ragEnabled) {
+    return res.status(503).json({ error: "RAG is not enabled" });
+  }
+  try {
+    return res.json({ success: true, course_name: req.params.course, ...(await deleteInactiveEmbeddings(req.params.course)) });
+  } catch (e) {
+    console.error("[Materials] Delete inactive embeddings error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// החלפה אטומית של מקור בגרסה חדשה (PDF ב-multipart או text ב-JSON)
+app.put("/api/course-materials/:course/sources/:source", ...authorizedUpload, requireCourseLecturer, async (req, res) => {
+  try {
+    if (!ragEnabled) {
+      return res.status(503).json({ error: "RAG is not enabled" });
+    }
+    const extracted = await extractUploadContent(req);
+    if (extracted.error) {
+      const { error, status, supported_extensions } = extracted;
+      return res.status(status).json({ error, supported_extensions });
+    }
+
+    const { status, body } = await startIngestion(extracted, req.params.source, req.params.course, req.userEmail);
+    return res.status(status).json(body);
+  } catch (e) {
+    console.error("[Materials] Replace source error:", e);
+    return res.status(500).json({ error: "Failed to replace source", details: e.message });
+  }
+});
+
+// מצב של ingestion job: progress (chunks_done/chunks_total), כשלונות לפי chunk ותוצאה סופית
+app.get("/api/ingestion-jobs/:jobId", requireAuth, requireLecturer, async (req, res) => {
+  try {
+    if (!ragEnabled) {
+      return res.status(503).json({ error: "RAG is not enabled" });
+    }
+    const job = await getIngestionJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (!(await canManageCourse(req.userEmail, req.userRole, job.course_name))) {
+      return res.status(403).json({ error: "Not a lecturer of this course", course_name: job.course_name });
+    }
+    return res.json(job);
+  } catch (e) {
+    console.error("[Ingestion] Get job error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// הרצה חוזרת של job שנכשל - מהטקסט השמור שלו (עד RETENTION_FAILED_UPLOAD_DAYS), בלי להעלות את הקובץ שוב
+app.post("/api/ingestion-jobs/:jobId/retry", requireAuth, requireLecturer, async (req, res) => {
+  try {
+    if (!ragEnabled) {
+      return res.status(503).json({ error: "RAG is not enabled" });
+    }
+    const job = await getIngestionJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (!(await canManageCourse(req.userEmail, req.userRole, job.course_name))) {
+      return res.status(403).json({ error: "Not a lecturer of this course", course_name: job.course_name });
+    }
+    const retried = await retryIngestionJob(req.params.jobId);
+    return res.status(202).json({ success: true, ...retried, status_url: `/api/ingestion-jobs/${retried.job_id}` });
+  } catch (e) {
+    if (e.status) return res.status(e.status).json({ error: e.message });
+    console.error("[Ingestion] Retry job error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+// מצב של embedding job: progress (chunks_done/chunks_total) ותוצאה סופית
+app.get("/api/embedding-jobs/:jobId", requireAuth, requireLecturer, async (req, res) => {
+  try {
+    if (!ragEnabled) {
+      return res.status(503).json({ error: "RAG is not enabled" });
+    }
+    const job = await getEmbeddingJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    if (!(await canManageCourse(req.userEmail, req.userRole, job.course_name))) {
+      return res.status(403).json({ error: "Not a lecturer of this course", course_name: job.course_name });
+    }
+    return res.json(job);
+  } catch (e) {
+    console.error("[EmbeddingJobs] Get job error:", e);
+    return res.status(500).json({ error: "Server error", details: e.message });
+  }
+});
+
+app.post("/api/ask/stream", requireAuth, requireBaseRole, enforceQuota, async (req, res) => handleStreamingRequest(req, res));
 
 app.listen(PORT, () => {
   console.log(`[OK] Server listening on port ${PORT}`);
+  startRetentionSchedule();
+  if (ragEnabled) {
+    // קודם האינדקסים (חיפוש מלא על כל קורס), אחר כך jobs שנקטעו
+    warmRAGIndexes().then(() => resumeIngestionJobs()).then(() => resumeEmbeddingJobs());
+  }
 });
@@ -0,0 +1,349 @@
+// ingestionJobs.js - Persisted background ingestion jobs for course material uploads (ingestion_jobs/{job_id})
+import admin from "firebase-admin";
+import { randomUUID } from "crypto";
+import { uploadDocumentToRAG } from "./rag.js";
+import { deleteQueryInBatches } from "./firestoreBatches.js";
+
+const JOBS_COLLECTION = "ingestion_jobs";
+const TEXT_PARTS_COLLECTION = "text_parts"; // תת-collection - הטקסט שחולץ, מפוצל בגלל מגבלת 1MB למסמך
+const TEXT_PART_SIZE = 300000; // תווים לחלק (עברית ב-UTF-8 = 2 bytes לתו)
+const PROGRESS_WRITE_INTERVAL_MS = 2000; // עדכון progress ב-Firestore לכל היותר פעם ב-2 שניות
+const MAX_FAILURES_STORED = 50; // כדי שמסמך ה-job לא יגדל בלי גבול
+
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+let firestoreDb = null;
+const queue = []; // job ids שממתינים לעיבוד
+const activeJobs = new Map(); // "course__source" -> job_id (queued / processing)
+let workerRunning = false;
+
+function jobError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function activeKey(courseName, source) {
+  return `${encodeURIComponent(courseName)}__${encodeURIComponent(source)}`;
+}
+
+/**
+ * אתחול מנגנון ה-jobs
+ * @param {Firestore} firestoreInstance - מופע Firestore
+ */
+export function initIngestionJobs(firestoreInstance) {
+  firestoreDb = firestoreInstance;
+  if (firestoreDb) {
+    console.log("[Ingestion] Initialized with Firestore");
+    return true;
+  } else {
+    console.warn("[Ingestion] Firestore not available - uploads are disabled");
+    return false;
+  }
+}
+
+/**
+ * ה-job הפעיל (queued / processing) של מקור, אם יש - מונע עיבוד כפול של אותו קובץ
+ * @param {string} courseName - שם הקורס
+ * @param {string} source - שם המקור
+ * @returns {string|null} - job_id
+ */
+export function getActiveJobId(courseName, source) {
+  return activeJobs.get(activeKey(courseName, source)) || null;
+}
+
+/**
+ * יצירת job חדש ושמירת הטקסט שלו. העיבוד עצמו רץ ברקע - הפונקציה חוזרת מיד.
+ * @param {string} text - הטקסט שחולץ מהקובץ
+ * @param {object} metadata - { source, course_name, format, page_unit, uploaded_by, uploaded_at }
+ * @returns {Promise<object>} - מסמך ה-job (בלי הטקסט)
+ */
+export async function createIngestionJob(text, metadata = {}) {
+  if (!firestoreDb) {
+    throw new Error("Ingestion jobs not initialized");
+  }
+
+  const courseName = metadata.course_name || "statistics";
+  const source = metadata.source || "unknown";
+  const jobId = randomUUID();
+  const jobRef = firestoreDb.collection(JOBS_COLLECTION).doc(jobId);
+
+  // הטקסט נשמר לפני מסמך ה-job, כדי ש-job שנמצא בזמן resume תמיד יהיה שלם
+  const parts = [];
+  for (let i = 0; i < text.length; i += TEXT_PART_SIZE) {
+    parts.push(text.slice(i, i + TEXT_PART_SIZE));
+  }
+  for (let start = 0; start < parts.length; start += 500) {
+    const batch = firestoreDb.batch();
+    parts.slice(start, start + 500).forEach((part, offset) => {
+      const index = start + offset;
+      batch.set(jobRef.collection(TEXT_PARTS_COLLECTION).doc(String(index)), { index, text: part });
+    });
+    await batch.commit();
+  }
+
+  const job = {
+    job_id: jobId,
+    status: JOB_STATUS.QUEUED,
+    course_name: courseName,
+    source,
+    format: metadata.format || "text",
+    page_unit: metadata.page_unit || null,
+    uploaded_by: metadata.uploaded_by || "",
+    uploaded_at: metadata.uploaded_at || new Date().toISOString(),
+    version: randomUUID(), // גרסת ה-chunks - קבועה כדי שריצה אחרי restart תמשיך מאותה נקודה
+    text_parts: parts.length,
+    text_length: text.length,
+    chunks_done: 0,
+    chunks_total: null,
+    failures: [],
+    result: null,
+    error: null,
+    attempts: 0,
+  };
+  await jobRef.set({
+    ...job,
+    created_at: admin.firestore.FieldValue.serverTimestamp(),
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  enqueue(jobId, courseName, source);
+  console.log(`[Ingestion] Job ${jobId} queued for ${source} (course: ${courseName}, ${text.length} chars)`);
+  return job;
+}
+
+/**
+ * מצב של job (ל-endpoint הסטטוס)
+ * @param {string} jobId - מזהה ה-job
+ * @returns {Promise<object|null>}
+ */
+export async function getIngestionJob(jobId) {
+  if (!firestoreDb) {
+    throw new Error("Ingestion jobs not initialized");
+  }
+  const snap = await firestoreDb.collection(JOBS_COLLECTION).doc(jobId).get();
+  if (!snap.exists) return null;
+  const data = snap.data();
+  return {
+    ...data,
+    created_at: data.created_at?.toDate?.()?.toISOString() || null,
+    updated_at: data.updated_at?.toDate?.()?.toISOString() || null,
+    started_at: data.started_at?.toDate?.()?.toISOString() || null,
+    finished_at: data.finished_at?.toDate?.()?.toISOString() || null,
+  };
+}
+
+/**
+ * הרצה חוזרת של job שנכשל, מאותה גרסה - ה-chunks שכבר נשמרו לא עוברים embedding שוב.
+ * @param {string} jobId - מזהה ה-job
+ * @returns {Promise<object>} - ה-job אחרי שחזר לתור
+ * @throws {Error} - err.status = 404 (אין job), 409 (לא failed, או שיש job פעיל למקור), 410 (הטקסט כבר נמחק)
+ */
+export async function retryIngestionJob(jobId) {
+  if (!firestoreDb) {
+    throw new Error("Ingestion jobs not initialized");
+  }
+  const jobRef = firestoreDb.collection(JOBS_COLLECTION).doc(jobId);
+  const snap = await jobRef.get();
+  if (!snap.exists) throw jobError("Job not found", 404);
+  const job = snap.data();
+  if (job.status !== JOB_STATUS.FAILED) throw jobError(`Only failed jobs can be retried (status: ${job.status})`, 409);
+  if (job.text_expired) throw jobError("The text of this job has expired - upload the file again", 410);
+  if (getActiveJobId(job.course_name, job.source)) {
+    throw jobError("File is already being processed", 409);
+  }
+
+  await jobRef.update({
+    status: JOB_STATUS.QUEUED,
+    error: null,
+    failures: [],
+    failures_count: 0,
+    finished_at: null,
+    updated_at: admin.firestore.FieldValue.serverTimestamp(),
+  });
+  enqueue(jobId, job.course_name, job.source);
+  console.log(`[Ingestion] Job ${jobId} queued for retry (attempts so far: ${job.attempts || 0})`);
+  return getIngestionJob(jobId);
+}
+
+/**
+ * מחיקת הטקסט של jobs שנכשלו לפני cutoff (נקרא מה-job של מדיניות השמירה). ה-job עצמו נשאר, עם text_expired.
+ * @param {Date} cutoff - jobs שהסתיימו לפני התאריך הזה
+ * @returns {Promise<number>} - מספר ה-jobs שהטקסט שלהם נמחק
+ */
+export async function expireFailedJobTexts(cutoff) {
+  if (!firestoreDb) return 0;
+  // בלי where על finished_at - אינדקס של שדה אחד מספיק, ו-jobs שנכשלו הם מעטים
+  const snapshot = await firestoreDb.collection(JOBS_COLLECTION).where("status", "==", JOB_STATUS.FAILED).get();
+  const expired = snapshot.docs.filter((doc) => {
+    const data = doc.data();
+    const finishedAt = data.finished_at?.toMillis?.();
+    return !data.text_expired && finishedAt && finishedAt < cutoff.getTime();
+  });
+  for (const doc of expired) {
+    await deleteQueryInBatches(firestoreDb, doc.ref.collection(TEXT_PARTS_COLLECTION));
+    await doc.ref.update({ text_expired: true, updated_at: admin.firestore.FieldValue.serverTimestamp() });
+  }
+  return expired.length;
+}
+
+/**
+ * החזרה לתור של jobs שנקטעו (restart / deploy). נקרא פעם אחת בעליית השרת.
+ * @returns {Promise<number>} - מספר ה-jobs שחודשו
+ */
+export async function resumeIngestionJobs() {
+  if (!firestoreDb) return 0;
+  try {
+    const snapshot = await firestoreDb
+      .collection(JOBS_COLLECTION)
+      .where("status", "in", [JOB_STATUS.QUEUED, JOB_STATUS.PROCESSING])
+      .get();
+    const jobs = snapshot.docs
+      .map((doc) => doc.data())
+      .sort((a, b) => (a.created_at?.toMillis?.() || 0) - (b.created_at?.toMillis?.() || 0));
+    jobs.forEach((job) => enqueue(job.job_id, job.course_name, job.source));
+    if (jobs.length > 0) {
+      console.log(`[Ingestion] Resuming ${jobs.length} interrupted job(s)`);
+    }
+    return jobs.length;
+  } catch (e) {
+    console.error("[Ingestion] resumeIngestionJobs failed:", e?.message || e);
+    return 0;
+  }
+}
+
+function enqueue(jobId, courseName, source) {
+  if (queue.includes(jobId)) return;
+  activeJobs.set(activeKey(courseName, source), jobId);
+  queue.push(jobId);
+  if (!workerRunning) {
+    runWorker().catch((e) => console.error("[Ingestion] Worker crashed:", e));
+  }
+}
+
+// jobs מעובדים אחד-אחד - embeddings של כמה קבצים במקביל מעמיסים על הזיכרון ועל ה-API
+async function runWorker() {
+  workerRunning = true;
+  try {
+    while (queue.length > 0) {
+      const jobId = queue.shift();
+      await processJob(jobId);
+    }
+  } finally {
+    workerRunning = false;
+  }
+}
+
+async function loadJobText(jobRef) {
+  const snapshot = await jobRef.collection(TEXT_PARTS_COLLECTION).get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .sort((a, b) => a.index - b.index)
+    .map((part) => part.text)
+    .join("");
+}
+
+async function processJob(jobId) {
+  const jobRef = firestoreDb.collection(JOBS_COLLECTION).doc(jobId);
+  let job = null;
+  let completed = false;
+
+  try {
+    const snap = await jobRef.get();
+    if (!snap.exists) {
+      console.warn(`[Ingestion] Job ${jobId} not found - skipping`);
+      return;
+    }
+    job = snap.data();
+    if (job.status !== JOB_STATUS.QUEUED && job.status !== JOB_STATUS.PROCESSING) return;
+
+    const text = await loadJobText(jobRef);
+    if (text.length !== job.text_length) {
+      throw new Error(`Stored text is incomplete (${text.length}/${job.text_length} chars)`);
+    }
+
+    await jobRef.update({
+      status: JOB_STATUS.PROCESSING,
+      attempts: admin.firestore.FieldValue.increment(1),
+      failures: [],
+      started_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    const failures = [];
+    let lastProgressWrite = 0;
+    const result = await uploadDocumentToRAG(
+      text,
+      {
+        source: job.source,
+        course_name: job.course_name,
+        format: job.format || "text",
+        page_unit: job.page_unit || null,
+        uploaded_by: job.uploaded_by,
+        uploaded_at: job.uploaded_at,
+      },
+      {
+        version: job.version,
+        onProgress: async (done, total) => {
+          const now = Date.now();
+          if (done < total && now - lastProgressWrite < PROGRESS_WRITE_INTERVAL_MS) return;
+          lastProgressWrite = now;
+          await jobRef.update({
+            chunks_done: done,
+            chunks_total: total,
+            updated_at: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        },
+        onChunkError: (index, error) => {
+          failures.push({ chunk_index: index, error: error?.message || String(error) });
+        },
+      }
+    ).catch((e) => {
+      e.chunkFailures = failures;
+      throw e;
+    });
+
+    await jobRef.update({
+      status: JOB_STATUS.COMPLETED,
+      chunks_done: result.chunksCount,
+      chunks_total: result.chunksCount,
+      result,
+      finished_at: admin.firestore.FieldValue.serverTimestamp(),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    completed = true;
+    console.log(`[Ingestion] Job ${jobId} completed (${result.status}, ${result.chunksCount} chunks)`);
+  } catch (e) {
+    console.error(`[Ingestion] Job ${jobId} failed:`, e?.message || e);
+    try {
+      await jobRef.update({
+        status: JOB_STATUS.FAILED,
+        error: e?.message || String(e),
+        failures: (e?.chunkFailures || []).slice(0, MAX_FAILURES_STORED),
+        failures_count: (e?.chunkFailures || []).length,
+        finished_at: admin.firestore.FieldValue.serverTimestamp(),
+        updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    } catch (updateError) {
+      console.error(`[Ingestion] Could not mark job ${jobId} as failed:`, updateError?.message || updateError);
+    }
+  } finally {
+    if (job) {
+      const key = activeKey(job.course_name, job.source);
+      if (activeJobs.get(key) === jobId) activeJobs.delete(key);
+    }
+  }
+
+  // הטקסט כבר לא נחוץ אחרי שה-job הצליח. של job שנכשל הוא נשמר בשביל retry, עד expireFailedJobTexts.
+  if (!completed) return;
+  try {
+    await deleteQueryInBatches(firestoreDb, jobRef.collection(TEXT_PARTS_COLLECTION));
+  } catch (e) {
+    console.warn(`[Ingestion] Could not clean text of job ${jobId}:`, e?.message || e);
+  }
+}
@@ -0,0 +1,117 @@
+// keywordIndex.js - אינדקס מילות מפתח (BM25) על טקסט ה-chunks, עם טוקניזציה שמבינה עברית
+//
+// embeddings מפספסים לעתים מונחים מדויקים ("ANOVA", "חי בריבוע", "Cronbach") - כאן הם נמצאים לפי התאמה מילולית.
+// בעברית אותיות השימוש נצמדות למילה ("והממוצע", "בריבוע"), ולכן לכל מילה נשמרות גם הגרסאות בלי התחיליות.
+
+const HEBREW_PREFIXES = new Set(["ו", "ה", "ב", "ל", "מ", "ש"]);
+const MAX_PREFIX_LENGTH = 3; // "ושב", "ושה" וכו' - עד 3 אותיות שימוש
+const MIN_STEM_LENGTH = 2; // "לחי" → "חי", אבל לא פחות מ-2 אותיות
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const TOKEN_PATTERN = /[א-ת]+|[a-z0-9]+(?:\.[0-9]+)?|[α-ω]+/g; // עברית / לטינית+מספרים / יוונית (σ, μ, χ)
+const NIQQUD_PATTERN = /[֑-ׇ]/g;
+const ACRONYM_QUOTE_PATTERN = /([א-ת])["'׳״]([א-ת])/g; // ס"ת, ת״א → סת, תא
+
+const STOPWORDS = new Set([
+  "של", "את", "על", "עם", "זה", "זו", "זאת", "הוא", "היא", "הם", "הן", "אני", "אתה", "אנחנו",
+  "מה", "איך", "למה", "מתי", "איפה", "האם", "גם", "או", "אם", "כי", "לא", "כן", "יש", "אין", "כל", "אבל", "רק",
+  "the", "a", "an", "of", "and", "or", "to", "in", "on", "for", "is", "are", "what", "how", "why", "s", "i",
+]);
+
+/**
+ * טוקניזציה של טקסט מעורב עברית/אנגלית: ניקוד ומרכאות של ראשי תיבות מוסרים, אנגלית ב-lowercase,
+ * ומילה עברית שצמודה למילה לועזית ("הANOVA", "ב-t") מופרדת ממנה.
+ * @param {string} text - הטקסט
+ * @returns {string[]} - הטוקנים (בלי stopwords ובלי אות עברית בודדת)
+ */
+export function tokenize(text) {
+  const normalized = (text || "")
+    .normalize("NFKC")
+    .replace(NIQQUD_PATTERN, "")
+    .replace(ACRONYM_QUOTE_PATTERN, "$1$2")
+    .toLowerCase();
+  return (normalized.match(TOKEN_PATTERN) || []).filter(
+    (token) => !STOPWORDS.has(token) && !(token.length === 1 && /[א-ת]/.test(token))
+  );
+}
+
+/**
+ * הגרסאות שתחתן טוקן נשמר / מחופש: המילה עצמה, ובעברית גם בלי 1-3 אותיות שימוש בתחילתה
+ * ("והממוצע" → והממוצע, הממוצע, ממוצע). באנגלית - גם בלי s של רבים ("tests" → test).
+ * @param {string} token - טוקן מ-tokenize
+ * @returns {string[]}
+ */
+export function termVariants(token) {
+  const variants = [token];
+  if (/^[א-ת]/.test(token)) {
+    for (let i = 0; i < MAX_PREFIX_LENGTH && HEBREW_PREFIXES.has(token[i]); i++) {
+      const stem = token.slice(i + 1);
+      if (stem.length < MIN_STEM_LENGTH) break;
+      variants.push(stem);
+    }
+  } else if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) {
+    variants.push(token.slice(0, -1));
+  }
+  return variants;
+}
+
+/**
+ * בניית אינדקס BM25 על רשומות (כל רשומה עם text)
+ * @param {Array<{ text: string }>} entries - הרשומות; המיקום במערך הוא המזהה באינדקס
+ * @returns {{ postings: Map<string, Map<number, number>>, lengths: Uint32Array, avgLength: number, count: number }}
+ */
+export function buildKeywordIndex(entries) {
+  const postings = new Map(); // term -> Map(entryIndex -> tf)
+  const lengths = new Uint32Array(entries.length);
+  let totalLength = 0;
+
+  entries.forEach((entry, n) => {
+    const tokens = tokenize(entry.text);
+    lengths[n] = tokens.length;
+    totalLength += tokens.length;
+    for (const token of tokens) {
+      for (const term of new Set(termVariants(token))) {
+        let posting = postings.get(term);
+        if (!posting) {
+          posting = new Map();
+          postings.set(term, posting);
+        }
+        posting.set(n, (posting.get(n) || 0) + 1);
+      }
+    }
+  });
+
+  return { postings, lengths, avgLength: entries.length > 0 ? totalLength / entries.length : 0, count: entries.length };
+}
+
+/**
+ * ציון BM25 לשאילתה. לכל מילה בשאילתה נלקח הציון של הגרסה הטובה ביותר שלה (עם/בלי תחיליות),
+ * כך שמילה לא נספרת פעמיים.
+ * @param {object} index - מ-buildKeywordIndex
+ * @param {string} queryText - השאילתה
+ * @returns {Map<number, number>} - entryIndex -> ציון (רק רשומות עם התאמה)
+ */
+export function scoreKeywords(index, queryText) {
+  const scores = new Map();
+  if (!index || index.count === 0) return scores;
+
+  for (const token of new Set(tokenize(queryText))) {
+    const best = new Map(); // entryIndex -> הציון הגבוה מבין הגרסאות של המילה
+    for (const term of termVariants(token)) {
+      const posting = index.postings.get(term);
+      if (!posting) continue;
+      const idf = Math.log(1 + (index.count - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [n, tf] of posting) {
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * (index.lengths[n] / (index.avgLength || 1)));
+        const score = idf * ((tf * (BM25_K1 + 1)) / (tf + norm));
+        if (score > (best.get(n) || 0)) best.set(n, score);
+      }
+    }
+    for (const [n, score] of best) {
+      scores.set(n, (scores.get(n) || 0) + score);
+    }
+  }
+
+  return scores;
+}
@@ -0,0 +1,168 @@
+// localVectorStore.js - vector store מקומי: הכל בזיכרון, נשמר לקובץ JSON על הדיסק
+//
+// לפיתוח ולבדיקות בלי פרויקט Firebase (VECTOR_STORE=local). כל כתיבה שומרת את הקובץ כולו,
+// כך שהוא מתאים לקורפוס של קורס או שניים - לא לשרת production.
+import { readFile, writeFile, rename, mkdir } from "fs/promises";
+import { dirname } from "path";
+import { randomUUID } from "crypto";
+import { sourceDocId, toSearchEntry, searchEntries } from "./vectorStore.js";
+import { buildKeywordIndex } from "./keywordIndex.js";
+
+const DEFAULT_FILE_PATH = "./data/vector-store.json";
+
+/**
+ * @param {string} filePath - נתיב קובץ ה-JSON (נוצר בכתיבה הראשונה). null - בזיכרון בלבד, בלי קובץ.
+ * @returns {object} - vector store (ראו vectorStore.js)
+ */
+export function createLocalVectorStore(filePath = DEFAULT_FILE_PATH) {
+  const chunks = new Map(); // id -> data (עם embedding כמערך רגיל)
+  const entries = new Map(); // id -> רשומת חיפוש (Float32Array)
+  const sources = new Map(); // sourceDocId -> entry
+  const searchIndexes = new Map(); // "course\nsource" -> { entries, keywordIndex } - נבנה בחיפוש הראשון אחרי שינוי
+  let loading = null;
+  let saving = Promise.resolve();
+
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        if (!filePath) return;
+        let raw;
+        try {
+          raw = await readFile(filePath, "utf8");
+        } catch (e) {
+          if (e.code === "ENOENT") return; // עוד לא נשמר כלום
+          throw e;
+        }
+        const data = JSON.parse(raw);
+        Object.entries(data.chunks || {}).forEach(([id, chunk]) => putChunk(id, chunk));
+        Object.entries(data.sources || {}).forEach(([id, entry]) => sources.set(id, entry));
+        console.log(`[RAG] Local vector store loaded from ${filePath}: ${chunks.size} chunks, ${sources.size} sources`);
+      })();
+    }
+    return loading;
+  }
+
+  // כתיבה לקובץ זמני והחלפה - קובץ שנקטע באמצע הכתיבה לא מחליף את הקודם. הכתיבות רצות בתור.
+  function save() {
+    if (!filePath) return Promise.resolve();
+    saving = saving
+      .catch(() => {})
+      .then(async () => {
+        const data = { chunks: Object.fromEntries(chunks), sources: Object.fromEntries(sources) };
+        await mkdir(dirname(filePath), { recursive: true });
+        const tmpPath = `${filePath}.tmp`;
+        await writeFile(tmpPath, JSON.stringify(data));
+        await rename(tmpPath, filePath);
+      });
+    return saving;
+  }
+
+  function putChunk(id, data) {
+    searchIndexes.clear();
+    chunks.set(id, data);
+    const entry = toSearchEntry(id, data);
+    if (entry) entries.set(id, entry);
+    else entries.delete(id);
+  }
+
+  function removeChunk(id) {
+    searchIndexes.clear();
+    chunks.delete(id);
+    entries.delete(id);
+  }
+
+  const matchesFilter = (data, filter) =>
+    (!filter.course_name || data.course_name === filter.course_name) && (!filter.source || data.source === filter.source);
+
+  return {
+    name: "local",
+
+    async upsert(records) {
+      await load();
+      const ids = records.map(({ id, ...data }) => {
+        const chunkId = id || randomUUID();
+        putChunk(chunkId, data);
+        return chunkId;
+      });
+      await save();
+      return ids;
+    },
+
+    async delete(ids) {
+      await load();
+      ids.forEach(removeChunk);
+      await save();
+    },
+
+    async deleteBySource(courseName, source) {
+      await load();
+      const ids = [...chunks.entries()]
+        .filter(([, data]) => matchesFilter(data, { course_name: courseName, source }))
+        .map(([id]) => id);
+      ids.forEach(removeChunk);
+      await save();
+      return ids.length;
+    },
+
+    async getChunks(filter = {}, { withEmbeddings = false } = {}) {
+      await load();
+      return [...chunks.entries()]
+        .filter(([, data]) => matchesFilter(data, filter))
+        .map(([id, data]) => {
+          if (withEmbeddings) return { id, ...data };
+          const { embedding, ...rest } = data;
+          return { id, ...rest };
+        });
+    },
+
+    async query(queryEmbedding, { topK = 3, filter = {}, abortSignal = null, queryText = null } = {}) {
+      await load();
+      const key = `${filter.course_name || ""}\n${filter.source || ""}`;
+      if (!searchIndexes.has(key)) {
+        const candidates = [...entries.values()].filter((entry) => matchesFilter(entry, filter));
+        searchIndexes.set(key, { entries: candidates, keywordIndex: buildKeywordIndex(candidates) });
+      }
+      const index = searchIndexes.get(key);
+      const { matches, processedCount, skippedCount, keywordCount, dimensionMismatchCount } = searchEntries(index.entries, queryEmbedding, {
+        topK, filter, abortSignal, keywordIndex: index.keywordIndex, queryText,
+      });
+      return { matches, search: "local", retrievedCount: index.entries.length, processedCount, skippedCount, keywordCount, dimensionMismatchCount };
+    },
+
+    async getSources(courseName) {
+      await load();
+      const registry = new Map();
+      sources.forEach((entry, id) => {
+        if (!courseName || entry.course_name === courseName) registry.set(id, { ...entry });
+      });
+      return registry;
+    },
+
+    async setSource(courseName, source, fields) {
+      await load();
+      const id = sourceDocId(courseName, source);
+      sources.set(id, {
+        ...sources.get(id),
+        ...fields,
+        course_name: courseName,
+        source,
+        updated_at: new Date().toISOString(),
+      });
+      await save();
+    },
+
+    async deleteSource(courseName, source) {
+      await load();
+      sources.delete(sourceDocId(courseName, source));
+      await save();
+    },
+
+    async warm() {
+      await load();
+      return new Set([...sources.values()].map((entry) => entry.course_name)).size;
+    },
+
+    // הכל כבר בזיכרון ומתעדכן בכל כתיבה
+    markStale() {},
+  };
+}
@@ -0,0 +1,321 @@
+// privacy.js - מחיקת כל הנתונים של משתמש (eraseUserData) ומדיניות שמירה: job מתוזמן שמוחק נתונים מעבר לחלון השמירה
+//
+// הטבלה USER_COLLECTIONS היא הרשימה של כל מה שנשמר לפי משתמש. המחיקה עוברת ישירות על הקולקציות (ב-batches של עד 500),
+// ולא דרך המודולים, כדי שתהיה מלאה גם כשפיצ'ר כבוי (למשל סיכומים) ונתונים שלו נשארו מפעם קודמת.
+// סיכום שיחה (chat_summaries) נבנה מההודעות שלה: כשחלון השמירה מוחק הודעות ישנות של שיחה, גם הסיכום שלה נמחק -
+// אחרת התוכן שלהן היה נשאר בסיכום ונכנס לפרומפט. הסיכום נבנה מחדש מההודעות שנשארו, כשהן יוצאות מחלון ההיסטוריה.
+// חומרי קורס שהמשתמש העלה שייכים לקורס: ברירת המחדל היא להסיר מהם את המייל שלו, ו-materials=delete מוחק אותם.
+import admin from "firebase-admin";
+import { deleteDocsInBatches, deleteQueryInBatches, FIRESTORE_BATCH_LIMIT } from "./firestoreBatches.js";
+import { enforceStoredMessageLimit } from "./chatMemory.js";
+import { STATE_COLLECTION, stateDocId } from "./topicState.js";
+import { forgetUserUsage } from "./quota.js";
+import { listSourcesUploadedBy, anonymizeSourceUploader, deleteSourceFromRAG } from "./rag.js";
+import { expireFailedJobTexts } from "./ingestionJobs.js";
+import { revokeRoleClaim } from "./roles.js";
+import {
+  deleteCache,
+  clearCachePrefix,
+  getConversationHistoryKey,
+  getUserStateKey,
+  getConversationSummaryKey,
+  getFirstLoginKey,
+  getUserRoleKey,
+  getChatSessionKey,
+} from "./cache.js";
+
+const SUMMARIES_COLLECTION = "chat_summaries";
+
+// כל הקולקציות שנשמרות לפי משתמש: השדה שמזהה את המשתמש, והחלון (RETENTION_*) שחל עליהן עם שדה הזמן.
+// sessionField - הודעות שמקופלות לסיכום השיחה: מחיקה שלהן ב-retention מוחקת גם את הסיכום של השיחה שלהן
+const USER_COLLECTIONS = [
+  { collection: "chat_messages", userField: "userId", window: "chat", timeField: "createdAt", sessionField: "sessionId" },
+  { collection: "chat_sessions", userField: "email", window: "chat", timeField: "updated_at" },
+  { collection: SUMMARIES_COLLECTION, userField: "email", window: "chat", timeField: "updated_at" },
+  { collection: STATE_COLLECTION, userField: "email", window: "chat", timeField: "updatedAt" },
+  { collection: "coverage_gaps", userField: "email", window: "coverage_gaps", timeField: "created_at" },
+  { collection: "usage_logs", userField: "email", window: "usage_logs", timeField: "ts" },
+  { collection: "usage_counters", userField: "email", window: "usage_counters", timeField: "updated_at" },
+];
+const PROFILES_COLLECTION = "user_profiles"; // מסמך אחד למשתמש (doc id = המייל), בלי חלון שמירה
+const MATERIALS_MODES = ["anonymize", "delete"];
+const FIRST_RUN_DELAY_MS = 60000; // הריצה הראשונה דקה אחרי עליית השרת, לא בזמן ה-warm-up
+
+let firestoreDb = null;
+let retentionPolicy = { chat: 0, usage_logs: 0, coverage_gaps: 0, usage_counters: 0, failed_uploads: 0 }; // ימים; 0 = בלי הגבלה
+let intervalHours = 6;
+let runningRetention = null;
+let lastRetentionRun = null;
+
+function privacyError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function parseDays(value, name) {
+  if (value === undefined || value === null || value === "") return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    console.warn(`[Privacy] Invalid ${name}=${value} - keeping data without a retention limit`);
+    return 0;
+  }
+  return n;
+}
+
+/**
+ * אתחול המחיקה והשמירה
+ * @param {Firestore} firestoreInstance - מופע Firestore
+ * @param {object} options - { chatDays, usageLogsDays, coverageGapsDays, usageCountersDays, failedUploadsDays, intervalHours } מה-ENV
+ */
+export function initPrivacy(firestoreInstance, options = {}) {
+  firestoreDb = firestoreInstance;
+  retentionPolicy = {
+    chat: parseDays(options.chatDays, "RETENTION_CHAT_DAYS"),
+    usage_logs: parseDays(options.usageLogsDays, "RETENTION_USAGE_LOGS_DAYS"),
+    coverage_gaps: parseDays(options.coverageGapsDays, "RETENTION_COVERAGE_GAPS_DAYS"),
+    usage_counters: parseDays(options.usageCountersDays, "RETENTION_USAGE_COUNTERS_DAYS"),
+    failed_uploads: parseDays(options.failedUploadsDays, "RETENTION_FAILED_UPLOAD_DAYS"),
+  };
+  const hours = Number(options.intervalHours ?? 6);
+  intervalHours = Number.isFinite(hours) && hours >= 0 ? hours : 6;
+
+  if (firestoreDb) {
+    console.log(`[Privacy] Initialized. Retention (days, 0 = keep): ${JSON.stringify(retentionPolicy)}, job every ${intervalHours}h`);
+    return true;
+  } else {
+    console.warn("[Privacy] Firestore not available - erasure and retention are disabled");
+    return false;
+  }
+}
+
+// ה-caches בזיכרון של המשתמש (גם של כל השיחות שלו - המפתחות עם ":<session_id>")
+function forgetUserCaches(email, sessionIds) {
+  for (const key of [getConversationHistoryKey(email), getUserStateKey(email), getConversationSummaryKey(email)]) {
+    deleteCache(key);
+    clearCachePrefix(`${key}:`);
+  }
+  deleteCache(getFirstLoginKey(email));
+  deleteCache(getUserRoleKey(email));
+  sessionIds.forEach((sessionId) => deleteCache(getChatSessionKey(sessionId)));
+  forgetUserUsage(email);
+}
+
+// הסרת המייל מה-jobs של ההעלאות שלו (ingestion_jobs) - ה-jobs של הקורס נשארים
+async function anonymizeIngestionJobs(email) {
+  let updated = 0;
+  for (;;) {
+    const snapshot = await firestoreDb
+      .collection("ingestion_jobs")
+      .where("uploaded_by", "==", email)
+      .limit(FIRESTORE_BATCH_LIMIT)
+      .select()
+      .get();
+    if (snapshot.empty) break;
+    const batch = firestoreDb.batch();
+    snapshot.docs.forEach((doc) => batch.update(doc.ref, { uploaded_by: "" }));
+    await batch.commit();
+    updated += snapshot.size;
+    if (snapshot.size < FIRESTORE_BATCH_LIMIT) break;
+  }
+  return updated;
+}
+
+/**
+ * מחיקת כל הנתונים של משתמש: כל הקולקציות ב-USER_COLLECTIONS, הפרופיל (כולל התפקיד), ה-claim של התפקיד וה-caches בזיכרון.
+ * חומרי קורס שהעלה - הסרת המייל (anonymize) או מחיקה (delete). שלב שנכשל לא עוצר את האחרים ונרשם ב-errors;
+ * המחיקה אידמפוטנטית, כך שאפשר פשוט להריץ שוב. חשבון ה-Firebase Auth עצמו לא נמחק כאן.
+ * @param {string} email - מייל המשתמש
+ * @param {object} options - { materials: "anonymize" | "delete" }
+ * @returns {Promise<object>} - { email, erased_at, deleted: { collection: count }, materials, anonymized, revoked, errors }
+ * @throws {Error} - err.status = 400 ל-materials לא תקין
+ */
+export async function eraseUserData(email, { materials = "anonymize" } = {}) {
+  if (!firestoreDb) {
+    throw new Error("Privacy not initialized");
+  }
+  if (!MATERIALS_MODES.includes(materials)) {
+    throw privacyError(`materials must be one of: ${MATERIALS_MODES.join(", ")}`, 400);
+  }
+
+  const normalizedEmail = (email || "").toLowerCase().trim();
+  const report = {
+    email: normalizedEmail,
+    erased_at: new Date().toISOString(),
+    deleted: {},
+    materials: { mode: materials, sources: [], chunks: 0 },
+    anonymized: { ingestion_jobs: 0 },
+    revoked: { role_claim: false },
+    errors: [],
+  };
+  const step = async (name, fn) => {
+    try {
+      await fn();
+    } catch (e) {
+      console.error(`[Privacy] Erasure step ${name} failed:`, e?.message || e);
+      report.errors.push({ step: name, error: e?.message || String(e) });
+    }
+  };
+
+  // ה-ids של השיחות - בשביל ה-cache שלהן, לפני שהמסמכים נמחקים
+  let sessionIds = [];
+  await step("chat_sessions_lookup", async () => {
+    const snapshot = await firestoreDb.collection("chat_sessions").where("email", "==", normalizedEmail).select().get();
+    sessionIds = snapshot.docs.map((doc) => doc.id);
+  });
+
+  for (const { collection, userField } of USER_COLLECTIONS) {
+    await step(collection, async () => {
+      report.deleted[collection] = await deleteQueryInBatches(
+        firestoreDb,
+        firestoreDb.collection(collection).where(userField, "==", normalizedEmail)
+      );
+    });
+  }
+
+  await step("materials", async () => {
+    const sources = await listSourcesUploadedBy(normalizedEmail);
+    for (const { course_name, source } of sources) {
+      const result = materials === "delete"
+        ? { chunks: (await deleteSourceFromRAG(course_name, source)).deletedCount }
+        : { chunks: (await anonymizeSourceUploader(course_name, source)).updatedChunks };
+      report.materials.sources.push({ course_name, source });
+      report.materials.chunks += result.chunks;
+    }
+  });
+  await step("ingestion_jobs", async () => {
+    report.anonymized.ingestion_jobs = await anonymizeIngestionJobs(normalizedEmail);
+  });
+
+  // ה-claim לפני הפרופיל: בלי הפרופיל getUserRole נופל ל-claim, ותפקיד lecturer/admin היה נשאר בתוקף
+  await step("role_claim", async () => {
+    report.revoked.role_claim = await revokeRoleClaim(normalizedEmail);
+  });
+
+  // הפרופיל אחרון: אם משהו נכשל באמצע, התפקיד עדיין שמור והמשתמש (או האדמין) יכול להריץ שוב
+  await step(PROFILES_COLLECTION, async () => {
+    const ref = firestoreDb.collection(PROFILES_COLLECTION).doc(normalizedEmail);
+    const snap = await ref.get();
+    if (snap.exists) await ref.delete();
+    report.deleted[PROFILES_COLLECTION] = snap.exists ? 1 : 0;
+  });
+
+  forgetUserCaches(normalizedEmail, sessionIds);
+
+  const total = Object.values(report.deleted).reduce((sum, n) => sum + n, 0);
+  console.log(`[Privacy] Erased data of user ${normalizedEmail.substring(0, 10)}...: ${total} documents, ${report.materials.sources.length} sources (${materials}), ${report.errors.length} errors`);
+  return report;
+}
+
+/**
+ * מדיניות השמירה בתוקף
+ * @returns {{ retention_days: object, interval_hours: number, last_run: object|null }}
+ */
+export function getRetentionStatus() {
+  return { retention_days: { ...retentionPolicy }, interval_hours: intervalHours, last_run: lastRetentionRun };
+}
+
+// מחיקת הסיכומים של השיחות שחלון השמירה מחק מהן הודעות (כולל ה-cache שלהם), גם אם הסיכום עצמו עודכן לאחרונה
+async function resetPurgedSummaries(purgedThreads, report) {
+  try {
+    const refs = [...purgedThreads.keys()].map((docId) => firestoreDb.collection(SUMMARIES_COLLECTION).doc(docId));
+    await deleteDocsInBatches(firestoreDb, refs);
+    purgedThreads.forEach(({ email, sessionId }) => deleteCache(getConversationSummaryKey(email, sessionId)));
+    report.reset_summaries += refs.length;
+  } catch (e) {
+    console.error("[Privacy] Resetting summaries of purged conversations failed:", e?.message || e);
+    report.errors.push({ collection: SUMMARIES_COLLECTION, error: e?.message || String(e) });
+  }
+}
+
+async function applyRetention() {
+  const report = { started_at: new Date().toISOString(), finished_at: null, cutoffs: {}, deleted: {}, reset_summaries: 0, stored_message_limit: null, expired_upload_texts: 0, errors: [] };
+
+  for (const { collection, userField, window, timeField, sessionField } of USER_COLLECTIONS) {
+    const days = retentionPolicy[window];
+    if (!days) continue;
+    const cutoff = new Date(Date.now() - days * 86400000);
+    report.cutoffs[window] = cutoff.toISOString();
+    const purgedThreads = new Map(); // stateDocId -> { email, sessionId } של השיחות שהודעות מהן נמחקו
+    try {
+      report.deleted[collection] = await deleteQueryInBatches(
+        firestoreDb,
+        firestoreDb.collection(collection).where(timeField, "<", admin.firestore.Timestamp.fromDate(cutoff)),
+        sessionField ? {
+          fields: [userField, sessionField],
+          onDocs: (docs) => docs.forEach((doc) => {
+            const email = doc.get(userField);
+            const sessionId = doc.get(sessionField) || null;
+            if (email) purgedThreads.set(stateDocId(email, sessionId), { email, sessionId });
+          }),
+        } : {}
+      );
+    } catch (e) {
+      if (e.code === 8 || e.message?.includes("Quota exceeded")) {
+        console.warn(`[Privacy] Firestore quota exceeded - retention of ${collection} continues next run`);
+      } else {
+        console.error(`[Privacy] Retention of ${collection} failed:`, e?.message || e);
+      }
+      report.errors.push({ collection, error: e?.message || String(e) });
+    }
+    if (purgedThreads.size > 0) {
+      await resetPurgedSummaries(purgedThreads, report);
+    }
+  }
+
+  // הטקסט של העלאות שנכשלו נשמר בשביל retry (POST /api/ingestion-jobs/:jobId/retry) - עד החלון failed_uploads
+  if (retentionPolicy.failed_uploads) {
+    const cutoff = new Date(Date.now() - retentionPolicy.failed_uploads * 86400000);
+    report.cutoffs.failed_uploads = cutoff.toISOString();
+    try {
+      report.expired_upload_texts = await expireFailedJobTexts(cutoff);
+    } catch (e) {
+      console.error("[Privacy] Expiring texts of failed uploads failed:", e?.message || e);
+      report.errors.push({ collection: "ingestion_jobs", error: e?.message || String(e) });
+    }
+  }
+
+  // MAX_STORED_MESSAGES_PER_USER - למשתמשים שנשמרו להם הודעות מאז הריצה הקודמת (לפי createdAt ב-chat_messages)
+  try {
+    report.stored_message_limit = await enforceStoredMessageLimit();
+  } catch (e) {
+    console.error("[Privacy] Stored message limit failed:", e?.message || e);
+    report.errors.push({ collection: "chat_messages", error: e?.message || String(e) });
+  }
+
+  report.finished_at = new Date().toISOString();
+  const total = Object.values(report.deleted).reduce((sum, n) => sum + n, 0) + (report.stored_message_limit?.deleted || 0);
+  console.log(`[Privacy] Retention run: deleted ${total} documents ${JSON.stringify(report.deleted)}, reset ${report.reset_summaries} summaries, expired ${report.expired_upload_texts} failed upload texts, ${report.errors.length} errors`);
+  lastRetentionRun = report;
+  return report;
+}
+
+/**
+ * ריצה של job השמירה: מחיקת מה שישן מהחלון בכל קולקציה, ואכיפת MAX_STORED_MESSAGES_PER_USER.
+ * קריאה בזמן ריצה מחזירה את הריצה הנוכחית (לא מתחילה שנייה במקביל).
+ * @returns {Promise<object>} - { started_at, finished_at, cutoffs, deleted: { collection: count }, reset_summaries, stored_message_limit, expired_upload_texts, errors }
+ */
+export function runRetention() {
+  if (!firestoreDb) {
+    return Promise.reject(new Error("Privacy not initialized"));
+  }
+  if (!runningRetention) {
+    runningRetention = applyRetention().finally(() => {
+      runningRetention = null;
+    });
+  }
+  return runningRetention;
+}
+
+/**
+ * תזמון ה-job בתהליך (כל RETENTION_JOB_INTERVAL_HOURS; 0 = רק דרך POST /api/admin/retention/run).
+ * כמה instances יכולים להריץ אותו במקביל - המחיקות אידמפוטנטיות.
+ */
+export function startRetentionSchedule() {
+  if (!firestoreDb || !intervalHours) return false;
+
+  const run = () => runRetention().catch((e) => console.error("[Privacy] Retention run failed:", e?.message || e));
+  setTimeout(run, FIRST_RUN_DELAY_MS).unref();
+  setInterval(run, intervalHours * 3600000).unref();
+  return true;
+}
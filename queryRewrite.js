@@ -0,0 +1,117 @@
+// queryRewrite.js - ניסוח מחדש של שאלות המשך לשאילתות חיפוש עצמאיות, לפי ההיסטוריה האחרונה של השיחה
+//
+// "ומה לגבי המדגם השני?" לא מוצא כלום בחיפוש - אין בה אף מונח מהחומר. לפני ה-RAG, מודל קטן מנסח מחדש
+// את ההודעה כשאילתה אחת או כמה שעומדות בפני עצמן ("מבחן t למדגמים בלתי תלויים - המדגם השני").
+// לניסוח יש תקציב זמן משלו (QUERY_REWRITE_TIMEOUT_MS), לפני החיפוש; כשל, חריגה מהזמן או תשובה לא תקינה - חוזרים
+// לשאילתה המקורית.
+import { createHash } from "crypto";
+
+const HISTORY_MESSAGES = 4; // ההודעות האחרונות שנשלחות לניסוח
+const HISTORY_MESSAGE_MAX_CHARS = 400;
+const MAX_QUERIES = 3;
+const QUERY_MAX_CHARS = 200;
+const REWRITE_CACHE_TTL = 10 * 60 * 1000; // 10 דקות
+const REWRITE_CACHE_MAX_ENTRIES = 500;
+const MIN_REWRITE_MS = 400; // תקציב קטן מזה (QUERY_REWRITE_TIMEOUT_MS נמוך מדי) - קריאה למודל כמעט תמיד חורגת, לא שולחים אותה
+
+const rewriteCache = new Map(); // { hash: { queries, timestamp } } - סדר ההכנסה = סדר הפינוי
+
+function cacheKey(prompt, recentHistory) {
+  const hash = createHash("sha256");
+  recentHistory.forEach((message) => hash.update(`${message.role}\n${message.content}\n`));
+  hash.update(`user\n${prompt}`);
+  return hash.digest("hex");
+}
+
+function getCachedQueries(key) {
+  const cached = rewriteCache.get(key);
+  if (!cached) return null;
+  if (Date.now() - cached.timestamp > REWRITE_CACHE_TTL) {
+    rewriteCache.delete(key);
+    return null;
+  }
+  return cached.queries;
+}
+
+function setCachedQueries(key, queries) {
+  rewriteCache.delete(key);
+  rewriteCache.set(key, { queries, timestamp: Date.now() });
+  if (rewriteCache.size > REWRITE_CACHE_MAX_ENTRIES) {
+    rewriteCache.delete(rewriteCache.keys().next().value);
+  }
+}
+
+async function llmRewrite(prompt, recentHistory, { openai, model, signal }) {
+  const conversation = recentHistory
+    .map((message) => `${message.role === "assistant" ? "assistant" : "student"}: ${(message.content || "").slice(0, HISTORY_MESSAGE_MAX_CHARS)}`)
+    .join("\n");
+  const completion = await openai.chat.completions.create(
+    {
+      model,
+      temperature: 0,
+      max_tokens: 150,
+      response_format: { type: "json_object" },
+      messages: [
+        {
+          role: "system",
+          content: "You turn a student's latest message in a statistics course chat into standalone search queries for the course materials. " +
+            "Resolve references to earlier turns (pronouns, \"the second sample\", \"and what about...\") using the conversation. " +
+            `Keep the student's language (usually Hebrew) and the course terms. Return JSON {"queries": [..]} with 1-${MAX_QUERIES} short queries. ` +
+            "If the message already stands on its own, return it unchanged as the only query.",
+        },
+        { role: "user", content: `Conversation:\n${conversation}\n\nLatest message: ${prompt}` },
+      ],
+    },
+    { signal }
+  );
+  const queries = JSON.parse(completion.choices?.[0]?.message?.content || "{}").queries;
+  if (!Array.isArray(queries)) {
+    throw new Error("Query rewriter returned no queries");
+  }
+  const cleaned = [...new Set(queries.map((query) => String(query || "").trim().slice(0, QUERY_MAX_CHARS)).filter(Boolean))];
+  if (cleaned.length === 0) {
+    throw new Error("Query rewriter returned empty queries");
+  }
+  return cleaned.slice(0, MAX_QUERIES);
+}
+
+/**
+ * שאילתות החיפוש לתור: ניסוח מחדש לפי ההיסטוריה, מה-cache, או השאילתה המקורית (fallback).
+ * בלי היסטוריה אין מה לפתור - לא נשלחת בקשה למודל.
+ * @param {string} prompt - ההודעה של הסטודנט
+ * @param {Array<{ role: string, content: string }>} history - היסטוריית השיחה (מ-getHistoryCached)
+ * @param {object} options - { openai, model, fallbackQuery, timeoutMs, abortSignal }
+ * @returns {Promise<{ queries: string[], source: "llm" | "cache" | "fallback", reason?: string }>}
+ */
+export async function rewriteSearchQuery(prompt, history = [], options = {}) {
+  const { openai, model = "gpt-4o-mini", fallbackQuery = prompt, timeoutMs = null, abortSignal = null } = options;
+  const fallback = (reason) => ({ queries: [fallbackQuery], source: "fallback", reason });
+
+  const recentHistory = history.filter((message) => message?.content).slice(-HISTORY_MESSAGES);
+  if (recentHistory.length === 0) return fallback("no_history");
+  if (!openai) return fallback("disabled");
+
+  const key = cacheKey(prompt, recentHistory);
+  const cached = getCachedQueries(key);
+  if (cached) return { queries: cached, source: "cache" };
+
+  if (timeoutMs !== null && timeoutMs < MIN_REWRITE_MS) return fallback("no_budget");
+
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  abortSignal?.addEventListener("abort", onAbort);
+  const timer = timeoutMs !== null ? setTimeout(onAbort, timeoutMs) : null;
+
+  try {
+    const queries = await llmRewrite(prompt, recentHistory, { openai, model, signal: controller.signal });
+    setCachedQueries(key, queries);
+    return { queries, source: "llm" };
+  } catch (e) {
+    if (controller.signal.aborted) return fallback("timeout");
+    console.warn("[QueryRewrite] Rewrite failed - using the original query:", e?.message || e);
+    return fallback("error");
+  } finally {
+    clearTimeout(timer);
+    abortSignal?.removeEventListener("abort", onAbort);
+  }
+}
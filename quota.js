@@ -0,0 +1,361 @@
+// quota.js - Per-user and per-course rate limiting + daily token quotas
+// Requests-per-minute נספרים בזיכרון (חלון נע של 60 שניות, לכל instance - עם כמה instances המגבלה בפועל גבוהה יותר).
+// טוקנים יומיים נספרים ב-Firestore (usage_counters) לפי completion.usage, עם cache קצר בזיכרון.
+// course_name מגיע מהלקוח, ולכן המגבלות של המשתמש נאכפות גם על הסך שלו בכל הקורסים (לפי ברירות המחדל מה-ENV):
+// שם קורס אחר או מומצא לא מאפס את המכסה. מגבלת משתמש שקורס מגדיר יכולה רק להחמיר בתוך אותו קורס.
+import admin from "firebase-admin";
+import { getCourseSettings } from "./courseSettings.js";
+
+const COUNTERS_COLLECTION = "usage_counters";
+const WINDOW_MS = 60000;
+const USAGE_CACHE_TTL = 30000; // 30 שניות
+const QUOTA_TIMEZONE = "Asia/Jerusalem";
+
+let firestoreDb = null;
+let defaultLimits = {
+  user_requests_per_minute: 10,
+  user_tokens_per_day: 50000,
+  course_requests_per_minute: 0, // 0 = ללא הגבלה
+  course_tokens_per_day: 0,
+};
+
+const requestWindows = new Map(); // { windowKey: [timestamps] }
+const usageCache = new Map(); // { counterId: { data, timestamp } }
+
+/**
+ * אתחול מערכת המכסות
+ * @param {Firestore} firestoreInstance - מופע Firestore
+ * @param {object} limits - ברירות מחדל מה-ENV (ראו defaultLimits); ערך 0 = ללא הגבלה
+ */
+export function initQuota(firestoreInstance, limits = {}) {
+  firestoreDb = firestoreInstance;
+  for (const [key, value] of Object.entries(limits)) {
+    const n = parseInt(value, 10);
+    if (key in defaultLimits && Number.isFinite(n) && n >= 0) defaultLimits[key] = n;
+  }
+  console.log(`[Quota] Initialized. Defaults: ${JSON.stringify(defaultLimits)}${firestoreDb ? "" : " (no Firestore - daily token quotas disabled)"}`);
+  return true;
+}
+
+/**
+ * היום הנוכחי (YYYY-MM-DD) לפי שעון ישראל - המכסה היומית מתאפסת בחצות
+ * @returns {string}
+ */
+export function currentQuotaDay(date = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone: QUOTA_TIMEZONE }).format(date);
+}
+
+function secondsUntilQuotaReset(date = new Date()) {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: QUOTA_TIMEZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => parseInt(parts.find((p) => p.type === type)?.value || "0", 10);
+  return Math.max(1, 86400 - (get("hour") * 3600 + get("minute") * 60 + get("second")));
+}
+
+// הסך של המשתמש בכל הקורסים - עליו נאכפות ברירות המחדל
+function userTotalCounterId(email, day) {
+  return `user_total__${encodeURIComponent(email)}__${day}`;
+}
+
+function userCounterId(email, courseName, day) {
+  return `user__${encodeURIComponent(courseName)}__${encodeURIComponent(email)}__${day}`;
+}
+
+function courseCounterId(courseName, day) {
+  return `course__${encodeURIComponent(courseName)}__${day}`;
+}
+
+/**
+ * המגבלות בפועל לקורס - ברירות המחדל מה-ENV, דרוסות ע"י course_settings/{course}.quota
+ * @param {string} courseName - שם הקורס
+ * @returns {Promise<object>}
+ */
+export async function getEffectiveLimits(courseName) {
+  const settings = await getCourseSettings(courseName);
+  return { ...defaultLimits, ...(settings.quota || {}) };
+}
+
+// בדיקת חלון נע - לא רושם את הבקשה (נרשמת רק אם כל הבדיקות עברו)
+function checkWindow(windowKey, limit, now) {
+  if (!limit) return { allowed: true, retryAfterSeconds: 0 };
+  const timestamps = (requestWindows.get(windowKey) || []).filter((t) => now - t < WINDOW_MS);
+  requestWindows.set(windowKey, timestamps);
+  if (timestamps.length < limit) return { allowed: true, retryAfterSeconds: 0 };
+  return { allowed: false, retryAfterSeconds: Math.max(1, Math.ceil((timestamps[0] + WINDOW_MS - now) / 1000)) };
+}
+
+function recordWindowHit(windowKey, now) {
+  const timestamps = requestWindows.get(windowKey) || [];
+  timestamps.push(now);
+  requestWindows.set(windowKey, timestamps);
+
+  // ניקוי חלונות ריקים מדי פעם
+  if (requestWindows.size > 1000) {
+    for (const [key, value] of requestWindows.entries()) {
+      if (!value.length || now - value[value.length - 1] >= WINDOW_MS) {
+        requestWindows.delete(key);
+      }
+    }
+  }
+}
+
+async function readCounter(counterId) {
+  const cached = usageCache.get(counterId);
+  if (cached && Date.now() - cached.timestamp <= USAGE_CACHE_TTL) {
+    return cached.data;
+  }
+  if (!firestoreDb) return { tokens: 0, requests: 0 };
+
+  const snap = await firestoreDb.collection(COUNTERS_COLLECTION).doc(counterId).get();
+  const data = snap.exists ? snap.data() : {};
+  const usage = { tokens: data.tokens || 0, requests: data.requests || 0 };
+  usageCache.set(counterId, { data: usage, timestamp: Date.now() });
+  return usage;
+}
+
+/**
+ * בדיקה אם המשתמש רשאי לבצע בקשה נוספת עכשיו. רושם את הבקשה בחלון הדקה אם מותר.
+ * @param {string} email - מייל המשתמש
+ * @param {string} courseName - שם הקורס
+ * @returns {Promise<object>} - { allowed, reason, retryAfterSeconds, limits }
+ */
+export async function checkQuota(email, courseName) {
+  const limits = await getEffectiveLimits(courseName);
+  const now = Date.now();
+
+  const windows = [
+    { key: `*:${email}`, limit: defaultLimits.user_requests_per_minute, reason: "user_rate_limit" },
+    { key: `${courseName}:${email}`, limit: limits.user_requests_per_minute, reason: "user_rate_limit" },
+    { key: `${courseName}:*`, limit: limits.course_requests_per_minute, reason: "course_rate_limit" },
+  ];
+  for (const { key, limit, reason } of windows) {
+    const window = checkWindow(key, limit, now);
+    if (!window.allowed) {
+      return { allowed: false, reason, retryAfterSeconds: window.retryAfterSeconds, limits };
+    }
+  }
+
+  const day = currentQuotaDay();
+  const counters = [
+    { id: userTotalCounterId(email, day), limit: defaultLimits.user_tokens_per_day, reason: "user_daily_tokens" },
+    { id: userCounterId(email, courseName, day), limit: limits.user_tokens_per_day, reason: "user_daily_tokens" },
+    { id: courseCounterId(courseName, day), limit: limits.course_tokens_per_day, reason: "course_daily_tokens" },
+  ].filter((counter) => counter.limit);
+  if (counters.length > 0) {
+    try {
+      const usages = await Promise.all(counters.map((counter) => readCounter(counter.id)));
+      const exceeded = counters.find((counter, i) => usages[i].tokens >= counter.limit);
+      if (exceeded) {
+        return { allowed: false, reason: exceeded.reason, retryAfterSeconds: secondsUntilQuotaReset(), limits };
+      }
+    } catch (e) {
+      // כשל בקריאת המונה לא חוסם את הסטודנט
+      console.warn("[Quota] Failed to read daily usage:", e?.message || e);
+    }
+  }
+
+  windows.forEach(({ key }) => recordWindowHit(key, now));
+  return { allowed: true, reason: null, retryAfterSeconds: 0, limits };
+}
+
+/**
+ * רישום צריכת טוקנים של בקשה שהסתיימה (למשתמש בקורס, לסך של המשתמש ולקורס)
+ * @param {string} email - מייל המשתמש
+ * @param {string} courseName - שם הקורס
+ * @param {number} totalTokens - completion.usage.total_tokens
+ */
+export async function recordTokenUsage(email, courseName, totalTokens) {
+  const tokens = Math.max(0, parseInt(totalTokens, 10) || 0);
+  const day = currentQuotaDay();
+  const totalId = userTotalCounterId(email, day);
+  const userId = userCounterId(email, courseName, day);
+  const courseId = courseCounterId(courseName, day);
+
+  // עדכון מקומי של ה-cache כדי שהבדיקה הבאה תראה את הצריכה מיד
+  for (const counterId of [totalId, userId, courseId]) {
+    const cached = usageCache.get(counterId);
+    if (cached) {
+      cached.data = { tokens: cached.data.tokens + tokens, requests: cached.data.requests + 1 };
+    }
+  }
+
+  if (!firestoreDb) return;
+
+  const increment = admin.firestore.FieldValue.increment;
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const batch = firestoreDb.batch();
+  batch.set(
+    firestoreDb.collection(COUNTERS_COLLECTION).doc(totalId),
+    { scope: "user_total", email, day, tokens: increment(tokens), requests: increment(1), updated_at: now },
+    { merge: true }
+  );
+  batch.set(
+    firestoreDb.collection(COUNTERS_COLLECTION).doc(userId),
+    { scope: "user", email, course_name: courseName, day, tokens: increment(tokens), requests: increment(1), updated_at: now },
+    { merge: true }
+  );
+  batch.set(
+    firestoreDb.collection(COUNTERS_COLLECTION).doc(courseId),
+    { scope: "course", course_name: courseName, day, tokens: increment(tokens), requests: increment(1), updated_at: now },
+    { merge: true }
+  );
+  await batch.commit();
+}
+
+/**
+ * צריכה יומית של משתמש בקורס, והסך שלו בכל הקורסים (total, מול user_limits - ברירות המחדל)
+ * @returns {Promise<object>} - { email, course_name, day, tokens, requests, requests_last_minute, limits, total, user_limits }
+ */
+export async function getUserUsage(email, courseName) {
+  const day = currentQuotaDay();
+  usageCache.delete(userCounterId(email, courseName, day));
+  usageCache.delete(userTotalCounterId(email, day));
+  const [usage, total, limits] = await Promise.all([
+    readCounter(userCounterId(email, courseName, day)),
+    readCounter(userTotalCounterId(email, day)),
+    getEffectiveLimits(courseName),
+  ]);
+  const recent = (requestWindows.get(`${courseName}:${email}`) || []).filter((t) => Date.now() - t < WINDOW_MS);
+  const user_limits = { user_requests_per_minute: defaultLimits.user_requests_per_minute, user_tokens_per_day: defaultLimits.user_tokens_per_day };
+  return { email, course_name: courseName, day, ...usage, requests_last_minute: recent.length, limits, total, user_limits };
+}
+
+/**
+ * צריכה יומית של קורס + פירוט לפי משתמשים (לתצוגת מרצה)
+ * @returns {Promise<object>} - { course_name, day, tokens, requests, limits, users: [...] }
+ */
+export async function getCourseUsage(courseName) {
+  const day = currentQuotaDay();
+  usageCache.delete(courseCounterId(courseName, day));
+  const [courseUsage, limits] = await Promise.all([
+    readCounter(courseCounterId(courseName, day)),
+    getEffectiveLimits(courseName),
+  ]);
+
+  let users = [];
+  if (firestoreDb) {
+    const snapshot = await firestoreDb
+      .collection(COUNTERS_COLLECTION)
+      .where("course_name", "==", courseName)
+      .where("day", "==", day)
+      .get();
+    users = snapshot.docs
+      .map((doc) => doc.data())
+      .filter((d) => d.scope === "user")
+      .map((d) => ({ email: d.email, tokens: d.tokens || 0, requests: d.requests || 0 }))
+      .sort((a, b) => b.tokens - a.tokens);
+  }
+
+  return { course_name: courseName, day, ...courseUsage, limits, users };
+}
+
+/**
+ * איפוס המכסה של משתמש בקורס (מונה יומי + חלון הדקה). הצריכה שלו בקורס יורדת גם מהסך שלו בכל הקורסים.
+ */
+export async function resetUserQuota(email, courseName) {
+  const day = currentQuotaDay();
+  const counterId = userCounterId(email, courseName, day);
+  const totalId = userTotalCounterId(email, day);
+  usageCache.delete(counterId);
+  usageCache.delete(totalId);
+  requestWindows.delete(`${courseName}:${email}`);
+  requestWindows.delete(`*:${email}`);
+  if (firestoreDb) {
+    const [usage, total] = await Promise.all([readCounter(counterId), readCounter(totalId)]);
+    usageCache.delete(counterId);
+    usageCache.delete(totalId);
+    const batch = firestoreDb.batch();
+    batch.delete(firestoreDb.collection(COUNTERS_COLLECTION).doc(counterId));
+    batch.set(firestoreDb.collection(COUNTERS_COLLECTION).doc(totalId), {
+      scope: "user_total",
+      email,
+      day,
+      tokens: Math.max(0, total.tokens - usage.tokens),
+      requests: Math.max(0, total.requests - usage.requests),
+      updated_at: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+  }
+  console.log(`[Quota] Reset quota for ${email.substring(0, 10)}... in course ${courseName}`);
+  return { email, course_name: courseName, day };
+}
+
+/**
+ * שכחת הצריכה של משתמש בזיכרון: חלונות הדקה וה-cache של המונים שלו (במחיקת נתוני המשתמש - המונים עצמם
+ * נמחקים מ-usage_counters ב-privacy.js)
+ * @param {string} email - מייל המשתמש
+ */
+export function forgetUserUsage(email) {
+  for (const key of requestWindows.keys()) {
+    if (key.endsWith(`:${email}`)) requestWindows.delete(key);
+  }
+  for (const counterId of usageCache.keys()) {
+    if (counterId.startsWith("user") && counterId.includes(`__${encodeURIComponent(email)}__`)) usageCache.delete(counterId);
+  }
+}
+
+/**
+ * איפוס המכסה של קורס (מונה יומי + חלון הדקה). המונים של המשתמשים נשארים.
+ */
+export async function resetCourseQuota(courseName) {
+  const day = currentQuotaDay();
+  const counterId = courseCounterId(courseName, day);
+  usageCache.delete(counterId);
+  requestWindows.delete(`${courseName}:*`);
+  if (firestoreDb) {
+    await firestoreDb.collection(COUNTERS_COLLECTION).doc(counterId).delete();
+  }
+  console.log(`[Quota] Reset course quota for ${courseName}`);
+  return { course_name: courseName, day };
+}
+
+/**
+ * Middleware - חוסם בקשות מעבר למכסה עם 429 + Retry-After.
+ * בקשות streaming מקבלות את השגיאה כ-SSE event (אותו פורמט כמו שאר שגיאות ה-stream).
+ * חייב לרוץ אחרי requireAuth.
+ * @param {object} options
+ * @param {function} options.isStreamingRequest - (req) => boolean
+ * @returns {function} - Express middleware
+ */
+export function createQuotaMiddleware(options = {}) {
+  const isStreamingRequest = options.isStreamingRequest || (() => false);
+
+  return async function enforceQuota(req, res, next) {
+    const requestId = req.requestId || "-";
+    const courseName = req.body?.course_name || "statistics";
+    let result;
+    try {
+      result = await checkQuota(req.userEmail, courseName);
+    } catch (e) {
+      console.warn(`[RID:${requestId}] quota_check_error`, e?.message || e);
+      return next();
+    }
+
+    if (result.allowed) return next();
+
+    console.warn(`[RID:${requestId}] quota_denied reason=${result.reason} retry_after=${result.retryAfterSeconds}s`);
+    const payload = {
+      error: "Rate limit exceeded",
+      code: result.reason,
+      message: result.reason.endsWith("daily_tokens")
+        ? "הגעת למכסת השימוש היומית. ניתן להמשיך מחר 🙂"
+        : "יותר מדי שאלות בזמן קצר. נסו שוב בעוד כמה שניות.",
+      retry_after: result.retryAfterSeconds,
+    };
+
+    res.setHeader("Retry-After", String(result.retryAfterSeconds));
+    if (isStreamingRequest(req)) {
+      res.status(429);
+      res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+      res.setHeader("Cache-Control", "no-cache");
+      res.write(`data: ${JSON.stringify({ type: "error", ...payload })}\n\n`);
+      return res.end();
+    }
+    return res.status(429).json(payload);
+  };
+}
@@ -1,80 +1,288 @@
-// rag.js - מערכת RAG לשאילתה בחומרי הקורס (עם Firestore)
+// rag.js - מערכת RAG לשאילתה בחומרי הקורס (האחסון והחיפוש דרך vector store - Firestore או קובץ מקומי)
 import OpenAI from "openai";
+import { randomUUID, createHash } from "crypto";
+import { splitDocumentIntoChunks } from "./chunking.js";
+import { createVectorStore, sourceDocId, toSearchEntry, searchEntries, LEGACY_EMBEDDING_VERSION } from "./vectorStore.js";
+import { getCourseSettings, updateCourseSettings } from "./courseSettings.js";
+import { createLRUCache } from "./cache.js";
+import { dedupeCandidates, selectWithMMR, rerankCandidates } from "./rerank.js";
 
 let openaiEmbeddings = null;
-let firestoreDb = null;
+let vectorStore = null;
+let rerankerOptions = { model: "gpt-4o-mini", url: null };
+let retrievalDefaults = null; // ברירות המחדל של האחזור לתהליך הזה (initRAG) - DEFAULT_RETRIEVAL_SETTINGS אם לא נקבעו
 
-// Cache לשאילתות RAG - מפחית קריאות ל-Firestore
+// Caches לשאילתות RAG (LRU עם גודל חסום - cache.js):
+// - תוצאות אחזור - לפי הקורס + hash של השאילתות המלאות. נמחק בכל שינוי בקורפוס של הקורס (invalidateCourseCaches).
+// - embeddings של שאילתות - לפי hash של הטקסט המנורמל המלא. לא תלוי בקורפוס, כך ששאלה חוזרת לא משלמת שוב על embedding.
 const RAG_CACHE_TTL = 60000; // 60 שניות
-const ragCache = new Map(); // { cacheKey: { data, timestamp } }
+const RAG_CACHE_MAX_ENTRIES = 200;
+const EMBEDDING_CACHE_MAX_ENTRIES = 500; // ~6KB-12KB לכל embedding
+const ragCache = createLRUCache({ maxEntries: RAG_CACHE_MAX_ENTRIES, ttl: RAG_CACHE_TTL });
+const queryEmbeddingCache = createLRUCache({ maxEntries: EMBEDDING_CACHE_MAX_ENTRIES });
+let corpusGeneration = 0; // עולה בכל שינוי בקורפוס - תוצאה של חיפוש שהתחיל לפני השינוי לא נשמרת ב-cache
 
-// יצירת מפתח cache לפי queryText ו-course_name
-function getCacheKey(queryText, courseName) {
-  return `${courseName || 'all'}_${queryText.substring(0, 50)}`;
+// מודל ה-embedding של קורס - course_settings/{course}.embedding = { model, dimensions }.
+// כל chunk נשמר עם embedding_model ו-embedding_version, והחיפוש משווה רק ל-chunks של הגרסה הפעילה של הקורס.
+// החלפת מודל רק דרך re-embedding (embeddingJobs.js) - שינוי ישיר של ההגדרה היה משאיר את הקורס בלי וקטורים תואמים.
+export const EMBEDDING_MODELS = ["text-embedding-3-small", "text-embedding-3-large", "text-embedding-ada-002"];
+export const DEFAULT_EMBEDDING = { model: "text-embedding-3-small", dimensions: null }; // dimensions: null = הגודל המלא של המודל
+
+// גרסת embedding: שם המודל, ועם dimensions מקוצר - גם הגודל ("text-embedding-3-large@1024")
+export function embeddingVersion({ model, dimensions = null }) {
+  return dimensions ? `${model}@${dimensions}` : model;
 }
 
-// בדיקה אם יש cache תקף
-function getCachedResult(cacheKey) {
-  const cached = ragCache.get(cacheKey);
-  if (!cached) return null;
-  
-  const age = Date.now() - cached.timestamp;
-  if (age > RAG_CACHE_TTL) {
-    ragCache.delete(cacheKey);
-    return null;
+/**
+ * בדיקת מודל embedding מבקשה (API / CLI). שגיאה עם status=400 אם הוא לא נתמך.
+ * @param {object} spec - { model, dimensions? }
+ * @returns {{ model: string, dimensions: number|null }}
+ */
+export function parseEmbeddingSpec(spec = {}) {
+  const fail = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+  if (!EMBEDDING_MODELS.includes(spec.model)) {
+    throw fail(`model must be one of ${EMBEDDING_MODELS.join(", ")}`);
   }
-  
-  return cached.data;
+  if (spec.dimensions === undefined || spec.dimensions === null || spec.dimensions === "") {
+    return { model: spec.model, dimensions: null };
+  }
+  const dimensions = Number(spec.dimensions);
+  if (!spec.model.startsWith("text-embedding-3-")) {
+    throw fail(`dimensions is not supported by ${spec.model}`);
+  }
+  if (!Number.isInteger(dimensions) || dimensions < 256 || dimensions > 3072) {
+    throw fail("dimensions must be an integer between 256 and 3072");
+  }
+  return { model: spec.model, dimensions };
 }
 
-// שמירה ב-cache
-function setCachedResult(cacheKey, data) {
-  ragCache.set(cacheKey, {
-    data: data,
-    timestamp: Date.now()
-  });
-  
-  // ניקוי cache ישן מדי פעם (אם יש יותר מ-100 entries)
-  if (ragCache.size > 100) {
-    const now = Date.now();
-    for (const [key, value] of ragCache.entries()) {
-      if (now - value.timestamp > RAG_CACHE_TTL) {
-        ragCache.delete(key);
+/**
+ * מודל ה-embedding הפעיל של קורס (עם version)
+ * @param {string} courseName - שם הקורס
+ * @returns {Promise<{ model: string, dimensions: number|null, version: string }>}
+ */
+export async function getCourseEmbedding(courseName) {
+  const settings = courseName ? await getCourseSettings(courseName) : {};
+  const embedding = { ...DEFAULT_EMBEDDING, ...(settings.embedding || {}) };
+  return { model: embedding.model, dimensions: embedding.dimensions || null, version: embeddingVersion(embedding) };
+}
+
+// נרמול לשאילתה לפני hash: NFC ורווחים - הבדלים שלא משנים את המשמעות
+function normalizeQueryText(text) {
+  return String(text || "").normalize("NFC").replace(/\s+/g, " ").trim();
+}
+
+function hashText(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+// מפתח cache לתוצאות: שם הקורס בתחילת המפתח (לניקוי לפי קורס) ו-hash של כל השאילתות ושל topK
+function getCacheKey(queries, courseName, topK) {
+  return `${courseName || "all"}\n${hashText(`${topK}\n${queries.map(normalizeQueryText).join("\n")}`)}`;
+}
+
+// הגדרות אחזור - ברירות מחדל, דרוסות לכל קורס ע"י course_settings/{course}.retrieval
+// vector_weight / keyword_weight - משקלי ה-fusion בין similarity של embeddings לבין ציון BM25 (מנורמל ל-0..1)
+// candidates - כמה מועמדים נשלפים (מכל שיטה) לפני בחירת ה-topK הסופיים
+// dedupe_threshold - סף Jaccard שמעליו שני chunks נחשבים כפולים
+// mmr_lambda - האיזון בין רלוונטיות לגיוון ב-MMR (1 = רלוונטיות בלבד)
+// reranker - "none" / "llm" / "cross_encoder" (RERANKER_URL). רץ בתוך תקציב הזמן של RAG.
+// relevance_threshold - similarity מינימלי (cosine מול ה-embedding של השאילתה) ל-chunk שנכנס ל-context.
+//   נקבע על similarity ולא על score, כי ציון ה-BM25 יחסי לשאילתה ואינו סקאלה מוחלטת. כיול: calibrateRelevanceThreshold.
+export const DEFAULT_RETRIEVAL_SETTINGS = {
+  vector_weight: 0.7,
+  keyword_weight: 0.3,
+  candidates: 20,
+  dedupe_threshold: 0.8,
+  mmr_lambda: 0.7,
+  reranker: "none",
+  relevance_threshold: 0.25,
+};
+const RERANK_SAFETY_MS = 50; // מרווח בין סוף ה-re-ranking ל-timeout של RAG
+
+/**
+ * הגדרות האחזור בפועל לקורס
+ * @param {string} courseName - שם הקורס
+ * @returns {Promise<object>}
+ */
+export async function getRetrievalSettings(courseName) {
+  const settings = await getCourseSettings(courseName);
+  return { ...DEFAULT_RETRIEVAL_SETTINGS, ...retrievalDefaults, ...(settings.retrieval || {}) };
+}
+
+// איחוד הציונים: score = ממוצע משוקלל של similarity ושל ציון ה-BM25 יחסית לציון הגבוה ביותר בשאילתה
+function fuseScores(matches, { vector_weight, keyword_weight }) {
+  const maxKeyword = matches.reduce((max, match) => Math.max(max, match.keyword_score || 0), 0);
+  const totalWeight = vector_weight + keyword_weight || 1;
+  return matches.map((match) => ({
+    ...match,
+    score: (vector_weight * match.similarity + keyword_weight * (maxKeyword > 0 ? match.keyword_score / maxKeyword : 0)) / totalWeight,
+  }));
+}
+
+// בחירת ה-topK הסופיים מתוך המועמדים: הסרת כפילויות/חפיפות → re-ranker (אם הוגדר) → MMR
+async function selectFinalResults(queryText, matches, topK, settings, { abortSignal, timeoutMs, ragStartTime }) {
+  const startTime = Date.now();
+  const ranked = [...matches].sort((a, b) => b.score - a.score).slice(0, Math.max(settings.candidates, topK));
+  const { kept, removedCount } = dedupeCandidates(ranked, settings.dedupe_threshold);
+  let candidates = kept.map((match) => ({ ...match, relevance: match.score }));
+
+  let reranker = "none";
+  if (settings.reranker !== "none" && candidates.length > topK) {
+    const remainingMs = timeoutMs ? timeoutMs - (Date.now() - ragStartTime) - RERANK_SAFETY_MS : null;
+    if (remainingMs === null || remainingMs > 0) {
+      const scores = await rerankCandidates(queryText, candidates, {
+        type: settings.reranker,
+        openai: openaiEmbeddings,
+        model: rerankerOptions.model,
+        url: rerankerOptions.url,
+        timeoutMs: remainingMs,
+        abortSignal,
+      });
+      if (scores) {
+        candidates = candidates
+          .map((candidate, n) => ({ ...candidate, rerank_score: scores[n], relevance: scores[n] }))
+          .sort((a, b) => b.relevance - a.relevance);
+        reranker = settings.reranker;
       }
     }
   }
+
+  const results = settings.mmr_lambda < 1 ? selectWithMMR(candidates, topK, settings.mmr_lambda) : candidates.slice(0, topK);
+  return {
+    results,
+    metrics: { candidates: ranked.length, duplicates_removed: removedCount, reranker, post_ms: Date.now() - startTime },
+  };
 }
 
-// אתחול RAG עם Firestore
-export function initRAG(openaiApiKey, firestoreInstance) {
-  if (!openaiApiKey) {
+// Registry של מקורות (rag_sources) - הגרסה הפעילה של כל מקור בקורס.
+// chunks של גרסה שאינה פעילה לא משתתפים בחיפוש, כך שהחלפת מקור היא עדכון של רשומה אחת (אטומי).
+const SOURCES_CACHE_TTL = 60000; // 60 שניות
+const sourcesCache = new Map(); // { courseName|'all': { data: Map(sourceDocId -> entry), timestamp } }
+const LEGACY_VERSION = "legacy"; // גרסה פעילה של chunks שהועלו לפני שהיה version
+const DELETED_VERSION = "deleted"; // מקור בתהליך מחיקה - אף chunk לא פעיל
+
+// טעינת ה-registry של קורס (או של כל הקורסים) עם cache
+async function getSourcesRegistry(courseName) {
+  const cacheKey = courseName || "all";
+  const cached = sourcesCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp <= SOURCES_CACHE_TTL) {
+    return cached.data;
+  }
+
+  const registry = await vectorStore.getSources(courseName);
+  sourcesCache.set(cacheKey, { data: registry, timestamp: Date.now() });
+  return registry;
+}
+
+// chunk פעיל אם למקור שלו אין גרסה פעילה מוגדרת (מקור ישן), או שהוא שייך לגרסה הפעילה
+function isActiveChunk(data, registry) {
+  const entry = registry.get(sourceDocId(data.course_name || "", data.source || "unknown"));
+  if (!entry?.active_version) return true;
+  return (data.version || LEGACY_VERSION) === entry.active_version;
+}
+
+// גרסת ה-embedding של chunk שמור (chunks ישנים - המודל היחיד שהיה אז)
+function chunkEmbeddingVersion(data) {
+  return data.embedding_version || LEGACY_EMBEDDING_VERSION;
+}
+
+// ניקוי ה-caches אחרי שינוי בקורפוס של קורס
+function invalidateCourseCaches(courseName) {
+  corpusGeneration++;
+  sourcesCache.delete(courseName);
+  sourcesCache.delete("all");
+  ragCache.deletePrefix(`${courseName}\n`);
+  ragCache.deletePrefix("all\n");
+  vectorStore.markStale(courseName);
+}
+
+// גרסת ה-embedding האחרונה שנראתה לכל קורס. החלפה שבוצעה בתהליך אחר (reembed.js) מתגלה כאן, כשה-cache של
+// הגדרות הקורס מתחדש - וה-caches והאינדקס בזיכרון נטענים מחדש כדי לכלול את ה-chunks של המודל החדש.
+const seenEmbeddingVersions = new Map();
+function noteCourseEmbedding(courseName, version) {
+  if (!courseName) return;
+  const previous = seenEmbeddingVersions.get(courseName);
+  seenEmbeddingVersions.set(courseName, version);
+  if (previous && previous !== version) {
+    console.log(`[RAG] Course ${courseName} switched embedding ${previous} -> ${version}`);
+    invalidateCourseCaches(courseName);
+  }
+}
+
+/**
+ * טעינה מוקדמת של ה-vector store (ב-Firestore: האינדקסים של כל הקורסים שיש להם מקורות). נקרא בעליית השרת.
+ * @returns {Promise<number>} - מספר הקורסים שנטענו
+ */
+export async function warmRAGIndexes() {
+  if (!vectorStore) return 0;
+  try {
+    return await vectorStore.warm();
+  } catch (e) {
+    console.error("[RAG] warmRAGIndexes failed:", e?.message || e);
+    return 0;
+  }
+}
+
+/**
+ * אתחול RAG
+ * @param {string} openaiApiKey - מפתח OpenAI (ל-embeddings)
+ * @param {Firestore} firestoreInstance - מופע Firestore (נדרש ל-vector store מסוג firestore)
+ * @param {object} options - { vectorStore: "firestore" | "local" | מימוש מוכן, vectorStorePath, rerankModel, rerankerUrl,
+ *   openai: client מוכן במקום OpenAI (embeddings מדומים בהערכה - evalRetrieval.js), retrievalDefaults: דריסה של DEFAULT_RETRIEVAL_SETTINGS }
+ * @returns {boolean}
+ */
+export function initRAG(openaiApiKey, firestoreInstance, options = {}) {
+  if (!openaiApiKey && !options.openai) {
     console.warn("[RAG] Missing OPENAI_API_KEY - RAG will be disabled");
     return false;
   }
 
-  openaiEmbeddings = new OpenAI({ apiKey: openaiApiKey });
-  firestoreDb = firestoreInstance;
+  openaiEmbeddings = options.openai || new OpenAI({ apiKey: openaiApiKey });
+  rerankerOptions = { model: options.rerankModel || "gpt-4o-mini", url: options.rerankerUrl || null };
+  retrievalDefaults = options.retrievalDefaults || null;
+  // אתחול מחדש (למשל קונפיגורציה אחרת בהערכה) - תוצאות ו-embeddings שנשמרו שייכים ל-store ול-client הקודמים
+  ragCache.clear();
+  sourcesCache.clear();
+  queryEmbeddingCache.clear();
 
-  if (firestoreDb) {
-    console.log("[OK] RAG initialized with Firestore");
-    return true;
+  if (options.vectorStore && typeof options.vectorStore === "object") {
+    vectorStore = options.vectorStore;
   } else {
-    console.warn("[RAG] Firestore not available - RAG will be disabled");
-    return false;
+    const type = options.vectorStore || "firestore";
+    if (type === "firestore" && !firestoreInstance) {
+      console.warn("[RAG] Firestore not available - RAG will be disabled");
+      return false;
+    }
+    try {
+      vectorStore = createVectorStore(type, { firestoreDb: firestoreInstance, filePath: options.vectorStorePath });
+    } catch (e) {
+      console.error("[RAG] Could not create vector store - RAG will be disabled:", e.message);
+      return false;
+    }
   }
+
+  console.log(`[OK] RAG initialized with ${vectorStore.name} vector store`);
+  return true;
+}
+
+// הפרמטרים לבקשת embeddings לפי מודל ה-embedding (dimensions רק כשנקבע גודל מקוצר)
+function embeddingRequest(embedding, input) {
+  return { model: embedding.model, input, ...(embedding.dimensions ? { dimensions: embedding.dimensions } : {}) };
 }
 
 // יצירת embeddings לטקסט
-async function createEmbedding(text) {
+async function createEmbedding(text, embedding = DEFAULT_EMBEDDING) {
   if (!openaiEmbeddings) {
     throw new Error("OpenAI embeddings not initialized");
   }
 
   try {
-    const response = await openaiEmbeddings.embeddings.create({
-      model: "text-embedding-3-small", // או text-embedding-ada-002
-      input: text,
-    });
+    const response = await openaiEmbeddings.embeddings.create(embeddingRequest(embedding, text));
     return response.data[0].embedding;
   } catch (e) {
     console.error("[Embedding Error]", e);
@@ -82,30 +290,99 @@ async function createEmbedding(text) {
   }
 }
 
-// חישוב cosine similarity בין שני וקטורים
-function cosineSimilarity(vecA, vecB) {
-  if (vecA.length !== vecB.length) return 0;
-  
-  let dotProduct = 0;
-  let normA = 0;
-  let normB = 0;
-  
-  for (let i = 0; i < vecA.length; i++) {
-    dotProduct += vecA[i] * vecB[i];
-    normA += vecA[i] * vecA[i];
-    normB += vecB[i] * vecB[i];
+// embeddings לשאילתות דרך ה-cache - רק שאילתות שלא נמצאו בו נשלחות ל-API (בבקשה אחת)
+async function embedQueries(queries, embedding = DEFAULT_EMBEDDING) {
+  const keys = queries.map((query) => hashText(`${embeddingVersion(embedding)}\n${normalizeQueryText(query)}`));
+  const embeddings = keys.map((key) => queryEmbeddingCache.get(key));
+  const missing = queries.filter((_, n) => !embeddings[n]);
+  if (missing.length > 0) {
+    const created = missing.length === 1 ? [await createEmbedding(missing[0], embedding)] : await createEmbeddings(missing, embedding);
+    let next = 0;
+    embeddings.forEach((embedding, n) => {
+      if (embedding) return;
+      embeddings[n] = created[next++];
+      queryEmbeddingCache.set(keys[n], embeddings[n]);
+    });
   }
-  
-  if (normA === 0 || normB === 0) return 0;
-  return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+  return { embeddings, cachedCount: queries.length - missing.length };
+}
+
+// מגבלות ל-batch של embeddings בזמן ingestion (ה-API מקבל עד 2048 קלטים ו-~300K טוקנים לבקשה)
+const EMBEDDING_BATCH_SIZE = 100; // מספר chunks מקסימלי לבקשה
+const EMBEDDING_BATCH_MAX_CHARS = 200000; // ~50K-100K טוקנים - רחוק מהמגבלה גם בעברית
+const CHUNK_WRITE_BATCH_SIZE = 200; // chunks ל-WriteBatch - כל chunk עם embedding הוא ~15KB ומגבלת הבקשה היא 10MB
+const RETRY_ATTEMPTS = 4;
+const RETRY_BASE_DELAY_MS = 500;
+
+// שגיאות שאין טעם לנסות שוב (בקשה לא תקינה / הרשאות) - מלבד 429 (rate limit)
+function isRetryableError(e) {
+  const status = e?.status ?? e?.response?.status;
+  if (status === 429) return true;
+  if (typeof status === "number" && status >= 400 && status < 500) return false;
+  if (e?.code === 3 || e?.code === 7) return false; // Firestore INVALID_ARGUMENT / PERMISSION_DENIED
+  return true;
+}
+
+// הרצה עם retry ו-exponential backoff (500ms, 1s, 2s + jitter)
+async function withRetry(fn, label) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (e) {
+      if (attempt >= RETRY_ATTEMPTS || !isRetryableError(e)) throw e;
+      const delay = RETRY_BASE_DELAY_MS * 2 ** (attempt - 1) + Math.floor(Math.random() * 200);
+      console.warn(`[RAG] ${label} failed (attempt ${attempt}/${RETRY_ATTEMPTS}): ${e?.message || e} - retrying in ${delay}ms`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// embeddings לכמה טקסטים בבקשה אחת. מחזיר מערך באותו סדר כמו texts.
+async function createEmbeddings(texts, embedding = DEFAULT_EMBEDDING) {
+  if (!openaiEmbeddings) {
+    throw new Error("OpenAI embeddings not initialized");
+  }
+
+  const response = await openaiEmbeddings.embeddings.create(embeddingRequest(embedding, texts));
+  const embeddings = new Array(texts.length);
+  response.data.forEach((item) => {
+    embeddings[item.index] = item.embedding;
+  });
+  if (embeddings.some((embedding) => !Array.isArray(embedding))) {
+    throw new Error(`Embeddings response is missing items (${response.data.length}/${texts.length})`);
+  }
+  return embeddings;
 }
 
-// שאילתה ב-RAG - מחזיר את הטקסטים הרלוונטיים ביותר
+// חלוקת chunks לקבוצות לפי מספר פריטים וסך תווים
+function groupForEmbedding(items) {
+  const groups = [];
+  let current = [];
+  let currentChars = 0;
+  for (const item of items) {
+    const chars = item.chunk.text.length;
+    if (current.length > 0 && (current.length >= EMBEDDING_BATCH_SIZE || currentChars + chars > EMBEDDING_BATCH_MAX_CHARS)) {
+      groups.push(current);
+      current = [];
+      currentChars = 0;
+    }
+    current.push(item);
+    currentChars += chars;
+  }
+  if (current.length > 0) groups.push(current);
+  return groups;
+}
+
+// שאילתה ב-RAG - מחזיר את הטקסטים הרלוונטיים ביותר.
+// queryText - שאילתה אחת, או כמה ניסוחים של אותה שאלה (queryRewrite.js) שהתוצאות שלהם מאוחדות
 export async function queryRAG(queryText, topK = 3, courseName = null, maxDocs = 200, timeoutMs = null, abortSignal = null) {
-  if (!firestoreDb || !openaiEmbeddings) {
+  if (!vectorStore || !openaiEmbeddings) {
     return { chunks: [], sources: [], _metrics: { status: "disabled", rag_total_ms: 0 } };
   }
 
+  const queries = (Array.isArray(queryText) ? queryText : [queryText]).filter(Boolean);
+  const queryLabel = queries.join(" | ");
+
   const ragStartTime = Date.now();
   let retrievedCount = 0;
   let processedCount = 0;
@@ -113,18 +390,21 @@ export async function queryRAG(queryText, topK = 3, courseName = null, maxDocs =
 
   try {
     // בדיקת cache
-    const cacheKey = getCacheKey(queryText, courseName);
-    const cached = getCachedResult(cacheKey);
+    const cacheKey = getCacheKey(queries, courseName, topK);
+    const cached = ragCache.get(cacheKey);
     if (cached) {
       const ragTotalMs = Date.now() - ragStartTime;
-      console.log(`[RAG] Cache hit for query: "${queryText.substring(0, 50)}..." (course: ${courseName || 'all'})`);
+      console.log(`[RAG] Cache hit for query: "${queryLabel.substring(0, 50)}..." (course: ${courseName || 'all'})`);
+      const { relevance_threshold, best_similarity, ...cachedResult } = cached;
       return { 
-        ...cached, 
+        ...cachedResult, 
         _metrics: { 
           status: "cache_hit", 
           maxDocs, 
           retrieved_count: 0, 
           processed_count: 0, 
+          relevance_threshold,
+          best_similarity,
           returned_count: cached.chunks?.length || 0, 
           rag_total_ms: ragTotalMs 
         } 
@@ -143,7 +423,7 @@ export async function queryRAG(queryText, topK = 3, courseName = null, maxDocs =
       // Wrap entire RAG work in Promise.race
       try {
         const result = await Promise.race([
-          performRAGWork(queryText, topK, courseName, maxDocs, abortSignal, ragStartTime),
+          performRAGWork(queries, topK, courseName, maxDocs, abortSignal, ragStartTime, timeoutMs),
           timeoutPromise
         ]);
         return result;
@@ -168,7 +448,7 @@ export async function queryRAG(queryText, topK = 3, courseName = null, maxDocs =
       }
     } else {
       // No timeout - proceed normally
-      return await performRAGWork(queryText, topK, courseName, maxDocs, abortSignal, ragStartTime);
+      return await performRAGWork(queries, topK, courseName, maxDocs, abortSignal, ragStartTime, null);
     }
   } catch (e) {
     const ragTotalMs = Date.now() - ragStartTime;
@@ -220,22 +500,45 @@ export async function queryRAG(queryText, topK = 3, courseName = null, maxDocs =
   }
 }
 
+// איחוד התוצאות של כמה שאילתות: לכל chunk - ה-similarity וציון ה-BM25 הגבוהים מבין השאילתות
+function mergeQueryMatches(matchLists) {
+  if (matchLists.length === 1) return matchLists[0];
+  const merged = new Map();
+  for (const matches of matchLists) {
+    for (const match of matches) {
+      const existing = merged.get(match.id);
+      if (!existing) {
+        merged.set(match.id, { ...match });
+      } else {
+        existing.similarity = Math.max(existing.similarity, match.similarity);
+        existing.keyword_score = Math.max(existing.keyword_score || 0, match.keyword_score || 0);
+      }
+    }
+  }
+  return [...merged.values()];
+}
+
 // Internal function that performs the actual RAG work (wrapped by Promise.race for timeout)
-async function performRAGWork(queryText, topK, courseName, maxDocs, abortSignal, ragStartTime) {
-  let retrievedCount = 0;
-  let processedCount = 0;
-  let returnedCount = 0;
-  const cacheKey = getCacheKey(queryText, courseName);
+async function performRAGWork(queries, topK, courseName, maxDocs, abortSignal, ragStartTime, timeoutMs) {
+  const queryLabel = queries.join(" | ");
+  const cacheKey = getCacheKey(queries, courseName, topK);
+  const generation = corpusGeneration;
   
   // Guard: check abort before starting
   if (abortSignal?.aborted) {
     throw new Error("RAG_TIMEOUT");
   }
   
-  console.log(`[RAG] Querying for: "${queryText.substring(0, 50)}..." (course: ${courseName || 'all'}, maxDocs: ${maxDocs})`);
+  console.log(`[RAG] Querying for: "${queryLabel.substring(0, 50)}..." (course: ${courseName || 'all'}, maxDocs: ${maxDocs})`);
   
-  // יצירת embedding לשאילתה
-  const queryEmbedding = await createEmbedding(queryText);
+  // יצירת embedding לשאילתה / לשאילתות במודל של הקורס (במקביל לטעינת ה-registry של המקורות ולהגדרות האחזור של הקורס)
+  const embedding = await getCourseEmbedding(courseName);
+  noteCourseEmbedding(courseName, embedding.version);
+  const [{ embeddings: queryEmbeddings, cachedCount }, sourcesRegistry, retrievalSettings] = await Promise.all([
+    embedQueries(queries, embedding),
+    getSourcesRegistry(courseName),
+    getRetrievalSettings(courseName),
+  ]);
   
   // Guard: check abort after embedding creation
   if (abortSignal?.aborted) {
@@ -243,49 +546,50 @@ async function performRAGWork(queryText, topK, courseName, maxDocs, abortSignal,
   }
   
   if (!abortSignal?.aborted) {
-    console.log(`[RAG] Created query embedding, dimension: ${queryEmbedding.length}`);
+    console.log(`[RAG] Created ${queryEmbeddings.length} query embedding(s) (${cachedCount} from cache), dimension: ${queryEmbeddings[0].length}`);
   }
 
-  // שאילתה ממוקדת לפי course_name אם קיים, אחרת limit בלבד
-  let query = firestoreDb.collection("rag_chunks");
-  
-  if (courseName) {
-    // סינון לפי course_name - מפחית דרמטית את מספר ה-reads
-    query = query.where("course_name", "==", courseName);
+  // חיפוש היברידי דרך ה-vector store (embeddings + מילות מפתח) - רק chunks של הגרסה הפעילה של כל מקור.
+  // כמה שאילתות - חיפוש לכל אחת ואיחוד; בסריקה חלקית (האינדקס עוד לא נטען) רק הראשונה, כי כל חיפוש שם הוא קריאה מ-Firestore.
+  const useKeywords = retrievalSettings.keyword_weight > 0;
+  const searches = [];
+  for (let n = 0; n < queries.length; n++) {
+    if (n > 0 && (searches[0].search === "partial_scan" || abortSignal?.aborted)) break;
+    searches.push(await vectorStore.query(queryEmbeddings[n], {
+      topK: Math.max(retrievalSettings.candidates, topK), // over-fetch - הבחירה הסופית אחרי הסרת כפילויות ו-MMR
+      filter: {
+        course_name: courseName || undefined,
+        embedding_version: embedding.version,
+        isActive: (chunk) => isActiveChunk(chunk, sourcesRegistry),
+      },
+      abortSignal,
+      maxDocs,
+      queryText: useKeywords ? queries[n] : null,
+    }));
   }
-  
-  // הגבלה למספר מקסימלי של מסמכים
-  query = query.limit(maxDocs);
-  
-  // Guard: check abort before Firestore query
-  if (abortSignal?.aborted) {
-    throw new Error("RAG_TIMEOUT");
+  const { search, retrievedCount, processedCount, skippedCount } = searches[0];
+  const matches = mergeQueryMatches(searches.map((result) => result.matches));
+  const keywordCount = Math.max(...searches.map((result) => result.keywordCount || 0));
+  if (searches[0].dimensionMismatchCount > 0) {
+    console.warn(`[RAG] ${searches[0].dimensionMismatchCount} chunks of course ${courseName || 'all'} have ${embedding.version} as embedding version but a different dimension - skipped (re-embed the course)`);
   }
-  
-  const chunksSnapshot = await query.get();
-  
-  // Guard: check abort immediately after Firestore query
+
+  // Guard: check abort after search
   if (abortSignal?.aborted) {
     throw new Error("RAG_TIMEOUT");
   }
-  
-  retrievedCount = chunksSnapshot.size;
-  
-  // Guard: only log if not aborted
-  if (!abortSignal?.aborted) {
-    console.log(`[RAG] Found ${retrievedCount} chunks in database${courseName ? ` (filtered by course: ${courseName})` : ''}`);
-  }
-  
-  if (chunksSnapshot.empty) {
+
+  console.log(`[RAG] Searched ${retrievedCount} chunks (${search}): ${processedCount} processed, ${keywordCount} keyword matches, skipped ${skippedCount} (course: ${courseName || 'all'})`);
+
+  if (retrievedCount === 0) {
     const ragTotalMs = Date.now() - ragStartTime;
-    if (!abortSignal?.aborted) {
-      console.warn("[RAG] No chunks found in database");
-    }
+    console.warn("[RAG] No chunks found in database");
     return { 
       chunks: [], 
       sources: [], 
       _metrics: { 
         status: "no_chunks", 
+        search,
         maxDocs, 
         retrieved_count: 0, 
         processed_count: 0, 
@@ -295,96 +599,54 @@ async function performRAGWork(queryText, topK, courseName, maxDocs, abortSignal,
     };
   }
 
-  // חישוב similarity לכל chunk
-  const similarities = [];
-  let skippedCount = 0;
-  
-  // המרה ל-array כדי לשפר ביצועים
-  const chunksArray = chunksSnapshot.docs;
-  
-  // חישוב similarity במקביל בקבוצות קטנות כדי לשפר ביצועים
-  const BATCH_SIZE = 50; // מעבד 50 chunks בכל פעם
-  for (let batchStart = 0; batchStart < chunksArray.length; batchStart += BATCH_SIZE) {
-    // Guard: check abort before each batch
-    if (abortSignal?.aborted) {
-      break;
-    }
-
-    const batchEnd = Math.min(batchStart + BATCH_SIZE, chunksArray.length);
-    const batch = chunksArray.slice(batchStart, batchEnd);
-    
-    // עיבוד ה-batch במקביל
-    const batchPromises = batch.map(async (doc) => {
-      // Guard: check abort before processing each doc
-      if (abortSignal?.aborted) {
-        return null;
-      }
-      
-      const data = doc.data();
-      const chunkEmbedding = data.embedding;
-      
-      if (!chunkEmbedding || !Array.isArray(chunkEmbedding)) {
-        skippedCount++;
-        return null;
-      }
-      
-      // בדיקת dimension
-      if (chunkEmbedding.length !== queryEmbedding.length) {
-        skippedCount++;
-        return null;
-      }
-      
-      try {
-        const similarity = cosineSimilarity(queryEmbedding, chunkEmbedding);
-        return {
-          id: doc.id,
-          text: data.text || "",
-          source: data.source || "unknown",
-          course_name: data.course_name || "",
-          similarity: similarity,
-          metadata: data.metadata || {},
-        };
-      } catch (simError) {
-        skippedCount++;
-        return null;
-      }
-    });
-    
-    const batchResults = await Promise.all(batchPromises);
-    
-    // Guard: check abort after batch processing
-    if (abortSignal?.aborted) {
-      break;
-    }
-    
-    const validResults = batchResults.filter(r => r !== null);
-    similarities.push(...validResults);
-    processedCount += validResults.length;
-  }
-
-  // Guard: only log if not aborted
-  if (!abortSignal?.aborted) {
-    console.log(`[RAG] Processed ${processedCount} chunks, skipped ${skippedCount}`);
-  }
+  const { results, metrics: postMetrics } = await selectFinalResults(queries[0], fuseScores(matches, retrievalSettings), topK, retrievalSettings, {
+    abortSignal, timeoutMs, ragStartTime,
+  });
 
-  // Guard: check abort before sorting
+  // Guard: check abort after re-ranking
   if (abortSignal?.aborted) {
     throw new Error("RAG_TIMEOUT");
   }
 
-  // מיון לפי similarity וקבלת ה-topK
-  similarities.sort((a, b) => b.similarity - a.similarity);
-  const topResults = similarities.slice(0, topK);
+  return buildRAGResult(results, topK, {
+    cacheKey, generation, abortSignal, ragStartTime, maxDocs, retrievedCount, processedCount, keywordCount, postMetrics, source: search,
+    relevanceThreshold: retrievalSettings.relevance_threshold,
+  });
+}
+
+// קטע קצר מה-chunk לתצוגת הציטוט
+const CITATION_SNIPPET_CHARS = 200;
+function citationSnippet(text) {
+  const flat = (text || "").replace(/\s+/g, " ").trim();
+  return flat.length > CITATION_SNIPPET_CHARS ? `${flat.slice(0, CITATION_SNIPPET_CHARS).trimEnd()}…` : flat;
+}
+
+// שם נושא להצעה לסטודנט: הכותרת של ה-chunk, או שם הקובץ בלי סיומת
+function topicLabel(result) {
+  const section = result.section_path?.length > 0 ? result.section_path[result.section_path.length - 1] : result.heading;
+  if (section) return section;
+  return (result.source || "").split('/').pop().split('\\').pop().replace(/\.[^.]+$/, "") || null;
+}
+
+// סינון לפי סף הרלוונטיות ובניית התוצאה (chunks / locations / sources) + שמירה ב-cache.
+// אם אף chunk לא עבר את הסף - coverage: "not_covered" עם הנושאים הקרובים ביותר שכן קיימים בקורס.
+function buildRAGResult(selected, topK, { cacheKey, generation, abortSignal, ragStartTime, maxDocs, retrievedCount, processedCount, keywordCount = 0, postMetrics = null, source, relevanceThreshold = DEFAULT_RETRIEVAL_SETTINGS.relevance_threshold }) {
+  let returnedCount = 0;
+
+  // התוצאות כבר נבחרו ומסודרות (selectFinalResults) - לפי סדר הבחירה של MMR
+  const topResults = selected.slice(0, topK);
   
   // Guard: only log if not aborted
   if (!abortSignal?.aborted) {
-    console.log(`[RAG] Top ${topResults.length} results, similarity range: ${topResults.length > 0 ? `${topResults[topResults.length - 1].similarity.toFixed(3)} - ${topResults[0].similarity.toFixed(3)}` : 'none'}`);
+    const scores = topResults.map((result) => result.score);
+    console.log(`[RAG] Top ${topResults.length} results, score range: ${topResults.length > 0 ? `${Math.min(...scores).toFixed(3)} - ${Math.max(...scores).toFixed(3)}` : 'none'}`);
   }
 
-  // עיבוד התוצאות - הורדנו את ה-filter ל-0.1 במקום 0.3
   const chunks = [];
+  const locations = []; // מקבילי ל-chunks: { source, page, page_end, heading, section_path }
+  const citations = []; // מקבילי ל-chunks: citation ממוספר (n = המספר של ה-chunk ב-context ובסימני [n] בתשובה)
   const sources = [];
-  const seenSources = new Set(); // למניעת כפילויות של מקורות
+  const seenSources = new Map(); // למניעת כפילויות של מקורות (שם מנורמל -> רשומה ב-sources)
 
   for (const result of topResults) {
     // Guard: check abort during result processing
@@ -392,184 +654,732 @@ async function performRAGWork(queryText, topK, courseName, maxDocs, abortSignal,
       break;
     }
     
-    // הורדנו את ה-filter ל-0.05 כדי לקבל יותר תוצאות
-    if (result.text && result.similarity > 0.05) {
+    if (result.text && result.similarity >= relevanceThreshold) {
       chunks.push(result.text);
+      const location = {
+        source: result.source,
+        page: result.page,
+        page_end: result.page_end,
+        page_unit: result.page_unit,
+        heading: result.heading,
+        section_path: result.section_path,
+      };
+      locations.push(location);
+      citations.push({
+        n: chunks.length,
+        chunk_id: result.id,
+        ...location,
+        snippet: citationSnippet(result.text),
+        score: result.score,
+        similarity: result.similarity,
+      });
       
-      // הוספת source רק אם לא ראינו אותו קודם (לפי שם קובץ)
+      // הוספת source רק אם לא ראינו אותו קודם (לפי שם קובץ); המיקומים של כל ה-chunks שלו נאספים ב-locations
       const sourceName = result.source || "unknown";
       const normalizedSource = sourceName.split('/').pop().split('\\').pop();
       
       if (!seenSources.has(normalizedSource)) {
-        seenSources.add(normalizedSource);
-        sources.push({
+        const entry = {
           source: result.source,
-          score: result.similarity,
+          score: result.score,
+          similarity: result.similarity,
+          keyword_score: result.keyword_score || 0,
+          ...(result.rerank_score !== undefined ? { rerank_score: result.rerank_score } : {}),
           course_name: result.course_name,
+          page: result.page,
+          page_end: result.page_end,
+          page_unit: result.page_unit,
+          heading: result.heading,
+          section_path: result.section_path,
+          locations: [],
           metadata: result.metadata,
-        });
+        };
+        seenSources.set(normalizedSource, entry);
+        sources.push(entry);
       }
+      seenSources.get(normalizedSource).locations.push({
+        page: result.page,
+        page_end: result.page_end,
+        page_unit: result.page_unit,
+        heading: result.heading,
+      });
     }
   }
 
   returnedCount = chunks.length;
+  const bestSimilarity = topResults.reduce((max, result) => Math.max(max, result.similarity), 0);
+  const coverage = returnedCount > 0 ? "covered" : "not_covered";
+  const relatedTopics = coverage === "not_covered"
+    ? [...new Set(topResults.map(topicLabel).filter(Boolean))]
+    : [];
   
   // Guard: only log if not aborted
   if (!abortSignal?.aborted) {
-    console.log(`[RAG] Returning ${returnedCount} chunks after filtering (similarity > 0.05), ${sources.length} unique sources`);
+    console.log(`[RAG] Returning ${returnedCount} chunks after filtering (similarity >= ${relevanceThreshold}, best ${bestSimilarity.toFixed(3)}), ${sources.length} unique sources`);
   }
   
   const ragTotalMs = Date.now() - ragStartTime;
   const result = { 
     chunks, 
+    locations,
+    citations,
     sources, 
+    coverage,
+    related_topics: relatedTopics,
     _metrics: { 
       status: "success", 
+      search: source,
       maxDocs, 
       retrieved_count: retrievedCount, 
       processed_count: processedCount, 
+      keyword_matches: keywordCount,
+      ...(postMetrics ? { post: postMetrics } : {}),
+      relevance_threshold: relevanceThreshold,
+      best_similarity: bestSimilarity,
       returned_count: returnedCount, 
       rag_total_ms: ragTotalMs 
     } 
   };
   
-  // Guard: only cache if not aborted
-  if (!abortSignal?.aborted) {
-    setCachedResult(cacheKey, { chunks, sources });
+  // Guard: only cache if not aborted (תוצאה של חיפוש חלקי לא נשמרת - האינדקס המלא יענה טוב יותר)
+  // וגם לא אם הקורפוס השתנה בזמן החיפוש (התוצאה אולי מהגרסה הקודמת)
+  if (!abortSignal?.aborted && source !== "partial_scan" && generation === corpusGeneration) {
+    ragCache.set(cacheKey, {
+      chunks, locations, citations, sources, coverage, related_topics: relatedTopics,
+      relevance_threshold: relevanceThreshold, best_similarity: bestSimilarity,
+    });
   }
   
   return result;
 }
 
-// העלאת מסמך ל-RAG (chunking + embeddings)
-export async function uploadDocumentToRAG(text, metadata = {}) {
-  if (!firestoreDb || !openaiEmbeddings) {
+// hash של טקסט (מסמך שלם או chunk) - מנורמל כדי ששינויי שורות/רווחים בקצוות לא ייחשבו שינוי
+function contentHash(text) {
+  const normalized = (text || "").replace(/\r\n/g, "\n").trim();
+  return createHash("sha256").update(normalized).digest("hex");
+}
+
+// embedding ושמירה של chunks תחת גרסה מסוימת של המקור. מחזיר את ה-ids שנכתבו.
+// chunks עם hash שקיים ב-reusableEmbeddings נשמרים עם ה-embedding הקיים, בלי קריאה ל-API.
+// chunks שהאינדקס שלהם ב-skipIndices כבר נכתבו בריצה קודמת של אותה גרסה (job שחודש אחרי restart).
+// onProgress(done, total) נקרא אחרי כל התקדמות; onChunkError(index, error) על כל chunk שנכשל.
+// options.embedding - מודל ה-embedding של הקורס (נשמר על כל chunk)
+async function embedAndStoreChunks(chunks, metadata, version, reusableEmbeddings = new Map(), options = {}) {
+  const { skipIndices = new Set(), onProgress = null, onChunkError = null, embedding: embeddingSpec = DEFAULT_EMBEDDING } = options;
+  const writtenIds = [];
+  let newCount = 0;
+  let unchangedCount = 0;
+  let doneCount = skipIndices.size;
+
+  const reportProgress = async () => {
+    if (!onProgress) return;
+    try {
+      await onProgress(doneCount, chunks.length);
+    } catch (e) {
+      console.warn("[RAG] onProgress callback failed:", e?.message || e);
+    }
+  };
+
+  const buildChunkDoc = (chunk, i, embedding) => ({
+    text: chunk.text,
+    embedding: embedding,
+    chunk_index: i,
+    chunk_hash: chunk.hash,
+    page: chunk.page ?? null,
+    page_end: chunk.page_end ?? null,
+    heading: chunk.heading || null,
+    section_path: chunk.section_path || [],
+    page_unit: chunk.page ? metadata.page_unit || "page" : null, // "page" (PDF) / "slide" (PPTX)
+    source: metadata.source || "unknown",
+    course_name: metadata.course_name || "statistics",
+    uploaded_by: metadata.uploaded_by || "",
+    uploaded_at: metadata.uploaded_at || new Date().toISOString(),
+    version: version,
+    embedding_model: embeddingSpec.model,
+    embedding_version: embeddingVersion(embeddingSpec),
+    metadata: {
+      ...metadata,
+      total_chunks: chunks.length,
+    },
+  });
+
+  // כתיבה של קבוצת chunks בקריאה אחת ל-vector store (עם retry). ה-ids נקבעים מראש, כך ש-retry לא יוצר כפילויות.
+  const writeGroup = async (items) => {
+    const records = items.map(({ chunk, i, embedding }) => ({ id: randomUUID(), ...buildChunkDoc(chunk, i, embedding) }));
+    return withRetry(() => vectorStore.upsert(records), `Vector store write (${items.length} chunks)`);
+  };
+
+  const pending = chunks
+    .map((chunk, i) => ({ chunk, i }))
+    .filter(({ i }) => !skipIndices.has(i));
+
+  // chunks שלא השתנו - embedding קיים, רק כתיבה
+  const unchanged = pending
+    .filter(({ chunk }) => reusableEmbeddings.has(chunk.hash))
+    .map((item) => ({ ...item, embedding: reusableEmbeddings.get(item.chunk.hash) }));
+  for (let start = 0; start < unchanged.length; start += CHUNK_WRITE_BATCH_SIZE) {
+    const group = unchanged.slice(start, start + CHUNK_WRITE_BATCH_SIZE);
+    try {
+      writtenIds.push(...(await writeGroup(group)));
+      unchangedCount += group.length;
+    } catch (writeError) {
+      console.error(`[RAG] Failed to store ${group.length} unchanged chunks:`, writeError);
+      if (onChunkError) group.forEach(({ i }) => onChunkError(i, writeError));
+    }
+    doneCount += group.length;
+    await reportProgress();
+  }
+
+  // chunks חדשים - בקשת embeddings אחת לכל קבוצה, ו-WriteBatch אחד לכל קבוצה
+  const changed = pending.filter(({ chunk }) => !reusableEmbeddings.has(chunk.hash));
+  const groups = groupForEmbedding(changed);
+  let embeddedCount = 0;
+
+  for (const group of groups) {
+    try {
+      const embeddings = await withRetry(
+        () => createEmbeddings(group.map(({ chunk }) => chunk.text), embeddingSpec),
+        `Embeddings batch (${group.length} chunks)`
+      );
+      const ids = await writeGroup(group.map((item, n) => ({ ...item, embedding: embeddings[n] })));
+      writtenIds.push(...ids);
+      newCount += ids.length;
+    } catch (groupError) {
+      // הקבוצה נכשלה גם אחרי retries - ממשיכים עם הקבוצה הבאה כדי לדווח על כל הכשלונות
+      console.error(`[RAG] Error processing chunks ${group[0].i + 1}-${group[group.length - 1].i + 1}:`, groupError);
+      if (onChunkError) group.forEach(({ i }) => onChunkError(i, groupError));
+    }
+    embeddedCount += group.length;
+    doneCount += group.length;
+
+    console.log(`[RAG] Progress: ${embeddedCount}/${changed.length} changed chunks embedded (${unchangedCount} reused)`);
+    await reportProgress();
+  }
+
+  return { writtenIds, newCount, unchangedCount };
+}
+
+// העלאת מסמך ל-RAG (chunking + embeddings), אידמפוטנטית לפי hash של התוכן:
+// - מסמך זהה למקור קיים בקורס → לא נשמר שוב (status: "unchanged" / "duplicate")
+// - מקור קיים שהשתנה → גרסה חדשה שבה רק chunks שהשתנו עוברים embedding, והחלפה אטומית
+//   של active_version במסמך אחד ב-rag_sources. כשל באמצע משאיר את הגרסה הקודמת.
+// - מקור חדש → גרסה חדשה שמופעלת רק אחרי שכל ה-chunks נכתבו
+// options.version - גרסה קבועה מראש (ingestion job). chunks של אותה גרסה שכבר נכתבו לפני restart לא נכתבים שוב.
+// options.onProgress / options.onChunkError - ראו embedAndStoreChunks
+// options.chunking - { chunkSize, overlap } (ברירת מחדל 500 / 100; ההערכה ב-evalRetrieval.js משווה ערכים אחרים)
+export async function uploadDocumentToRAG(text, metadata = {}, options = {}) {
+  if (!vectorStore || !openaiEmbeddings) {
     throw new Error("RAG not initialized");
   }
 
   try {
+    const courseName = metadata.course_name || "statistics";
+    const source = metadata.source || "unknown";
+    const documentHash = contentHash(text);
+
+    // בדיקת כפילות - אותו תוכן כבר קיים בקורס (תחת אותו שם או שם אחר)
+    const registry = await getSourcesRegistry(courseName);
+    const duplicate = [...registry.values()].find(
+      (entry) => entry.content_hash === documentHash && entry.active_version && entry.active_version !== DELETED_VERSION
+    );
+    if (duplicate) {
+      const status = duplicate.source === source ? "unchanged" : "duplicate";
+      console.log(`[RAG] Upload of ${source} skipped - identical to existing source ${duplicate.source} (course: ${courseName})`);
+      return {
+        status,
+        duplicate_of: duplicate.source,
+        chunksCount: duplicate.chunk_count || 0,
+        newCount: 0,
+        unchangedCount: duplicate.chunk_count || 0,
+        removedCount: 0,
+        version: duplicate.active_version,
+      };
+    }
+
     // חלוקה לקטעים (chunks)
-    const chunks = splitTextIntoChunks(text, 500, 100); // 500 תווים, 100 overlap
+    // חלוקה לפי מבנה - עמוד, כותרת קרובה, בלי לחתוך נוסחאות וטבלאות
+    const { chunkSize = 500, overlap = 100 } = options.chunking || {}; // 500 תווים, 100 overlap
+    const chunks = splitDocumentIntoChunks(text, { chunkSize, overlap })
+      .map((chunk) => ({ ...chunk, hash: contentHash(chunk.text) }));
     console.log(`[RAG] Split text into ${chunks.length} chunks`);
 
-    let uploadedCount = 0;
+    // ה-chunks הפעילים הקיימים של המקור - מקור ל-embeddings לשימוש חוזר (רק של מודל ה-embedding הפעיל של הקורס)
+    const embedding = await getCourseEmbedding(courseName);
+    const existingChunks = await vectorStore.getChunks({ course_name: courseName, source }, { withEmbeddings: true });
+    const version = options.version || randomUUID();
+    const existingActive = existingChunks.filter((data) => isActiveChunk(data, registry) && chunkEmbeddingVersion(data) === embedding.version);
 
-    // עיבוד chunks בקבוצות קטנות כדי לחסוך זיכרון
-    const BATCH_SIZE = 3; // מעבד 3 chunks בכל פעם (הוקטן כדי לחסוך זיכרון)
-    
-    for (let batchStart = 0; batchStart < chunks.length; batchStart += BATCH_SIZE) {
-      const batchEnd = Math.min(batchStart + BATCH_SIZE, chunks.length);
-      const batch = chunks.slice(batchStart, batchEnd);
-      
-      // עיבוד כל ה-batch ברצף (לא במקביל) כדי לחסוך זיכרון
-      for (let batchIndex = 0; batchIndex < batch.length; batchIndex++) {
-        const chunk = batch[batchIndex];
-        const i = batchStart + batchIndex;
-        
-        try {
-          const embedding = await createEmbedding(chunk);
-          
-          // שמירה ב-Firestore
-          await firestoreDb.collection("rag_chunks").add({
-            text: chunk,
-            embedding: embedding,
-            chunk_index: i,
-            source: metadata.source || "unknown",
-            course_name: metadata.course_name || "statistics",
-            uploaded_by: metadata.uploaded_by || "",
-            uploaded_at: metadata.uploaded_at || new Date().toISOString(),
-            metadata: {
-              ...metadata,
-              total_chunks: chunks.length,
-            },
-          });
-
-          uploadedCount++;
-          
-          // ניקוי זיכרון - מנסה לשחרר את ה-embedding מהזיכרון
-          if (global.gc) {
-            global.gc();
-          }
-        } catch (chunkError) {
-          console.error(`[RAG] Error processing chunk ${i + 1}:`, chunkError);
-          // ממשיכים עם ה-chunk הבא
-        }
+    // chunks של הגרסה הזו שנכתבו בריצה קודמת (job שנקטע) - נשמרים רק אם התוכן באותו אינדקס זהה
+    const resumedIds = new Map(); // chunk_index -> id
+    existingChunks.forEach((data) => {
+      if (data.version === version && chunkEmbeddingVersion(data) === embedding.version &&
+        chunks[data.chunk_index]?.hash === data.chunk_hash && !resumedIds.has(data.chunk_index)) {
+        resumedIds.set(data.chunk_index, data.id);
       }
-      
-      // Log progress כל batch
-      console.log(`[RAG] Progress: ${batchEnd}/${chunks.length} chunks uploaded`);
-      
-      // המתנה בין batches כדי לא להעמיס על ה-API ולאפשר garbage collection
-      if (batchEnd < chunks.length) {
-        await new Promise(resolve => setTimeout(resolve, 200)); // 200ms delay
+    });
+    if (resumedIds.size > 0) {
+      console.log(`[RAG] Resuming version ${version} of ${source}: ${resumedIds.size}/${chunks.length} chunks already stored`);
+    }
+    const reusableEmbeddings = new Map();
+    existingActive.forEach((data) => {
+      if (Array.isArray(data.embedding)) {
+        reusableEmbeddings.set(data.chunk_hash || contentHash(data.text), data.embedding);
       }
+    });
+
+    // מקור בלי גרסה פעילה - מקבעים את ה-chunks הקיימים (אם יש) כגרסה הפעילה, כדי שהחדשים יישארו מוסתרים עד ההחלפה
+    const entry = registry.get(sourceDocId(courseName, source));
+    if (!entry?.active_version) {
+      await vectorStore.setSource(courseName, source, { active_version: LEGACY_VERSION });
+      invalidateCourseCaches(courseName);
     }
 
-    console.log(`[RAG] Uploaded ${uploadedCount} chunks to Firestore`);
-    return { chunksCount: uploadedCount };
+    const { writtenIds: newIds, newCount, unchangedCount } = await embedAndStoreChunks(
+      chunks,
+      { ...metadata, source, course_name: courseName },
+      version,
+      reusableEmbeddings,
+      { skipIndices: new Set(resumedIds.keys()), onProgress: options.onProgress, onChunkError: options.onChunkError, embedding }
+    );
+    const writtenIds = [...resumedIds.values(), ...newIds];
+
+    if (writtenIds.length < chunks.length) {
+      // גלגול לאחור - הגרסה הקודמת נשארת פעילה
+      await vectorStore.delete(writtenIds);
+      throw new Error(`Upload failed: only ${writtenIds.length}/${chunks.length} chunks were embedded; previous version kept`);
+    }
+
+    // הקורס עבר למודל embedding אחר בזמן ההעלאה - ה-chunks החדשים לא היו נמצאים בחיפוש
+    const currentEmbedding = await getCourseEmbedding(courseName);
+    if (currentEmbedding.version !== embedding.version) {
+      await vectorStore.delete(writtenIds);
+      throw new Error(`Upload failed: the course switched embedding model (${embedding.version} -> ${currentEmbedding.version}) during the upload; previous version kept`);
+    }
+
+    // ההחלפה עצמה - עדכון רשומה יחידה ב-registry
+    await vectorStore.setSource(courseName, source, {
+      active_version: version,
+      content_hash: documentHash,
+      chunk_count: writtenIds.length,
+      uploaded_by: metadata.uploaded_by || "",
+      uploaded_at: metadata.uploaded_at || new Date().toISOString(),
+    });
+    invalidateCourseCaches(courseName);
+
+    // ניקוי הגרסה הקודמת (כבר לא גלויה לחיפוש)
+    const newHashes = new Set(chunks.map((chunk) => chunk.hash));
+    const removedCount = existingActive.filter((data) => !newHashes.has(data.chunk_hash || contentHash(data.text))).length;
+    await vectorStore.delete(
+      existingChunks.filter((data) => resumedIds.get(data.chunk_index) !== data.id).map((data) => data.id)
+    );
+
+    const status = existingActive.length > 0 ? "updated" : "created";
+    const resumedCount = resumedIds.size;
+    console.log(`[RAG] Uploaded ${source} (${status}): ${newCount} new, ${unchangedCount} unchanged, ${resumedCount} resumed, ${removedCount} removed`);
+    return { status, chunksCount: writtenIds.length, newCount, unchangedCount, resumedCount, removedCount, version };
   } catch (e) {
     console.error("[RAG Upload Error]", e);
     throw e;
   }
 }
 
-// פונקציה לחלוקת טקסט לקטעים
-function splitTextIntoChunks(text, chunkSize = 500, overlap = 100) {
-  const chunks = [];
-  let start = 0;
+// רשימת המקורות של קורס עם מספר chunks פעילים ותאריך העלאה אחרון
+export async function listCourseSources(courseName) {
+  if (!vectorStore) {
+    throw new Error("RAG not initialized");
+  }
 
-  while (start < text.length) {
-    const end = Math.min(start + chunkSize, text.length);
-    let chunk = text.slice(start, end);
+  const [storedChunks, registry, embedding] = await Promise.all([
+    vectorStore.getChunks({ course_name: courseName }),
+    getSourcesRegistry(courseName),
+    getCourseEmbedding(courseName),
+  ]);
 
-    // מנסה לחתוך במשפט שלם אם אפשר
-    if (end < text.length) {
-      const lastPeriod = chunk.lastIndexOf(".");
-      const lastNewline = chunk.lastIndexOf("\n");
-      const cutPoint = Math.max(lastPeriod, lastNewline);
+  const grouped = new Map();
+  storedChunks.forEach((data) => {
+    if (!isActiveChunk(data, registry) || chunkEmbeddingVersion(data) !== embedding.version) return;
 
-      if (cutPoint > chunkSize * 0.5) {
-        chunk = chunk.slice(0, cutPoint + 1);
-        start += cutPoint + 1 - overlap;
-      } else {
-        start += chunkSize - overlap;
-      }
-    } else {
-      start = text.length;
+    const source = data.source || "unknown";
+    if (!grouped.has(source)) {
+      const entry = registry.get(sourceDocId(courseName, source));
+      grouped.set(source, {
+        source,
+        course_name: courseName,
+        chunks_count: 0,
+        uploaded_at: null,
+        uploaded_by: entry?.uploaded_by || data.uploaded_by || "",
+        version: entry?.active_version || null,
+      });
     }
+    const row = grouped.get(source);
+    row.chunks_count++;
+    if (data.uploaded_at && (!row.uploaded_at || data.uploaded_at > row.uploaded_at)) {
+      row.uploaded_at = data.uploaded_at;
+    }
+  });
 
-    chunks.push(chunk.trim());
+  return [...grouped.values()].sort((a, b) => (b.uploaded_at || "").localeCompare(a.uploaded_at || ""));
+}
+
+// ה-chunks הפעילים של מקור אחד (בלי embeddings), לפי הסדר במסמך
+export async function getSourceChunks(courseName, source) {
+  if (!vectorStore) {
+    throw new Error("RAG not initialized");
   }
 
-  return chunks.filter((chunk) => chunk.length > 0);
+  const [storedChunks, registry, embedding] = await Promise.all([
+    vectorStore.getChunks({ course_name: courseName, source }),
+    getSourcesRegistry(courseName),
+    getCourseEmbedding(courseName),
+  ]);
+
+  return storedChunks
+    .filter((data) => isActiveChunk(data, registry) && chunkEmbeddingVersion(data) === embedding.version)
+    .map((data) => ({
+      id: data.id,
+      chunk_index: data.chunk_index ?? null,
+      text: data.text || "",
+      page: data.page ?? null,
+      page_end: data.page_end ?? null,
+      page_unit: data.page_unit || null,
+      heading: data.heading || null,
+      section_path: data.section_path || [],
+      version: data.version || null,
+      embedding_version: chunkEmbeddingVersion(data),
+      uploaded_at: data.uploaded_at || null,
+      metadata: data.metadata || {},
+    }))
+    .sort((a, b) => (a.chunk_index ?? 0) - (b.chunk_index ?? 0));
+}
+
+// שאלות שבוודאות לא מכוסות ע"י אף קורס - מהן נמדד "רעש הרקע" של ה-similarity בקורפוס
+const OFF_TOPIC_CALIBRATION_QUERIES = [
+  "מה מזג האוויר מחר בתל אביב?",
+  "איך מכינים עוגת שוקולד בלי ביצים?",
+  "מי ניצח במשחק הכדורגל אתמול?",
+  "מה הבירה של אוסטרליה?",
+  "איזה סרט כדאי לראות הערב?",
+  "איך מחליפים צמיג בפנצ'ר באופניים?",
+  "What time does the post office open on Sunday?",
+  "Recommend a good hotel in Rome",
+];
+const CALIBRATION_SAMPLE_SIZE = 24;
+const CALIBRATION_QUERY_WORDS = 12;
+const CALIBRATION_MIN_THRESHOLD = 0.1;
+const CALIBRATION_MAX_THRESHOLD = 0.6;
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))))];
+}
+
+/**
+ * כיול relevance_threshold לקורס: שאלות-דמה מתוך הקורפוס (כותרות / תחילת chunk) מול שאלות שאינן קשורות לקורס.
+ * הסף המוצע נמצא באמצע בין ה-similarity הגבוה של השאלות הלא-קשורות (אחוזון 90) לבין הנמוך של שאלות הקורס (אחוזון 25),
+ * כך שהוא מותאם ל-embedding model ולקורפוס של הקורס. לא נשמר - השמירה דרך הגדרות האחזור.
+ * @param {string} courseName - שם הקורס
+ * @returns {Promise<{ suggested_threshold: number, current_threshold: number, on_topic: object, off_topic: object, sample_size: number }>}
+ */
+export async function calibrateRelevanceThreshold(courseName) {
+  if (!vectorStore || !openaiEmbeddings) {
+    throw new Error("RAG not initialized");
+  }
+
+  const [storedChunks, registry, settings, embedding] = await Promise.all([
+    vectorStore.getChunks({ course_name: courseName }, { withEmbeddings: true }),
+    getSourcesRegistry(courseName),
+    getRetrievalSettings(courseName),
+    getCourseEmbedding(courseName),
+  ]);
+  const entries = storedChunks
+    .filter((data) => isActiveChunk(data, registry) && chunkEmbeddingVersion(data) === embedding.version)
+    .map((data) => toSearchEntry(data.id, data))
+    .filter(Boolean);
+  if (entries.length < 3) {
+    const error = new Error("Not enough course materials to calibrate (at least 3 chunks are needed)");
+    error.status = 400;
+    throw error;
+  }
+
+  // דגימה בפיזור אחיד על הקורפוס; שאלת-דמה = הכותרת של ה-chunk, או מילים מאמצע הטקסט שלו
+  const step = Math.max(1, Math.floor(entries.length / CALIBRATION_SAMPLE_SIZE));
+  const onTopicQueries = [];
+  for (let i = 0; i < entries.length && onTopicQueries.length < CALIBRATION_SAMPLE_SIZE; i += step) {
+    const entry = entries[i];
+    const words = entry.text.split(/\s+/).filter(Boolean);
+    const start = Math.max(0, Math.floor(words.length / 2) - CALIBRATION_QUERY_WORDS / 2);
+    onTopicQueries.push(entry.heading || words.slice(start, start + CALIBRATION_QUERY_WORDS).join(" "));
+  }
+
+  const embeddings = await withRetry(() => createEmbeddings([...onTopicQueries, ...OFF_TOPIC_CALIBRATION_QUERIES], embedding), "Calibration embeddings");
+  const bestSimilarity = (embedding) => {
+    const { matches } = searchEntries(entries, embedding, { topK: 1 });
+    return matches[0]?.similarity ?? 0;
+  };
+  const onTopic = embeddings.slice(0, onTopicQueries.length).map(bestSimilarity);
+  const offTopic = embeddings.slice(onTopicQueries.length).map(bestSimilarity);
+
+  const offTopicHigh = percentile(offTopic, 0.9);
+  const onTopicLow = percentile(onTopic, 0.25);
+  const midpoint = onTopicLow > offTopicHigh ? (offTopicHigh + onTopicLow) / 2 : offTopicHigh + 0.02;
+  const suggested = Math.round(Math.min(Math.max(midpoint, CALIBRATION_MIN_THRESHOLD), CALIBRATION_MAX_THRESHOLD) * 100) / 100;
+
+  console.log(`[RAG] Calibrated relevance threshold for course ${courseName}: ${suggested} (on-topic p25 ${onTopicLow.toFixed(3)}, off-topic p90 ${offTopicHigh.toFixed(3)})`);
+  return {
+    suggested_threshold: suggested,
+    current_threshold: settings.relevance_threshold,
+    on_topic: { p25: onTopicLow, median: percentile(onTopic, 0.5) },
+    off_topic: { p90: offTopicHigh, max: Math.max(...offTopic) },
+    sample_size: onTopicQueries.length,
+  };
+}
+
+// מחיקת מקור: קודם מסתירים אותו מהחיפוש (active_version שלא קיים), אחר כך מוחקים chunks ואת ה-registry
+export async function deleteSourceFromRAG(courseName, source) {
+  if (!vectorStore) {
+    throw new Error("RAG not initialized");
+  }
+
+  await vectorStore.setSource(courseName, source, { active_version: DELETED_VERSION });
+  invalidateCourseCaches(courseName);
+
+  const deletedCount = await vectorStore.deleteBySource(courseName, source);
+  await vectorStore.deleteSource(courseName, source);
+  invalidateCourseCaches(courseName);
+
+  console.log(`[RAG] Deleted source ${source} (course: ${courseName}): ${deletedCount} chunks`);
+  return { deletedCount };
+}
+
+// ---- מחיקת נתוני משתמש (privacy.js) ----
+
+// המקורות שהמשתמש העלה, בכל הקורסים (לפי uploaded_by ב-registry)
+export async function listSourcesUploadedBy(email) {
+  if (!vectorStore || !email) return [];
+  const registry = await vectorStore.getSources(null);
+  return [...registry.values()]
+    .filter((entry) => entry.uploaded_by === email)
+    .map(({ course_name, source }) => ({ course_name, source }));
+}
+
+// הסרת המייל של המעלה ממקור - ב-registry ובכל ה-chunks שלו (כולל עותקים במודלים אחרים). התוכן והוקטורים לא משתנים.
+export async function anonymizeSourceUploader(courseName, source) {
+  if (!vectorStore) {
+    throw new Error("RAG not initialized");
+  }
+
+  await vectorStore.setSource(courseName, source, { uploaded_by: "" });
+  const chunks = (await vectorStore.getChunks({ course_name: courseName, source }, { withEmbeddings: true }))
+    .filter((data) => data.uploaded_by);
+  for (let start = 0; start < chunks.length; start += CHUNK_WRITE_BATCH_SIZE) {
+    const records = chunks.slice(start, start + CHUNK_WRITE_BATCH_SIZE).map((data) => ({ ...data, uploaded_by: "" }));
+    await withRetry(() => vectorStore.upsert(records), `Vector store write (${records.length} chunks)`);
+  }
+  invalidateCourseCaches(courseName);
+
+  console.log(`[RAG] Removed uploader from source ${source} (course: ${courseName}): ${chunks.length} chunks`);
+  return { updatedChunks: chunks.length };
+}
+
+// ---- מעבר מודל embedding (embeddingJobs.js / reembed.js) ----
+// ה-chunks במודל החדש נכתבים לצד הקיימים ("עותקים"), עם embedding_version של המודל החדש. החיפוש ממשיך להשתמש
+// במודל הפעיל של הקורס עד ההחלפה - עדכון יחיד של course_settings/{course}.embedding. הוקטורים הישנים נמחקים
+// רק בבקשה מפורשת (deleteInactiveEmbeddings), כך שחזרה למודל הקודם לא דורשת embedding מחדש.
+
+// זהות התוכן של chunk - משותפת לכל העותקים שלו במודלים השונים
+function chunkContentKey(data) {
+  return `${data.source || "unknown"}\n${data.version || LEGACY_VERSION}\n${data.chunk_index ?? ""}\n${data.chunk_hash || contentHash(data.text)}`;
+}
+
+// id קבוע לעותק של chunk במודל מסוים - הרצה חוזרת (או שתי הרצות במקביל) כותבת על אותו מסמך ולא יוצרת כפילות
+function twinChunkId(sourceId, version) {
+  return createHash("sha256").update(`${sourceId}\n${version}`).digest("hex").slice(0, 40);
+}
+
+/**
+ * embedding מחדש של ה-chunks הפעילים של קורס במודל target. chunk שכבר יש לו עותק במודל הזה מדולג,
+ * כך שהרצה שנקטעה ממשיכה מאותה נקודה. העותקים לא משתתפים בחיפוש עד switchCourseEmbedding.
+ * @param {string} courseName - שם הקורס
+ * @param {{ model: string, dimensions?: number|null }} target - המודל החדש
+ * @param {object} options - { onProgress(done, total) }
+ * @returns {Promise<{ total: number, existing: number, embedded: number, failed: number }>}
+ */
+export async function reembedCourseChunks(courseName, target, { onProgress = null } = {}) {
+  if (!vectorStore || !openaiEmbeddings) {
+    throw new Error("RAG not initialized");
+  }
+
+  const targetVersion = embeddingVersion(target);
+  const [storedChunks, registry] = await Promise.all([
+    vectorStore.getChunks({ course_name: courseName }),
+    vectorStore.getSources(courseName), // בלי cache - מקור שהוחלף בינתיים לא צריך עותק
+  ]);
+  const active = storedChunks.filter((data) => isActiveChunk(data, registry));
+
+  const done = new Set(active.filter((data) => chunkEmbeddingVersion(data) === targetVersion).map(chunkContentKey));
+  const pending = new Map(); // contentKey -> chunk (עותק אחד לכל תוכן, מכל מודל שהוא)
+  active.forEach((data) => {
+    const key = chunkContentKey(data);
+    if (!done.has(key) && !pending.has(key)) pending.set(key, data);
+  });
+
+  const total = done.size + pending.size;
+  const existing = done.size;
+  let embedded = 0;
+  let failed = 0;
+  console.log(`[RAG] Re-embedding course ${courseName} with ${targetVersion}: ${pending.size} chunks to embed, ${existing}/${total} already done`);
+
+  const reportProgress = async () => {
+    if (!onProgress) return;
+    try {
+      await onProgress(existing + embedded + failed, total);
+    } catch (e) {
+      console.warn("[RAG] onProgress callback failed:", e?.message || e);
+    }
+  };
+  await reportProgress();
+
+  for (const group of groupForEmbedding([...pending.values()].map((data) => ({ chunk: data })))) {
+    try {
+      const embeddings = await withRetry(
+        () => createEmbeddings(group.map(({ chunk }) => chunk.text), target),
+        `Re-embedding batch (${group.length} chunks)`
+      );
+      const records = group.map(({ chunk: { id, ...data } }, n) => ({
+        ...data,
+        id: twinChunkId(id, targetVersion),
+        embedding: embeddings[n],
+        embedding_model: target.model,
+        embedding_version: targetVersion,
+      }));
+      await withRetry(() => vectorStore.upsert(records), `Vector store write (${records.length} chunks)`);
+      embedded += group.length;
+    } catch (groupError) {
+      // ממשיכים לקבוצה הבאה - הרצה חוזרת תשלים את מה שנכשל
+      console.error(`[RAG] Re-embedding of ${group.length} chunks failed:`, groupError?.message || groupError);
+      failed += group.length;
+    }
+    await reportProgress();
+  }
+
+  // העותקים נכנסים לאינדקס בזיכרון כבר עכשיו, כדי שאחרי ההחלפה לא יהיה רגע בלי וקטורים תואמים
+  if (embedded > 0) invalidateCourseCaches(courseName);
+  console.log(`[RAG] Re-embedding course ${courseName} with ${targetVersion}: ${embedded} embedded, ${existing} already done, ${failed} failed`);
+  return { total, existing, embedded, failed };
+}
+
+/**
+ * ההחלפה האטומית: מודל ה-embedding הפעיל של הקורס מתעדכן במסמך אחד (course_settings), ומאותו רגע
+ * שאילתות עוברות embedding במודל החדש ומושוות לעותקים שלו.
+ * @param {string} courseName - שם הקורס
+ * @param {{ model: string, dimensions?: number|null }} target - המודל החדש
+ * @param {string} updatedBy - מי ביצע את ההחלפה
+ * @returns {Promise<{ previous_version: string, embedding_version: string }>}
+ */
+export async function switchCourseEmbedding(courseName, target, updatedBy = "") {
+  const previous = await getCourseEmbedding(courseName);
+  await updateCourseSettings(courseName, { embedding: { model: target.model, dimensions: target.dimensions || null } }, updatedBy);
+  invalidateCourseCaches(courseName);
+  const version = embeddingVersion(target);
+  seenEmbeddingVersions.set(courseName, version);
+  console.log(`[RAG] Course ${courseName} embedding switched ${previous.version} -> ${version}`);
+  return { previous_version: previous.version, embedding_version: version };
+}
+
+/**
+ * מצב ה-embeddings של קורס: המודל הפעיל ומספר ה-chunks הפעילים בכל גרסת embedding
+ * @param {string} courseName - שם הקורס
+ * @returns {Promise<{ embedding: object, versions: Array<{ embedding_version: string, embedding_model: string, chunks: number, active: boolean }> }>}
+ */
+export async function getCourseEmbeddingStatus(courseName) {
+  if (!vectorStore) {
+    throw new Error("RAG not initialized");
+  }
+
+  const [storedChunks, registry, embedding] = await Promise.all([
+    vectorStore.getChunks({ course_name: courseName }),
+    getSourcesRegistry(courseName),
+    getCourseEmbedding(courseName),
+  ]);
+  const versions = new Map();
+  storedChunks.forEach((data) => {
+    if (!isActiveChunk(data, registry)) return;
+    const version = chunkEmbeddingVersion(data);
+    if (!versions.has(version)) {
+      versions.set(version, { embedding_version: version, embedding_model: data.embedding_model || version.split("@")[0], chunks: 0, active: version === embedding.version });
+    }
+    versions.get(version).chunks++;
+  });
+  return { embedding, versions: [...versions.values()].sort((a, b) => b.chunks - a.chunks) };
+}
+
+/**
+ * מחיקת הוקטורים של כל המודלים שאינם הפעיל (אחרי שההחלפה נבדקה)
+ * @param {string} courseName - שם הקורס
+ * @returns {Promise<{ deletedCount: number, embedding_version: string }>}
+ */
+export async function deleteInactiveEmbeddings(courseName) {
+  if (!vectorStore) {
+    throw new Error("RAG not initialized");
+  }
+
+  const embedding = await getCourseEmbedding(courseName);
+  const storedChunks = await vectorStore.getChunks({ course_name: courseName });
+  const ids = storedChunks.filter((data) => chunkEmbeddingVersion(data) !== embedding.version).map((data) => data.id);
+  if (ids.length > 0) {
+    await vectorStore.delete(ids);
+    invalidateCourseCaches(courseName);
+  }
+  console.log(`[RAG] Deleted ${ids.length} chunks of inactive embedding models (course: ${courseName}, active: ${embedding.version})`);
+  return { deletedCount: ids.length, embedding_version: embedding.version };
+}
+
+// תיאור מיקום של chunk לציטוט: "stats.pdf, פרק 3 › 3.2 טבלת ערכים, עמ' 42"
+export function formatChunkLocation(location) {
+  if (!location?.source) return null;
+  const parts = [location.source];
+  if (location.section_path?.length > 0) parts.push(location.section_path.join(" › "));
+  if (location.page) {
+    const unit = location.page_unit === "slide" ? "שקף" : "עמ'";
+    parts.push(location.page_end && location.page_end !== location.page
+      ? `${unit} ${location.page}-${location.page_end}`
+      : `${unit} ${location.page}`);
+  }
+  return parts.join(", ");
 }
 
 // שאילתה משולבת - מחזירה context מוכן ל-LLM
 export async function getRAGContext(queryText, topK = 3, courseName = null, maxDocs = 200, timeoutMs = null, abortSignal = null) {
   const ragResult = await queryRAG(queryText, topK, courseName, maxDocs, timeoutMs, abortSignal);
-  const { chunks, sources, _metrics } = ragResult;
+  const { chunks, locations = [], citations = [], sources, coverage = null, related_topics = [], _metrics } = ragResult;
 
   if (chunks.length === 0) {
     return {
       context: null,
       sources: [],
+      citations: [],
       chunksCount: 0,
+      coverage,
+      related_topics,
       _metrics
     };
   }
 
-  // בניית context string
+  // בניית context string - כל chunk עם המספר של ה-citation שלו ([n]) ותווית המיקום שלו עצמו
   const context = chunks
     .map((chunk, i) => {
-      const source = sources[i];
-      return `[מקור ${i + 1}${source.source ? `: ${source.source}` : ""}]\n${chunk}`;
+      const label = formatChunkLocation(locations[i]);
+      return `[${citations[i]?.n ?? i + 1}]${label ? ` ${label}` : ""}\n${chunk}`;
     })
     .join("\n\n---\n\n");
 
   return {
     context,
     sources,
+    citations,
     chunksCount: chunks.length,
+    coverage,
+    related_topics,
     _metrics
   };
 }
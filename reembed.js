@@ -0,0 +1,72 @@
+// reembed.js - CLI להעברת הקורפוס של קורס למודל embedding אחר (אותו job כמו POST /api/course-materials/:course/embedding/reembed)
+//
+//   node reembed.js --course statistics --model text-embedding-3-large [--dimensions 1024] [--no-switch]
+//   node reembed.js --course statistics --status
+//   node reembed.js --course statistics --cleanup     # מחיקת הוקטורים של המודל הקודם, אחרי שההחלפה נבדקה
+//
+// הרצה חוזרת של אותה פקודה ממשיכה job שנקטע. משתני סביבה: FIREBASE_*, OPENAI_API_KEY, VECTOR_STORE, VECTOR_STORE_PATH.
+import { db } from "./firebaseAdmin.js";
+import { initRAG, getCourseEmbeddingStatus, deleteInactiveEmbeddings } from "./rag.js";
+import { initCourseSettings } from "./courseSettings.js";
+import { initEmbeddingJobs, createEmbeddingJob, runEmbeddingJob, JOB_RUNNERS } from "./embeddingJobs.js";
+import { JOB_STATUS } from "./ingestionJobs.js";
+
+const USAGE = "Usage: node reembed.js --course <name> (--model <model> [--dimensions <n>] [--no-switch] | --status | --cleanup)";
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) continue;
+    const name = arg.slice(2);
+    if (["status", "cleanup", "no-switch"].includes(name)) {
+      args[name] = true;
+    } else {
+      args[name] = argv[++i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.course || (!args.model && !args.status && !args.cleanup)) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const { OPENAI_API_KEY, VECTOR_STORE = "firestore", VECTOR_STORE_PATH = "./data/vector-store.json" } = process.env;
+  if (!initRAG(OPENAI_API_KEY, db, { vectorStore: VECTOR_STORE, vectorStorePath: VECTOR_STORE_PATH })) {
+    console.error("RAG could not be initialized - check OPENAI_API_KEY and VECTOR_STORE");
+    return 1;
+  }
+  initCourseSettings(db);
+  initEmbeddingJobs(db);
+
+  if (args.status) {
+    console.log(JSON.stringify(await getCourseEmbeddingStatus(args.course), null, 2));
+    return 0;
+  }
+  if (args.cleanup) {
+    console.log(JSON.stringify(await deleteInactiveEmbeddings(args.course), null, 2));
+    return 0;
+  }
+
+  const { job, resumed } = await createEmbeddingJob(
+    args.course,
+    { model: args.model, dimensions: args.dimensions },
+    { requestedBy: "reembed-cli", switchWhenDone: !args["no-switch"], runner: JOB_RUNNERS.CLI }
+  );
+  console.log(`${resumed ? "Resuming" : "Started"} job ${job.job_id}: ${job.previous_version} -> ${job.embedding_version}`);
+
+  const finished = await runEmbeddingJob(job.job_id);
+  console.log(JSON.stringify(finished, null, 2));
+  return finished?.status === JOB_STATUS.COMPLETED ? 0 : 1;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((e) => {
+    console.error(e?.message || e);
+    process.exit(1);
+  });
@@ -0,0 +1,188 @@
+// rerank.js - שלב אחרי האחזור: הסרת כפילויות, re-ranking אופציונלי ו-MMR לגיוון ה-context
+//
+// האחזור מחזיר מועמדים רבים (over-fetch); כאן נבחרים מתוכם ה-topK הסופיים, כך שה-context לא יכיל
+// שלושה chunks חופפים מאותו עמוד (ה-chunking משאיר 100 תווים חופפים בין chunks עוקבים).
+import { tokenize } from "./keywordIndex.js";
+
+export const RERANKER_TYPES = ["none", "llm", "cross_encoder"];
+
+const OVERLAP_PROBE_LENGTH = 60; // תחילת chunk שמופיעה בתוך chunk אחר מאותו מקור = חפיפה
+const RERANK_PASSAGE_MAX_CHARS = 700;
+const RERANK_MAX_MS = 3000; // גם בלי timeout ל-RAG, re-ranker לא מחכה יותר מזה
+
+function tokenSet(text) {
+  return new Set(tokenize(text));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const token of a) if (b.has(token)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+// chunks עוקבים מאותו מקור - סוף של אחד הוא תחילת השני
+function overlaps(a, b) {
+  if (a.source !== b.source) return false;
+  const probeA = a.text.slice(0, OVERLAP_PROBE_LENGTH);
+  const probeB = b.text.slice(0, OVERLAP_PROBE_LENGTH);
+  return (probeB.length === OVERLAP_PROBE_LENGTH && a.text.includes(probeB)) ||
+    (probeA.length === OVERLAP_PROBE_LENGTH && b.text.includes(probeA));
+}
+
+/**
+ * הסרת כפילויות: מועמד נזרק אם הוא כמעט זהה (Jaccard על המילים ≥ threshold) או חופף
+ * למועמד שכבר נשמר. המועמדים צריכים להיות ממוינים לפי רלוונטיות - הראשון מבין השניים נשאר.
+ * @param {Array<object>} candidates - { text, source, ... }
+ * @param {number} threshold - סף Jaccard לכפילות (1 = רק טקסט זהה)
+ * @returns {{ kept: Array<object>, removedCount: number }}
+ */
+export function dedupeCandidates(candidates, threshold = 0.8) {
+  const kept = [];
+  const keptTokens = [];
+  for (const candidate of candidates) {
+    const tokens = tokenSet(candidate.text);
+    const duplicate = kept.some((other, n) => overlaps(candidate, other) || jaccard(tokens, keptTokens[n]) >= threshold);
+    if (duplicate) continue;
+    kept.push(candidate);
+    keptTokens.push(tokens);
+  }
+  return { kept, removedCount: candidates.length - kept.length };
+}
+
+function cosine(a, b) {
+  if (!a.embedding || !b.embedding || a.embedding.length !== b.embedding.length || !a.norm || !b.norm) return null;
+  let dot = 0;
+  for (let i = 0; i < a.embedding.length; i++) dot += a.embedding[i] * b.embedding[i];
+  return dot / (a.norm * b.norm);
+}
+
+/**
+ * Maximal Marginal Relevance - בחירה הדרגתית של המועמד שממקסם
+ * lambda · relevance − (1 − lambda) · (הדמיון הגבוה ביותר למועמד שכבר נבחר).
+ * הדמיון בין chunks לפי embeddings (או Jaccard על המילים אם אין embedding).
+ * @param {Array<object>} candidates - עם relevance (0..1)
+ * @param {number} topK - מספר התוצאות
+ * @param {number} lambda - 1 = רלוונטיות בלבד, 0 = גיוון בלבד
+ * @returns {Array<object>} - המועמדים שנבחרו, לפי סדר הבחירה
+ */
+export function selectWithMMR(candidates, topK, lambda = 0.7) {
+  const remaining = candidates.map((candidate) => ({ candidate, tokens: null, maxSimilarity: 0 }));
+  const selected = [];
+
+  while (selected.length < topK && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+    remaining.forEach((item, n) => {
+      const value = lambda * item.candidate.relevance - (1 - lambda) * item.maxSimilarity;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = n;
+      }
+    });
+
+    const [chosen] = remaining.splice(bestIndex, 1);
+    selected.push(chosen.candidate);
+    for (const item of remaining) {
+      let similarity = cosine(item.candidate, chosen.candidate);
+      if (similarity === null) {
+        item.tokens = item.tokens || tokenSet(item.candidate.text);
+        chosen.tokens = chosen.tokens || tokenSet(chosen.candidate.text);
+        similarity = jaccard(item.tokens, chosen.tokens);
+      }
+      item.maxSimilarity = Math.max(item.maxSimilarity, similarity);
+    }
+  }
+
+  return selected;
+}
+
+// LLM כ-re-ranker: ציון 0-10 לכל קטע בבקשה אחת
+async function llmScores(queryText, candidates, { openai, model, signal }) {
+  const passages = candidates
+    .map((candidate, n) => `[${n}] ${candidate.text.slice(0, RERANK_PASSAGE_MAX_CHARS)}`)
+    .join("\n\n");
+  const completion = await openai.chat.completions.create(
+    {
+      model,
+      temperature: 0,
+      response_format: { type: "json_object" },
+      messages: [
+        {
+          role: "system",
+          content: "You rank course-material passages by how well they help answer a student's question. " +
+            'Return JSON {"scores": [..]} with one number from 0 (irrelevant) to 10 (directly answers) per passage, in the given order.',
+        },
+        { role: "user", content: `Question: ${queryText}\n\nPassages:\n${passages}` },
+      ],
+    },
+    { signal }
+  );
+  const scores = JSON.parse(completion.choices?.[0]?.message?.content || "{}").scores;
+  if (!Array.isArray(scores) || scores.length !== candidates.length) {
+    throw new Error(`LLM re-ranker returned ${Array.isArray(scores) ? scores.length : "no"} scores for ${candidates.length} passages`);
+  }
+  return scores.map((score) => Math.min(Math.max(Number(score) || 0, 0), 10) / 10);
+}
+
+// cross-encoder חיצוני (text-embeddings-inference / Cohere / Jina - POST { query, texts / documents })
+async function crossEncoderScores(queryText, candidates, { url, signal }) {
+  const texts = candidates.map((candidate) => candidate.text.slice(0, RERANK_PASSAGE_MAX_CHARS));
+  const response = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query: queryText, texts, documents: texts, truncate: true }),
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(`Cross-encoder responded ${response.status}`);
+  }
+  const body = await response.json();
+  const results = Array.isArray(body) ? body : body.results || [];
+  const raw = new Array(candidates.length).fill(null);
+  results.forEach((item) => {
+    raw[item.index] = item.score ?? item.relevance_score ?? null;
+  });
+  if (raw.some((score) => typeof score !== "number")) {
+    throw new Error("Cross-encoder response is missing scores");
+  }
+  // ציונים של cross-encoder הם logits - מנורמלים ל-0..1 בתוך השאילתה
+  const min = Math.min(...raw);
+  const max = Math.max(...raw);
+  return raw.map((score) => (max > min ? (score - min) / (max - min) : 1));
+}
+
+/**
+ * ציון מחדש של המועמדים ע"י re-ranker. כשל או חריגה מהזמן - מחזיר null והסדר הקיים נשמר.
+ * @param {string} queryText - השאילתה
+ * @param {Array<object>} candidates - המועמדים
+ * @param {object} options - { type: "llm" | "cross_encoder", openai, model, url, timeoutMs, abortSignal }
+ * @returns {Promise<number[]|null>} - ציון 0..1 לכל מועמד (באותו סדר)
+ */
+export async function rerankCandidates(queryText, candidates, options = {}) {
+  const { type, timeoutMs, abortSignal } = options;
+  const controller = new AbortController();
+  const onAbort = () => controller.abort();
+  abortSignal?.addEventListener("abort", onAbort);
+  const timer = setTimeout(onAbort, Math.min(timeoutMs ?? RERANK_MAX_MS, RERANK_MAX_MS));
+
+  try {
+    if (type === "llm") {
+      if (!options.openai) throw new Error("LLM re-ranker requires an OpenAI client");
+      return await llmScores(queryText, candidates, { openai: options.openai, model: options.model, signal: controller.signal });
+    }
+    if (type === "cross_encoder") {
+      if (!options.url) throw new Error("Cross-encoder re-ranker requires RERANKER_URL");
+      return await crossEncoderScores(queryText, candidates, { url: options.url, signal: controller.signal });
+    }
+    return null;
+  } catch (e) {
+    if (!abortSignal?.aborted) {
+      console.warn(`[RAG] Re-ranker (${type}) failed - keeping retrieval order:`, controller.signal.aborted ? "timeout" : e?.message || e);
+    }
+    return null;
+  } finally {
+    clearTimeout(timer);
+    abortSignal?.removeEventListener("abort", onAbort);
+  }
+}
@@ -0,0 +1,232 @@
+// roles.js - Role model (student / lecturer / admin) on top of user_profiles + Firebase custom claims
+import admin from "firebase-admin";
+import { getCache, setCache, deleteCache, getUserRoleKey, DEFAULT_TTL } from "./cache.js";
+import { splitCsvLower } from "./auth.js";
+import { getCourseLecturers } from "./courseSettings.js";
+
+export const ROLES = {
+  STUDENT: "student",
+  LECTURER: "lecturer",
+  ADMIN: "admin",
+};
+
+const VALID_ROLES = Object.values(ROLES);
+const PROFILES_COLLECTION = "user_profiles";
+
+let firestoreDb = null;
+let bootstrapAdmins = [];
+
+/**
+ * אתחול מודל התפקידים
+ * @param {Firestore} firestoreInstance - מופע Firestore
+ * @param {object} options
+ * @param {string} options.adminEmails - רשימת מיילים (CSV) שתמיד מקבלים admin - מאפשר להגדיר את האדמין הראשון
+ */
+export function initRoles(firestoreInstance, options = {}) {
+  firestoreDb = firestoreInstance;
+  bootstrapAdmins = splitCsvLower(options.adminEmails);
+  if (firestoreDb) {
+    console.log(`[Roles] Initialized with Firestore. Bootstrap admins: ${bootstrapAdmins.length}`);
+    return true;
+  } else {
+    console.warn("[Roles] Firestore not available - every user will be treated as student");
+    return false;
+  }
+}
+
+export function isValidRole(role) {
+  return VALID_ROLES.includes(role);
+}
+
+/**
+ * קביעת התפקיד של משתמש
+ * סדר עדיפויות: ADMIN_EMAILS → שדה role ב-user_profiles → custom claim "role" ב-token → student.
+ * הפרופיל ב-Firestore קודם ל-claim כי ביטול הרשאה שם נכנס לתוקף מיד (claim נשאר ב-token עד שעה).
+ * @param {string} email - מייל המשתמש
+ * @param {object|null} claims - ה-ID token המפוענח (req.authUser), אם יש
+ * @returns {Promise<string>} - אחד מ-ROLES
+ */
+export async function getUserRole(email, claims = null) {
+  const normalizedEmail = (email || "").toLowerCase().trim();
+  if (!normalizedEmail) return ROLES.STUDENT;
+
+  if (bootstrapAdmins.includes(normalizedEmail)) return ROLES.ADMIN;
+
+  const cacheKey = getUserRoleKey(normalizedEmail);
+  const cached = getCache(cacheKey);
+  if (cached) return cached;
+
+  let role = null;
+  if (firestoreDb) {
+    try {
+      const snap = await firestoreDb.collection(PROFILES_COLLECTION).doc(normalizedEmail).get();
+      const profileRole = snap.exists ? snap.data()?.role : null;
+      if (isValidRole(profileRole)) role = profileRole;
+    } catch (e) {
+      console.warn("[Roles] getUserRole failed:", e?.message || e);
+      if (e.code === 8 || e.message?.includes("Quota exceeded") || e.message?.includes("RESOURCE_EXHAUSTED")) {
+        console.warn("[Roles] Firestore quota exceeded - falling back to token claims");
+      }
+    }
+  }
+
+  if (!role && isValidRole(claims?.role)) role = claims.role;
+  if (!role) role = ROLES.STUDENT;
+
+  setCache(cacheKey, role, DEFAULT_TTL.userRole);
+  return role;
+}
+
+/**
+ * הענקה / שינוי של תפקיד - נשמר ב-user_profiles וגם כ-custom claim (אם המשתמש קיים ב-Firebase Auth)
+ * @param {string} email - מייל משתמש היעד
+ * @param {string} role - התפקיד החדש
+ * @param {string} grantedBy - מייל האדמין שביצע את השינוי
+ * @returns {Promise<object>} - { email, role, claimsUpdated }
+ */
+export async function setUserRole(email, role, grantedBy = "") {
+  if (!firestoreDb) {
+    throw new Error("Roles not initialized");
+  }
+  if (!isValidRole(role)) {
+    throw new Error(`Invalid role: ${role}`);
+  }
+
+  const normalizedEmail = (email || "").toLowerCase().trim();
+  await firestoreDb.collection(PROFILES_COLLECTION).doc(normalizedEmail).set(
+    {
+      email: normalizedEmail,
+      role,
+      role_updated_at: admin.firestore.FieldValue.serverTimestamp(),
+      role_updated_by: grantedBy,
+    },
+    { merge: true }
+  );
+
+  // custom claim - כדי שגם ה-frontend יוכל לקרוא את התפקיד מה-token
+  let claimsUpdated = false;
+  try {
+    const user = await admin.auth().getUserByEmail(normalizedEmail);
+    await admin.auth().setCustomUserClaims(user.uid, { ...(user.customClaims || {}), role });
+    claimsUpdated = true;
+  } catch (e) {
+    if (e?.code !== "auth/user-not-found") {
+      console.warn("[Roles] setCustomUserClaims failed:", e?.message || e);
+    }
+  }
+
+  deleteCache(getUserRoleKey(normalizedEmail));
+  console.log(`[Roles] ${grantedBy || "system"} set role=${role} for ${normalizedEmail.substring(0, 10)}... (claims: ${claimsUpdated})`);
+  return { email: normalizedEmail, role, claimsUpdated };
+}
+
+/**
+ * הסרת התפקיד מה-custom claims של המשתמש (במחיקת נתונים - בלי הפרופיל, getUserRole נופל ל-claim)
+ * גם ה-refresh tokens מבוטלים, כך שה-ID token הנוכחי (שעדיין נושא את ה-claim) לא מתחדש - הוא תקף עד שעה.
+ * @param {string} email - מייל המשתמש
+ * @returns {Promise<boolean>} - true אם היה claim והוא הוסר; false אם אין משתמש ב-Firebase Auth או שאין לו claim
+ */
+export async function revokeRoleClaim(email) {
+  const normalizedEmail = (email || "").toLowerCase().trim();
+  let user;
+  try {
+    user = await admin.auth().getUserByEmail(normalizedEmail);
+  } catch (e) {
+    if (e?.code === "auth/user-not-found") return false;
+    throw e;
+  }
+
+  deleteCache(getUserRoleKey(normalizedEmail));
+  const { role, ...otherClaims } = user.customClaims || {};
+  if (role === undefined) return false;
+
+  await admin.auth().setCustomUserClaims(user.uid, otherClaims);
+  await admin.auth().revokeRefreshTokens(user.uid);
+  console.log(`[Roles] Revoked role claim (${role}) of ${normalizedEmail.substring(0, 10)}...`);
+  return true;
+}
+
+/**
+ * רשימת המשתמשים בעלי תפקיד מסוים (לפי user_profiles)
+ * @param {string} role - תפקיד לסינון
+ * @returns {Promise<Array>} - [{ email, role, role_updated_by }]
+ */
+export async function listUsersByRole(role) {
+  if (!firestoreDb) return [];
+  const snapshot = await firestoreDb.collection(PROFILES_COLLECTION).where("role", "==", role).get();
+  return snapshot.docs.map((doc) => {
+    const data = doc.data();
+    return {
+      email: data.email || doc.id,
+      role: data.role,
+      role_updated_by: data.role_updated_by || null,
+    };
+  });
+}
+
+/**
+ * Middleware factory - טוען את התפקיד ל-req.userRole ובודק שהוא ברשימה המותרת.
+ * חייב לרוץ אחרי requireAuth (משתמש ב-req.userEmail / req.authUser).
+ * admin עובר תמיד; בלי ארגומנטים רק טוען את התפקיד בלי לחסום.
+ * @param {...string} allowedRoles - תפקידים מורשים
+ * @returns {function} - Express middleware
+ */
+export function requireRole(...allowedRoles) {
+  return async function roleGuard(req, res, next) {
+    const requestId = req.requestId || "-";
+    try {
+      const role = await getUserRole(req.userEmail, req.authUser || null);
+      req.userRole = role;
+
+      if (allowedRoles.length > 0 && role !== ROLES.ADMIN && !allowedRoles.includes(role)) {
+        console.warn(`[RID:${requestId}] auth_denied reason=role role=${role} required=${allowedRoles.join("|")}`);
+        return res.status(403).json({
+          error: "Insufficient role",
+          role,
+          required: allowedRoles,
+        });
+      }
+      next();
+    } catch (e) {
+      console.error(`[RID:${requestId}] role_check_error`, e);
+      return res.status(500).json({ error: "Server error" });
+    }
+  };
+}
+
+/**
+ * האם המשתמש מנהל את הקורס: admin - כל קורס; lecturer - רק קורס שהמייל שלו ברשימת המרצים שלו (course_settings.lecturers)
+ * @param {string} email - מייל המשתמש
+ * @param {string} role - התפקיד שלו (req.userRole)
+ * @param {string} courseName - שם הקורס
+ * @returns {Promise<boolean>}
+ */
+export async function canManageCourse(email, role, courseName) {
+  if (role === ROLES.ADMIN) return true;
+  if (role !== ROLES.LECTURER || !courseName) return false;
+  const lecturers = await getCourseLecturers(courseName);
+  return lecturers.includes((email || "").toLowerCase().trim());
+}
+
+/**
+ * Middleware factory - חוסם lecturer שלא מנהל את הקורס של הבקשה (403).
+ * חייב לרוץ אחרי requireRole (משתמש ב-req.userRole).
+ * @param {function} getCourseName - (req) => שם הקורס; ברירת מחדל req.params.course
+ * @returns {function} - Express middleware
+ */
+export function requireCourseAccess(getCourseName = (req) => req.params.course) {
+  return async function courseGuard(req, res, next) {
+    const requestId = req.requestId || "-";
+    try {
+      const courseName = getCourseName(req);
+      if (!(await canManageCourse(req.userEmail, req.userRole, courseName))) {
+        console.warn(`[RID:${requestId}] auth_denied reason=course role=${req.userRole} course=${courseName}`);
+        return res.status(403).json({ error: "Not a lecturer of this course", course_name: courseName || null });
+      }
+      next();
+    } catch (e) {
+      console.error(`[RID:${requestId}] course_check_error`, e);
+      return res.status(500).json({ error: "Server error" });
+    }
+  };
+}
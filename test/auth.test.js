@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAuthMiddleware, requireVerifiedIdentity } from "../auth.js";
+
+// req/res מינימליים: מחזיר את התשובה (status + body), או next אם הבקשה עברה
+async function run(middleware, { body = {}, headers = {}, params = {} } = {}) {
+  const req = { body, headers, params };
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.body = payload; return this; },
+  };
+  let nextCalled = false;
+  await middleware(req, res, () => { nextCalled = true; });
+  return { req, res, nextCalled };
+}
+
+const verifyIdToken = async (token) => {
+  if (token === "good") return { email: "Student@Ariel.ac.il", uid: "u1" };
+  throw Object.assign(new Error("bad token"), { code: "auth/argument-error" });
+};
+
+test("missing ID token is rejected when REQUIRE_ID_TOKEN is on", async () => {
+  const { res, nextCalled } = await run(createAuthMiddleware({ verifyIdToken }), { body: { email: "student@ariel.ac.il" } });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+});
+
+test("identity comes from the verified token, not the body", async () => {
+  const { req, nextCalled } = await run(createAuthMiddleware({ verifyIdToken }), {
+    headers: { authorization: "Bearer good" },
+  });
+  assert.equal(nextCalled, true);
+  assert.equal(req.userEmail, "student@ariel.ac.il");
+  assert.equal(req.identityVerified, true);
+});
+
+test("body email that does not match the token is rejected", async () => {
+  const { res, nextCalled } = await run(createAuthMiddleware({ verifyIdToken }), {
+    headers: { authorization: "Bearer good" },
+    body: { email: "other@ariel.ac.il" },
+  });
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 403);
+});
+
+test("invalid token is rejected", async () => {
+  const { res } = await run(createAuthMiddleware({ verifyIdToken }), { headers: { authorization: "Bearer bad" } });
+  assert.equal(res.statusCode, 401);
+});
+
+test("the path email is never used as the identity", async () => {
+  for (const options of [{ bypassAuth: "true" }, { requireIdToken: "false" }]) {
+    const { res, nextCalled } = await run(createAuthMiddleware(options), { params: { email: "victim@ariel.ac.il" } });
+    assert.equal(nextCalled, false);
+    assert.equal(res.statusCode, 401);
+  }
+});
+
+test("body email without a token is accepted but not verified (REQUIRE_ID_TOKEN=false)", async () => {
+  const { req, nextCalled } = await run(createAuthMiddleware({ requireIdToken: "false" }), { body: { email: " Student@ariel.ac.il" } });
+  assert.equal(nextCalled, true);
+  assert.equal(req.userEmail, "student@ariel.ac.il");
+  assert.equal(req.identityVerified, false);
+});
+
+test("API secret is required when configured, and makes the identity verified", async () => {
+  const middleware = createAuthMiddleware({ requireIdToken: "false", apiSecret: "s3cret" });
+  const denied = await run(middleware, { body: { email: "student@ariel.ac.il" }, headers: { "x-api-secret": "wrong" } });
+  assert.equal(denied.res.statusCode, 401);
+
+  const allowed = await run(middleware, { body: { email: "student@ariel.ac.il" }, headers: { "x-api-secret": "s3cret" } });
+  assert.equal(allowed.nextCalled, true);
+  assert.equal(allowed.req.identityVerified, true);
+});
+
+test("email outside the allowed domains and list is rejected", async () => {
+  const middleware = createAuthMiddleware({ requireIdToken: "false", allowedDomain: "ariel.ac.il", allowedEmails: "guest@gmail.com" });
+  assert.equal((await run(middleware, { body: { email: "someone@gmail.com" } })).res.statusCode, 403);
+  assert.equal((await run(middleware, { body: { email: "guest@gmail.com" } })).nextCalled, true);
+  assert.equal((await run(middleware, { body: { email: "student@ariel.ac.il" } })).nextCalled, true);
+});
+
+test("requireVerifiedIdentity rejects an unverified identity", async () => {
+  const unverified = await run((req, res, next) => requireVerifiedIdentity(Object.assign(req, { identityVerified: false }), res, next));
+  assert.equal(unverified.res.statusCode, 401);
+  const verified = await run((req, res, next) => requireVerifiedIdentity(Object.assign(req, { identityVerified: true }), res, next));
+  assert.equal(verified.nextCalled, true);
+});
@@ -0,0 +1,44 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { renderConversationExport, parseExportFormat } from "../chatExport.js";
+
+const messages = [
+  { role: "user", content: "<script>alert(1)</script> מה זה x < y && y > z?", created_at: "2026-03-01T10:00:00.000Z", session_id: "s1", citations: [] },
+  {
+    role: "assistant",
+    content: "**שונות**: $s^2 = \\frac{1}{n-1}\\sum (x_i-\\bar{x})^2$ [1]",
+    created_at: "2026-03-01T10:00:05.000Z",
+    session_id: "s1",
+    citations: [{ n: 1, source: "stats\"<b>.pdf", page: 42, snippet: "<img src=x onerror=alert(1)>" }],
+  },
+];
+const session = { session_id: "s1", title: "שונות <i>ו</i>\"ממוצע\"" };
+
+test("HTML export escapes message content, titles and citations", () => {
+  const { body, contentType, filename } = renderConversationExport({ email: "a@ariel.ac.il", session, messages }, "html");
+  assert.equal(contentType, "text/html; charset=utf-8");
+  assert.match(filename, /^chat-s1-\d{4}-\d{2}-\d{2}\.html$/);
+
+  assert.ok(!body.includes("<script>alert(1)</script>"));
+  assert.ok(body.includes("&lt;script&gt;alert(1)&lt;/script&gt; מה זה x &lt; y &amp;&amp; y &gt; z?"));
+  assert.ok(!body.includes("<img"));
+  assert.ok(body.includes("stats&quot;&lt;b&gt;.pdf"));
+  assert.ok(body.includes("<title>שונות &lt;i&gt;ו&lt;/i&gt;&quot;ממוצע&quot;</title>"));
+});
+
+test("HTML export keeps formulas for MathJax and converts only bold", () => {
+  const { body } = renderConversationExport({ email: "a@ariel.ac.il", session, messages }, "html");
+  assert.ok(body.includes("<strong>שונות</strong>: $s^2 = \\frac{1}{n-1}\\sum (x_i-\\bar{x})^2$ [1]"));
+});
+
+test("Markdown export lists the cited sources", () => {
+  const { body } = renderConversationExport({ email: "a@ariel.ac.il", session, messages, truncated: true }, parseExportFormat("md"));
+  assert.ok(body.startsWith(`# ${session.title}\n`));
+  assert.ok(body.includes("> הייצוא כולל רק את ההודעות האחרונות."));
+  assert.ok(body.includes("- [1] stats\"<b>.pdf, עמ' 42 – \"<img src=x onerror=alert(1)>\""));
+});
+
+test("unknown export formats are a 400 error", () => {
+  assert.throws(() => parseExportFormat("pdf"), (e) => e.status === 400);
+  assert.equal(parseExportFormat(undefined), "markdown");
+});
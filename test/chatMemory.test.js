@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import admin from "firebase-admin";
+import { encodeCursor, decodeCursor } from "../chatMemory.js";
+
+// מספיק בשביל encodeCursor: id ו-data().createdAt
+function fakeDoc(id, createdAt) {
+  return { id, data: () => ({ createdAt }) };
+}
+
+test("a cursor round-trips createdAt with nanoseconds and the document id", () => {
+  const createdAt = new admin.firestore.Timestamp(1760000000, 123456789);
+  const cursor = encodeCursor(fakeDoc("msg_42", createdAt));
+  assert.match(cursor, /^[A-Za-z0-9_-]+$/); // base64url - בטוח ב-query string
+
+  const decoded = decodeCursor(cursor);
+  assert.equal(decoded.id, "msg_42");
+  assert.ok(decoded.createdAt.isEqual(createdAt));
+});
+
+test("messages in the same millisecond get different cursors", () => {
+  const a = encodeCursor(fakeDoc("a", new admin.firestore.Timestamp(1760000000, 1000)));
+  const b = encodeCursor(fakeDoc("a", new admin.firestore.Timestamp(1760000000, 2000)));
+  assert.notEqual(a, b);
+});
+
+test("a malformed cursor is a 400 error", () => {
+  const invalid = [
+    "not-a-cursor",
+    Buffer.from("{}").toString("base64url"),
+    Buffer.from(JSON.stringify({ s: 1.5, n: 0, id: "x" })).toString("base64url"),
+    Buffer.from(JSON.stringify({ s: 1, n: 0, id: "" })).toString("base64url"),
+  ];
+  for (const cursor of invalid) {
+    assert.throws(() => decodeCursor(cursor), (e) => e.status === 400 && e.message === "Invalid cursor");
+  }
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitDocumentIntoChunks, splitTextIntoChunks, PAGE_BREAK } from "../chunking.js";
+
+const paragraph = (sentences) =>
+  Array.from({ length: sentences }, (_, i) => `משפט מספר ${i} על שונות וממוצע.`).join(" ");
+
+test("chunks keep the page range and the heading path", () => {
+  const text = `פרק 3 שונות\n3.2 טבלת ערכים\n${paragraph(3)}${PAGE_BREAK}${paragraph(2)}\n\n4.1 סעיף אחר\nטקסט`;
+  const chunks = splitDocumentIntoChunks(text, { chunkSize: 500 });
+
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks[0].page, 1);
+  assert.equal(chunks[0].page_end, 2);
+  assert.equal(chunks[0].heading, "3.2 טבלת ערכים");
+  assert.deepEqual(chunks[0].section_path, ["פרק 3 שונות", "3.2 טבלת ערכים"]);
+  // כותרת חדשה פותחת chunk חדש
+  assert.equal(chunks[1].heading, "4.1 סעיף אחר");
+  assert.ok(chunks[1].text.startsWith("4.1 סעיף אחר"));
+});
+
+test("text without page breaks has no page numbers", () => {
+  const chunks = splitDocumentIntoChunks(paragraph(40), { chunkSize: 300, overlap: 100 });
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every((chunk) => chunk.page === null && chunk.page_end === null));
+  // החפיפה מתווספת לפני הטקסט החדש
+  assert.ok(chunks.every((chunk) => chunk.text.length <= 300 + 100));
+});
+
+test("a formula is never cut in the middle", () => {
+  const formula = "$$\\bar{x} = \\frac{1}{n} \\sum_{i=1}^{n} x_i + \\sigma^2 = \\frac{1}{n-1}\\sum (x_i-\\bar{x})^2$$";
+  const chunks = splitDocumentIntoChunks(`${paragraph(10)}\n\n${formula}\n\n${paragraph(10)}`, { chunkSize: 300, overlap: 50 });
+  assert.equal(chunks.filter((chunk) => chunk.text.includes(formula)).length, 1);
+  assert.ok(chunks.every((chunk) => !chunk.text.includes("$$") || chunk.text.includes(formula)));
+});
+
+test("consecutive chunks of a long paragraph overlap", () => {
+  const chunks = splitDocumentIntoChunks(paragraph(40), { chunkSize: 300, overlap: 60 });
+  for (let i = 1; i < chunks.length; i++) {
+    const firstWords = chunks[i].text.split(" ").slice(0, 3).join(" ");
+    assert.ok(chunks[i - 1].text.includes(firstWords), `chunk ${i} should start with the end of chunk ${i - 1}`);
+  }
+});
+
+test("splitTextIntoChunks cuts at sentence ends within the size limit", () => {
+  const chunks = splitTextIntoChunks(paragraph(30), 200, 40);
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every((chunk) => chunk.length <= 200));
+  assert.ok(chunks.slice(0, -1).every((chunk) => chunk.endsWith(".")));
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateCitationMarkers, createCitationStreamFilter, storedCitations } from "../citations.js";
+
+const citations = [
+  { n: 1, chunk_id: "c1", source: "stats.pdf", page: 3, score: 0.8 },
+  { n: 2, chunk_id: "c2", source: "stats.pdf", page: 42, score: 0.7 },
+];
+
+// הזרמה של הטקסט בחלקים בגודל size, כמו tokens מהמודל
+function streamInPieces(text, size) {
+  const filter = createCitationStreamFilter(citations);
+  let out = "";
+  for (let i = 0; i < text.length; i += size) {
+    out += filter.push(text.slice(i, i + size));
+  }
+  out += filter.flush();
+  return { answer: out, ...filter.result() };
+}
+
+test("unknown markers are removed together with the space before them", () => {
+  const result = validateCitationMarkers("השונות היא ממוצע ריבועי הסטיות [2]. ראו גם [7].", citations);
+  assert.equal(result.answer, "השונות היא ממוצע ריבועי הסטיות [2]. ראו גם.");
+  assert.deepEqual(result.invalid, [7]);
+  assert.deepEqual(result.citations.map((citation) => citation.cited), [false, true]);
+});
+
+test("brackets inside math or after a LaTeX command are not markers", () => {
+  const answer = "הנוסחה $x_[9]$ וגם \\[ a[5] \\] וגם $\\sqrt[3]{8}$ ו-\\sqrt[4]{16} [1]";
+  const result = validateCitationMarkers(answer, citations);
+  assert.equal(result.answer, answer);
+  assert.deepEqual(result.invalid, []);
+});
+
+test("an escaped dollar does not open a formula", () => {
+  const result = validateCitationMarkers("זה עולה \\$5 [9] בלבד [1]", citations);
+  assert.equal(result.answer, "זה עולה \\$5 בלבד [1]");
+  assert.deepEqual(result.invalid, [9]);
+});
+
+test("answers without citations are not checked", () => {
+  assert.deepEqual(validateCitationMarkers("טקסט [3]", []), { answer: "טקסט [3]", citations: [], invalid: [] });
+  const filter = createCitationStreamFilter([]);
+  assert.equal(filter.push("טקסט [3]") + filter.flush(), "טקסט [3]");
+});
+
+test("the stream filter matches the non-streaming check for every split", () => {
+  const answer = "ממוצע [1] ושונות [12]. נוסחה: \\[ s^2 = \\frac{1}{n-1}\\sum (x_i-\\bar{x})^2 [5] \\] ו-$$y[3]$$ וגם \\$2 [4] סוף [2]";
+  const expected = validateCitationMarkers(answer, citations);
+  for (const size of [1, 2, 3, 5, 8, answer.length]) {
+    const streamed = streamInPieces(answer, size);
+    assert.equal(streamed.answer, expected.answer, `split into pieces of ${size}`);
+    assert.deepEqual(streamed.citations, expected.citations);
+    assert.deepEqual(streamed.invalid.sort(), expected.invalid.sort());
+  }
+});
+
+test("storedCitations keeps only cited chunks without retrieval scores", () => {
+  const { citations: checked } = validateCitationMarkers("רק [2]", citations);
+  const stored = storedCitations(checked);
+  assert.equal(stored.length, 1);
+  assert.equal(stored[0].chunk_id, "c2");
+  assert.equal("score" in stored[0], false);
+});
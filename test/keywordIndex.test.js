@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tokenize, termVariants, buildKeywordIndex, scoreKeywords } from "../keywordIndex.js";
+
+test("Hebrew prefixes are stripped one letter at a time, up to three", () => {
+  assert.deepEqual(termVariants("ושבמבחן"), ["ושבמבחן", "שבמבחן", "במבחן", "מבחן"]);
+  // אין הבחנה בין אות שימוש לאות שורש - "ממוצע" נשמר גם כ"מוצע"
+  assert.deepEqual(termVariants("והממוצע"), ["והממוצע", "הממוצע", "ממוצע", "מוצע"]);
+  // אחרי שלוש אותיות עוצרים
+  assert.deepEqual(termVariants("ושהבית"), ["ושהבית", "שהבית", "הבית", "בית"]);
+});
+
+test("a stem shorter than two letters is not produced", () => {
+  assert.deepEqual(termVariants("לחי"), ["לחי", "חי"]);
+  assert.deepEqual(termVariants("הב"), ["הב"]);
+});
+
+test("English plurals get a singular variant", () => {
+  assert.deepEqual(termVariants("tests"), ["tests", "test"]);
+  assert.deepEqual(termVariants("class"), ["class"]);
+  assert.deepEqual(termVariants("is"), ["is"]);
+});
+
+test("tokenize drops niqqud, acronym quotes, stopwords and single Hebrew letters", () => {
+  assert.deepEqual(tokenize("מָה זה ס\"ת של ANOVA"), ["סת", "anova"]);
+  assert.deepEqual(tokenize("הANOVA ב-t"), ["anova", "t"]);
+  assert.deepEqual(tokenize("σ = 2.5"), ["σ", "2.5"]);
+});
+
+test("a prefixed query word matches the bare word in the index", () => {
+  const index = buildKeywordIndex([
+    { text: "ממוצע המדגם הוא אומד לתוחלת" },
+    { text: "מבחן חי בריבוע לאי-תלות" },
+  ]);
+  const scores = scoreKeywords(index, "מה זה והממוצע?");
+  assert.deepEqual([...scores.keys()], [0]);
+
+  const chiSquare = scoreKeywords(index, "לחי בריבוע");
+  assert.deepEqual([...chiSquare.keys()], [1]);
+});
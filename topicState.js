@@ -4,7 +4,7 @@
 import admin from "firebase-admin";
 
 // ניתן לשנות שם קולקציה דרך ENV בלי לשבור לאחור
-const STATE_COLLECTION = process.env.GALIBOT_STATE_COLLECTION || "galibot_user_state_v1";
+export const STATE_COLLECTION = process.env.GALIBOT_STATE_COLLECTION || "galibot_user_state_v1";
 
 /**
  * מזהי נושאים (מינימלי, אך מספיק כדי לייצב התנהגות).
@@ -71,9 +71,16 @@ export function isFastPassRequest(userText) {
   );
 }
 
-export function defaultUserState(email) {
+// מצב של שיחה (session) נשמר במסמך משלו, כדי שנושא ושלב האבחון לא יעברו בין שיחות.
+// השיחה הכללית (בלי sessionId) נשארת במסמך לפי המייל, כמו קודם.
+export function stateDocId(email, sessionId = null) {
+  return sessionId ? `${normalizeEmail(email)}__${sessionId}` : normalizeEmail(email);
+}
+
+export function defaultUserState(email, sessionId = null) {
   return {
     email: normalizeEmail(email),
+    sessionId: sessionId || null,
     currentTopic: null, // string topic id
     phase: "IDLE", // IDLE | DIAGNOSE | TEACH
     diagnosedTopics: {}, // { [topicId]: true }
@@ -81,18 +88,19 @@ export function defaultUserState(email) {
   };
 }
 
-export async function loadUserState(db, email) {
-  if (!db) return defaultUserState(email);
+export async function loadUserState(db, email, sessionId = null) {
+  if (!db) return defaultUserState(email, sessionId);
 
   const key = normalizeEmail(email);
   try {
-    const ref = db.collection(STATE_COLLECTION).doc(key);
+    const ref = db.collection(STATE_COLLECTION).doc(stateDocId(email, sessionId));
     const snap = await ref.get();
-    if (!snap.exists) return defaultUserState(email);
+    if (!snap.exists) return defaultUserState(email, sessionId);
 
     const data = snap.data() || {};
     return {
       email: key,
+      sessionId: sessionId || null,
       currentTopic: data.currentTopic ?? null,
       phase: data.phase || "IDLE",
       diagnosedTopics: data.diagnosedTopics || {},
@@ -104,7 +112,7 @@ export async function loadUserState(db, email) {
     if (e.code === 8 || e.message?.includes("Quota exceeded") || e.message?.includes("RESOURCE_EXHAUSTED")) {
       console.warn("[GalibotState] Firestore quota exceeded - using default state");
     }
-    return defaultUserState(email);
+    return defaultUserState(email, sessionId);
   }
 }
 
@@ -112,10 +120,11 @@ export async function saveUserState(db, state) {
   if (!db || !state?.email) return false;
 
   try {
-    const ref = db.collection(STATE_COLLECTION).doc(normalizeEmail(state.email));
+    const ref = db.collection(STATE_COLLECTION).doc(stateDocId(state.email, state.sessionId));
     await ref.set(
       {
         email: normalizeEmail(state.email),
+        sessionId: state.sessionId || null,
         currentTopic: state.currentTopic ?? null,
         phase: state.phase || "IDLE",
         diagnosedTopics: state.diagnosedTopics || {},
@@ -134,6 +143,12 @@ export async function saveUserState(db, state) {
   }
 }
 
+export async function deleteUserState(db, email, sessionId = null) {
+  if (!db) return false;
+  await db.collection(STATE_COLLECTION).doc(stateDocId(email, sessionId)).delete();
+  return true;
+}
+
 function countSentencesHeuristically(text) {
   // פיצול גס לפי סימני סוף משפט נפוצים
   return (text || "")
@@ -246,7 +261,7 @@ export function decideTurn(prompt, state) {
 
   // עדכון state (נחסוך לוגיקה כפולה בשרת)
   const nextState = {
-    ...defaultUserState(state?.email || ""),
+    ...defaultUserState(state?.email || "", state?.sessionId),
     ...state,
     currentTopic: activeTopic === "unknown" ? currentTopic : activeTopic,
     phase: diagnosisOnly ? "DIAGNOSE" : (activeTopic === "unknown" ? "IDLE" : "TEACH"),
@@ -0,0 +1,167 @@
+// vectorStore.js - ממשק אחסון וחיפוש וקטורי ל-RAG (chunks + registry של מקורות)
+//
+// rag.js עובד מול הממשק בלבד. מימושים:
+// - firestore (firestoreVectorStore.js) - rag_chunks / rag_sources ב-Firestore, חיפוש באינדקס בזיכרון
+// - local (localVectorStore.js) - קובץ JSON על הדיסק, לפיתוח ולבדיקות בלי פרויקט Firebase
+//
+// כל ה-methods אסינכרוניים (מלבד markStale):
+//   upsert(records)                          - כתיבת chunks ({ id?, ...fields, embedding }). מחזיר את ה-ids.
+//   delete(ids)                              - מחיקת chunks לפי id
+//   deleteBySource(courseName, source)       - מחיקת כל ה-chunks של מקור. מחזיר את מספר ה-chunks שנמחקו.
+//   getChunks(filter, { withEmbeddings })    - chunks לפי { course_name, source } (בלי embedding, אלא אם ביקשו)
+//   query(queryEmbedding, options)           - top-k לפי cosine similarity, ואם יש queryText - גם top-k לפי BM25 (keywordIndex.js).
+//                                              options: { topK, filter, abortSignal, maxDocs, queryText }
+//                                              filter: { course_name?, source?, embedding_version?, isActive?(chunk) }
+//                                              מחזיר { matches, search, retrievedCount, processedCount, skippedCount, keywordCount, dimensionMismatchCount }
+//                                              כל match עם similarity ו-keyword_score (0 אם אין התאמה מילולית)
+//   getSources(courseName)                   - registry של מקורות: Map(sourceDocId -> entry)
+//   setSource(courseName, source, fields)    - עדכון (merge) של רשומת מקור
+//   deleteSource(courseName, source)         - מחיקת רשומת מקור
+//   warm()                                   - טעינה מוקדמת (עליית השרת). מחזיר את מספר הקורסים.
+//   markStale(courseName)                    - הקורפוס של קורס השתנה - לרענן מה שמוחזק בזיכרון
+import { createFirestoreVectorStore } from "./firestoreVectorStore.js";
+import { createLocalVectorStore } from "./localVectorStore.js";
+import { scoreKeywords } from "./keywordIndex.js";
+
+export const VECTOR_STORE_TYPES = ["firestore", "local"];
+
+// גרסת ה-embedding של chunks שנשמרו לפני שנרשם על chunk איזה מודל יצר אותו
+export const LEGACY_EMBEDDING_VERSION = "text-embedding-3-small";
+
+// מזהה רשומה ב-registry של המקורות (גם id המסמך ב-rag_sources)
+export function sourceDocId(courseName, source) {
+  return `${encodeURIComponent(courseName)}__${encodeURIComponent(source)}`;
+}
+
+/**
+ * המרת chunk שמור לרשומת חיפוש: embedding כ-Float32Array עם norm מחושב מראש
+ * @param {string} id - מזהה ה-chunk
+ * @param {object} data - השדות השמורים
+ * @returns {object|null} - null אם אין ל-chunk embedding
+ */
+export function toSearchEntry(id, data) {
+  if (!Array.isArray(data.embedding) || data.embedding.length === 0) return null;
+  const embedding = Float32Array.from(data.embedding);
+  let norm = 0;
+  for (let i = 0; i < embedding.length; i++) norm += embedding[i] * embedding[i];
+  return {
+    id,
+    text: data.text || "",
+    source: data.source || "unknown",
+    course_name: data.course_name || "",
+    version: data.version,
+    embedding_version: data.embedding_version || LEGACY_EMBEDDING_VERSION,
+    page: data.page ?? null,
+    page_end: data.page_end ?? null,
+    page_unit: data.page_unit || (data.page ? "page" : null),
+    heading: data.heading || null,
+    section_path: data.section_path || [],
+    metadata: data.metadata || {},
+    embedding,
+    norm: Math.sqrt(norm),
+  };
+}
+
+/**
+ * חיפוש top-k על רשומות בזיכרון (משותף לכל המימושים).
+ * עם keywordIndex ו-queryText התוצאה היא איחוד של top-k לפי similarity ו-top-k לפי BM25.
+ * @param {Array<object>} entries - רשומות מ-toSearchEntry
+ * @param {number[]} queryEmbedding - embedding של השאילתה
+ * chunks של מודל embedding אחר (filter.embedding_version) לא נספרים כלל - בזמן מעבר מודל שני הסטים שמורים יחד.
+ * @param {object} options - { topK, filter: { course_name?, source?, embedding_version?, isActive? }, abortSignal, keywordIndex, queryText }
+ * @returns {{ matches: Array<object>, processedCount: number, skippedCount: number, keywordCount: number, dimensionMismatchCount: number }}
+ */
+export function searchEntries(entries, queryEmbedding, { topK = 3, filter = {}, abortSignal = null, keywordIndex = null, queryText = null } = {}) {
+  const keywordScores = keywordIndex && queryText ? scoreKeywords(keywordIndex, queryText) : new Map();
+  const query = Float32Array.from(queryEmbedding);
+  let queryNorm = 0;
+  for (let i = 0; i < query.length; i++) queryNorm += query[i] * query[i];
+  queryNorm = Math.sqrt(queryNorm);
+
+  const matches = [];
+  const activeBySource = new Map(); // "course\nsource\nversion" -> boolean, כדי לא לבדוק את ה-registry לכל chunk
+  let skippedCount = 0;
+  let dimensionMismatchCount = 0;
+
+  for (let n = 0; n < entries.length; n++) {
+    // Guard: check abort every 1000 chunks
+    if (n % 1000 === 0 && abortSignal?.aborted) break;
+
+    const entry = entries[n];
+    if (filter.course_name && entry.course_name !== filter.course_name) continue;
+    if (filter.source && entry.source !== filter.source) continue;
+    if (filter.embedding_version && entry.embedding_version !== filter.embedding_version) continue;
+
+    let active = true;
+    if (filter.isActive) {
+      const activeKey = `${entry.course_name}\n${entry.source}\n${entry.version || ""}`;
+      active = activeBySource.get(activeKey);
+      if (active === undefined) {
+        active = filter.isActive(entry);
+        activeBySource.set(activeKey, active);
+      }
+    }
+    if (active && entry.embedding.length !== query.length) dimensionMismatchCount++;
+    if (!active || entry.embedding.length !== query.length || entry.norm === 0 || queryNorm === 0) {
+      skippedCount++;
+      continue;
+    }
+
+    let dot = 0;
+    const embedding = entry.embedding;
+    for (let i = 0; i < embedding.length; i++) dot += embedding[i] * query[i];
+
+    matches.push({
+      id: entry.id,
+      text: entry.text,
+      source: entry.source,
+      course_name: entry.course_name,
+      similarity: dot / (entry.norm * queryNorm),
+      keyword_score: keywordScores.get(n) || 0,
+      page: entry.page,
+      page_end: entry.page_end,
+      page_unit: entry.page_unit,
+      heading: entry.heading,
+      section_path: entry.section_path,
+      metadata: entry.metadata,
+      embedding: entry.embedding, // הפניה (לא העתקה) - לחישוב דמיון בין chunks ב-MMR
+      norm: entry.norm,
+    });
+  }
+
+  const processedCount = matches.length;
+  const byKeyword = matches.filter((match) => match.keyword_score > 0);
+  const keywordCount = byKeyword.length;
+  matches.sort((a, b) => b.similarity - a.similarity);
+  const top = matches.slice(0, topK);
+  if (keywordCount > 0) {
+    const selected = new Set(top);
+    byKeyword
+      .sort((a, b) => b.keyword_score - a.keyword_score)
+      .slice(0, topK)
+      .forEach((match) => {
+        if (!selected.has(match)) top.push(match);
+      });
+  }
+  return { matches: top, processedCount, skippedCount, keywordCount, dimensionMismatchCount };
+}
+
+/**
+ * יצירת vector store לפי סוג
+ * @param {string} type - "firestore" (ברירת מחדל) / "local"
+ * @param {object} options - { firestoreDb } ל-firestore, { filePath } ל-local
+ * @returns {object} - מימוש של הממשק שלמעלה
+ */
+export function createVectorStore(type = "firestore", options = {}) {
+  switch ((type || "firestore").toLowerCase()) {
+    case "firestore":
+      if (!options.firestoreDb) {
+        throw new Error("Firestore vector store requires a Firestore instance");
+      }
+      return createFirestoreVectorStore(options.firestoreDb);
+    case "local":
+      return createLocalVectorStore(options.filePath);
+    default:
+      throw new Error(`Unknown vector store "${type}" (supported: ${VECTOR_STORE_TYPES.join(", ")})`);
+  }
+}